@@ -1,4 +1,5 @@
 import Busboy from "busboy";
+import { CONTRACT_SUITS, computeCardPoints } from "../src/scoring/coinche.js";
 
 export const config = {
   api: { bodyParser: false },
@@ -13,9 +14,10 @@ function streamToBuffer(stream) {
   });
 }
 
+// Trump suit, or SA (sans atout) / TA (tout atout) contracts
 function normalizeSuit(s) {
   const up = String(s || "").trim().toUpperCase();
-  return ["H", "D", "C", "S"].includes(up) ? up : "S";
+  return CONTRACT_SUITS[up] ? up : "S";
 }
 
 function normalizePileSide(s) {
@@ -72,41 +74,6 @@ function parseCardLabel(label) {
   return { rank, suit, code: `${rank}${suit}` };
 }
 
-const TRUMP_POINTS = {
-  J: 20,
-  9: 14,
-  A: 11,
-  "10": 10,
-  K: 4,
-  Q: 3,
-  8: 0,
-  7: 0,
-};
-
-const NON_TRUMP_POINTS = {
-  A: 11,
-  "10": 10,
-  K: 4,
-  Q: 3,
-  J: 2,
-  9: 0,
-  8: 0,
-  7: 0,
-};
-
-function computeBelotePoints(cards, trumpSuit, lastTrick) {
-  const trump = normalizeSuit(trumpSuit);
-  let total = 0;
-
-  for (const c of cards) {
-    const table = c.suit === trump ? TRUMP_POINTS : NON_TRUMP_POINTS;
-    total += table[c.rank] ?? 0;
-  }
-
-  if (lastTrick) total += 10;
-  return total;
-}
-
 function extractPredictionsDeep(obj) {
   const out = [];
 
@@ -344,7 +311,7 @@ export default async function handler(req, res) {
 
     const preds = extractPredictionsDeep(rf);
     const { unique: cards, reducedCount, parsedCount } = pickBestUniqueCards(preds, 32);
-    const points = computeBelotePoints(cards, trumpSuit, lastTrick);
+    const points = computeCardPoints(cards, trumpSuit, lastTrick);
 
     const warnings = [];
     if (cards.length < 4) {
@@ -1,5 +1,84 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import { supabase } from "./supabaseClient";
+import { setMatchCode, supabase } from "./supabaseClient";
+import {
+  OUTBOX_CHANGED_EVENT,
+  changedRowIds,
+  discardMatchBundle,
+  enqueueMatchBundle,
+  flushOutbox,
+  pendingMatchBundles,
+  readOutbox,
+  resendMatchBundle,
+  startOutbox,
+  unsyncedHandCount,
+} from "./outbox";
+import {
+  ANNOUNCE_TYPES,
+  CONTRACT_SUITS,
+  DEFAULT_RULE_PROFILE_ID,
+  END_CONDITION_TYPES,
+  PENALTY_REASONS,
+  RULE_PROFILES,
+  announceTypesFromPoints,
+  applyLitigeEscrow,
+  computeFastCoincheScore,
+  computePenaltyScore,
+  defaultEndCondition,
+  defaultPenaltyRule,
+  endConditionProgressPct,
+  evaluateEndCondition,
+  getContractType,
+  getRuleProfile,
+  isCarreAnnounce,
+  resolveAnnounces,
+  resolveEndCondition,
+  sumAnnounceTypes,
+} from "./scoring/coinche";
+import { AUCTION_CALLS, auctionSeats, isLegalCall, legalBidValues, replayAuction } from "./scoring/auction";
+import { PLAY_RANKS, PLAY_SUITS, TRICKS_PER_HAND, cardCode, replayPlayLog } from "./scoring/play";
+import { ISSUE_CODES, fieldIssue, validateHandDraft } from "./scoring/validation";
+import {
+  BRACKET_TYPES,
+  advanceBracket,
+  buildBracketPlan,
+  buildRoundRobinSchedule,
+  buildSwissPairings,
+  drawMeleeRound,
+  nextSwissRound,
+  opponentPairs,
+  pairKey,
+  playedPairs,
+} from "./scoring/pairing";
+import {
+  DEFAULT_STANDING_POINTS,
+  DEFAULT_TIEBREAKERS,
+  TIEBREAKERS,
+  computeStandings,
+  normalizeStandingPoints,
+  normalizeTiebreakers,
+} from "./scoring/standings";
+import {
+  TOURNAMENT_STATUSES,
+  acceptsRegistrations,
+  canTransition,
+  isPubliclyListed,
+  isTournamentReadOnly,
+  normalizeTournamentStatus,
+  statusTransitions,
+  tournamentStatusLabel,
+} from "./scoring/lifecycle";
+import {
+  MATCH_PHASES,
+  ROUND_STATUSES,
+  getRoundStatus,
+  lastRound,
+  listRounds,
+  normalizePhase,
+  normalizeRound,
+  phaseForBracketRound,
+  roundAllowsScoring,
+  roundLabel,
+} from "./scoring/rounds";
 
 /**
  * Coinche Scorekeeper
@@ -10,7 +89,6 @@ import { supabase } from "./supabaseClient";
  */
 
 const LS_KEY = "coinche_scorekeeper_v1";
-const TARGET_SCORE = 2000;
 const APP_UPDATED_EVENT = "coinche_state_updated";
 const CURRENT_TOURNAMENT_KEY = "coinche_current_tournament_id";
 
@@ -64,7 +142,6 @@ const clamp = (n, lo, hi) => {
   return Number.isFinite(x) ? Math.max(lo, Math.min(hi, x)) : lo;
 };
 
-const num = (v, d = 0) => safeInt(v) ?? d;
 const normalizeScanCardCount = (n) => clamp(Math.round(Number(n) || 0), 0, 32);
 const parseBidValue = (v) =>
   String(v || "").trim().toLowerCase() === "capot" ? 250 : safeInt(v);
@@ -123,6 +200,8 @@ function exportCoincheExcel({
   teamById,
   playerById,
   scoreboardRows = [],
+  playerStandingsRows = [],
+  pastStages = [],
   teamStatsRows = [],
   funStats = {},
 }) {
@@ -143,6 +222,8 @@ function exportCoincheExcel({
       "First Shuffler",
       "Table Order",
       "Last Updated",
+      "Round",
+      "Phase",
     ],
     ...matches.map((m) => {
       const teamAName = teamById.get(m.teamAId)?.name || "";
@@ -169,6 +250,8 @@ function exportCoincheExcel({
         firstShufflerName,
         tableOrderNames,
         m.lastUpdatedAt ? new Date(m.lastUpdatedAt).toISOString() : "",
+        m.round ?? "",
+        MATCH_PHASES[m.phase]?.label || "",
       ];
     }),
   ];
@@ -191,21 +274,39 @@ function exportCoincheExcel({
       "Suit",
       "Coinche Level",
       "Capot",
+      "Générale",
+      "Générale Player",
       "Bidder Trick Points",
       "Non-bidder Trick Points",
       "Trick Source",
       "Belote Team",
+      "Belote Player",
       "Announce A1",
+      "Announce A1 Types",
       "Announce A1 Player",
       "Announce A2",
+      "Announce A2 Types",
       "Announce A2 Player",
       "Announce B1",
+      "Announce B1 Types",
       "Announce B1 Player",
       "Announce B2",
+      "Announce B2 Types",
       "Announce B2 Player",
+      "Announce Scored By",
       "Announce A Total",
       "Announce B Total",
       "Dealer",
+      "Scoring Rules",
+      "Litige Escrow",
+      "Litige Payout A",
+      "Litige Payout B",
+      "Bidder Player",
+      "Auction",
+      "Card Log",
+      "Penalty",
+      "Penalty Reason",
+      "Offender",
     ],
     ...matches.flatMap((m) =>
       (m.hands || []).map((h) => {
@@ -227,40 +328,67 @@ function exportCoincheExcel({
           ds.suit || "",
           ds.coincheLevel || "",
           ds.capot ? "Yes" : "No",
+          ds.generale ? (ds.generaleMade ? "Made" : "Failed") : "",
+          ds.generalePlayerName || "",
           ds.bidderTrickPoints ?? "",
           ds.nonBidderTrickPoints ?? "",
           ds.trickSource || "",
           ds.beloteTeam || "",
+          ds.belotePlayerName || playerById.get(ds.belotePlayerId)?.name || "",
           ds.announceA1 ?? "",
+          formatAnnounceTypes(getAnnounceTypes(ds, "A1")),
           ds.announceA1PlayerName || playerById.get(ds.announceA1PlayerId)?.name || "",
           ds.announceA2 ?? "",
+          formatAnnounceTypes(getAnnounceTypes(ds, "A2")),
           ds.announceA2PlayerName || playerById.get(ds.announceA2PlayerId)?.name || "",
           ds.announceB1 ?? "",
+          formatAnnounceTypes(getAnnounceTypes(ds, "B1")),
           ds.announceB1PlayerName || playerById.get(ds.announceB1PlayerId)?.name || "",
           ds.announceB2 ?? "",
+          formatAnnounceTypes(getAnnounceTypes(ds, "B2")),
           ds.announceB2PlayerName || playerById.get(ds.announceB2PlayerId)?.name || "",
+          ds.announceScoringSide || "",
           ds.announceA ?? "",
           ds.announceB ?? "",
           ds.shufflerName || "",
+          ds.ruleProfile ? RULE_PROFILES[ds.ruleProfile]?.label || ds.ruleProfile : "",
+          ds.litige ? Number(ds.litigeEscrow) || 0 : "",
+          Number(h.escrowPayoutA) || 0,
+          Number(h.escrowPayoutB) || 0,
+          playerById.get(ds.bidderPlayerId)?.name || "",
+          (ds.auction || [])
+            .map((c) => {
+              const who = playerById.get(c.playerId)?.name || "?";
+              return c.type === "BID" ? `${who} ${c.bid} ${c.suit}` : `${who} ${AUCTION_CALLS[c.type]?.label || c.type}`;
+            })
+            .join(" / "),
+          (ds.playLog?.tricks || []).map((t) => t.map(cardCode).join(" ")).join(" / "),
+          ds.penalty ? "Yes" : "No",
+          ds.penalty ? PENALTY_REASONS[ds.penaltyReason]?.label || ds.penaltyReason || "" : "",
+          ds.penalty ? ds.offenderName || playerById.get(ds.offenderPlayerId)?.name || "" : "",
         ];
       })
     ),
   ];
 
-  const standingsRows = [
-    ["Rank", "Team", "MP", "W", "L", "P", "PF", "PA", "Diff"],
-    ...scoreboardRows.map((r, idx) => [
+  const toStandingsSheet = (nameHeader, rows) => [
+    ["Rank", nameHeader, "MP", "W", "D", "L", "P", "PF", "PA", "Diff", "Tiebreak"],
+    ...rows.map((r, idx) => [
       idx + 1,
       r.name,
       Number(r.matchesPlayed) || 0,
       Number(r.wins) || 0,
+      Number(r.draws) || 0,
       Number(r.losses) || 0,
       Number(r.standingPoints) || 0,
       Number(r.pointsFor) || 0,
       Number(r.pointsAgainst) || 0,
       (Number(r.pointsFor) || 0) - (Number(r.pointsAgainst) || 0),
+      r.tiebreak || "",
     ]),
   ];
+  const standingsRows = toStandingsSheet("Team", scoreboardRows);
+  const playerStandingsSheetRows = toStandingsSheet("Player", playerStandingsRows);
 
   const teamStatsSheetRows = [
     [
@@ -272,10 +400,13 @@ function exportCoincheExcel({
       "Coinche %",
       "Announce Pts",
       "Capots",
+      "Générales",
       "Coinche/Surcoinche",
       "Comebacks",
       "Shutouts",
       "Best Hand",
+      "Penalties",
+      "Penalties by Player",
     ],
     ...teamStatsRows.map((r) => [
       r.name,
@@ -286,10 +417,13 @@ function exportCoincheExcel({
       Number(r.coincheSuccessPct) || 0,
       Number(r.totalAnnouncePoints) || 0,
       Number(r.capotsMade) || 0,
+      Number(r.generalesMade) || 0,
       Number(r.coinchesCalled) || 0,
       Number(r.comebackWins) || 0,
       Number(r.shutoutHandsForced) || 0,
       Number(r.bestSingleHand) || 0,
+      Number(r.penalties) || 0,
+      r.penaltySummary || "",
     ]),
   ];
 
@@ -321,12 +455,15 @@ function exportCoincheExcel({
     ],
     ["Capot Count by Team", funStats?.capotCountByTeam?.v ?? 0, funStats?.capotCountByTeam?.name ?? ""],
     ["Capot Count by Player", funStats?.capotCountByPlayer?.v ?? 0, funStats?.capotCountByPlayer?.name ?? ""],
+    ["Générale Hero", funStats?.generaleHero?.v ?? 0, funStats?.generaleHero?.name ?? ""],
     ["Perfect Defense", funStats?.perfectDefense?.count ?? 0, funStats?.perfectDefense?.name ?? ""],
     ["Coinche King", funStats?.coincheKing?.v ?? 0, funStats?.coincheKing?.name ?? ""],
     ["Capot Hero", funStats?.capotHero?.v ?? 0, funStats?.capotHero?.name ?? ""],
     ["Belote Magnet", funStats?.beloteMagnet?.v ?? 0, funStats?.beloteMagnet?.name ?? ""],
     ["Most Announces", funStats?.mostAnnounces?.v ?? 0, funStats?.mostAnnounces?.name ?? ""],
     ["Highest Announces", funStats?.highestAnnounces?.v ?? 0, funStats?.highestAnnounces?.name ?? ""],
+    ["Carré Collector", funStats?.mostCarres?.v ?? 0, funStats?.mostCarres?.name ?? ""],
+    ["Belote Player", funStats?.belotePlayer?.v ?? 0, funStats?.belotePlayer?.name ?? ""],
   ];
 
   const handAuditRows = [
@@ -352,6 +489,7 @@ function exportCoincheExcel({
       "Score B",
       "Bidder Succeeded",
       "Skipped",
+      "Penalty",
     ],
     ...matches.flatMap((m) =>
       (m.hands || []).map((h) => {
@@ -381,6 +519,9 @@ function exportCoincheExcel({
           Number(h.scoreB) || 0,
           h.bidderSucceeded ? "Yes" : "No",
           ds.skippedHand ? "Yes" : "No",
+          ds.penalty
+            ? `${PENALTY_REASONS[ds.penaltyReason]?.label || "Penalty"}: ${ds.offenderName || playerById.get(ds.offenderPlayerId)?.name || ""}`
+            : "",
         ];
       })
     ),
@@ -403,6 +544,8 @@ function exportCoincheExcel({
     <ProtectWindows>False</ProtectWindows>
   </ExcelWorkbook>
   ${buildWorksheetXml("Standings", standingsRows)}
+  ${playerStandingsRows.length ? buildWorksheetXml("Player Standings", playerStandingsSheetRows) : ""}
+  ${pastStages.map(({ stage, rows }) => buildWorksheetXml(`Stage ${stage} Standings`, toStandingsSheet("Team", rows))).join("")}
   ${buildWorksheetXml("Team Stats", teamStatsSheetRows)}
   ${buildWorksheetXml("Fun Stats", funStatsRows)}
   ${buildWorksheetXml("Hand Audit Log", handAuditRows)}
@@ -431,6 +574,8 @@ function SuitIcon({ suit }) {
     D: { ch: "♦", color: "#fb7185", label: "Diamonds" },
     C: { ch: "♣", color: "#34d399", label: "Clubs" },
     S: { ch: "♠", color: "#60a5fa", label: "Spades" },
+    SA: { ch: "SA", color: "#fbbf24", label: "Sans atout" },
+    TA: { ch: "TA", color: "#c084fc", label: "Tout atout" },
   };
   const s = map[suit] || map.S;
   return (
@@ -503,143 +648,6 @@ function ensureGlobalCSS() {
   document.head.appendChild(el);
 }
 
-/* =========================
-   Scoring
-========================= */
-
-function roundBelotePoints(raw) {
-  const n = clamp(Number(raw) || 0, 0, 162);
-  const ones = n % 10;
-
-  if (ones <= 5) return n - ones;
-  return n + (10 - ones);
-}
-
-function roundTrickPointsPair(rawBidderPoints) {
-  const bidderRaw = clamp(Number(rawBidderPoints) || 0, 0, 162);
-  const oppRaw = 162 - bidderRaw;
-
-  return {
-    bidderRounded: roundBelotePoints(bidderRaw),
-    oppRounded: roundBelotePoints(oppRaw),
-  };
-}
-
-function computeContractRequirement({ bid, bidder, announceA, announceB, beloteTeam }) {
-  const bidVal = Number(bid) || 0;
-  const aAnn = Number(announceA) || 0;
-  const bAnn = Number(announceB) || 0;
-
-  const bidderHasBelote =
-    (bidder === "A" && beloteTeam === "A") || (bidder === "B" && beloteTeam === "B");
-
-  const bidderAnnounces = bidder === "A" ? aAnn : bAnn;
-  const beloteReduction = bidderHasBelote ? 20 : 0;
-
-  // Announces can reduce the contract, but never below 81.
-  // Belote is the only announce that can reduce it to 71.
-  const floor = bidderHasBelote ? 71 : 81;
-  const reduction = bidderAnnounces + beloteReduction;
-
-  return Math.max(floor, bidVal - reduction);
-}
-
-function computeFastCoincheScore({
-  bidder,
-  bid,
-  coincheLevel,
-  capot,
-  bidderTrickPoints,
-  announceA,
-  announceB,
-  beloteTeam,
-}) {
-  const bidderIsA = bidder === "A";
-  const bidVal = Number(bid) || 0;
-
-  const aAnn = Number(announceA) || 0;
-  const bAnn = Number(announceB) || 0;
-
-  const beloteA = beloteTeam === "A" ? 20 : 0;
-  const beloteB = beloteTeam === "B" ? 20 : 0;
-
-  const rawBidder = clamp(Number(bidderTrickPoints) || 0, 0, 162);
-  const { bidderRounded, oppRounded } = roundTrickPointsPair(rawBidder);
-
-  const required = computeContractRequirement({
-    bid: bidVal,
-    bidder,
-    announceA: aAnn,
-    announceB: bAnn,
-    beloteTeam,
-  });
-
-  const bidderSucceeded = rawBidder >= required;
-  const isCoinche = coincheLevel !== "NONE";
-  const mult =
-    coincheLevel === "SURCOINCHE" ? 4 : coincheLevel === "COINCHE" ? 2 : 1;
-
-  let scoreA = 0;
-  let scoreB = 0;
-
-  if (capot) {
-    const winnerTotal = 250 + bidVal + aAnn + bAnn + beloteA + beloteB;
-    if (bidderIsA) {
-      scoreA = winnerTotal;
-      scoreB = 0;
-    } else {
-      scoreB = winnerTotal;
-      scoreA = 0;
-    }
-    return { scoreA, scoreB, bidderSucceeded: true };
-  }
-
-  if (isCoinche) {
-    const winnerTotal = 160 + aAnn + bAnn + mult * bidVal;
-
-    if (bidderSucceeded) {
-      if (bidderIsA) {
-        scoreA = winnerTotal + beloteA;
-        scoreB = beloteB;
-      } else {
-        scoreB = winnerTotal + beloteB;
-        scoreA = beloteA;
-      }
-    } else {
-      if (bidderIsA) {
-        scoreA = beloteA;
-        scoreB = winnerTotal + beloteB;
-      } else {
-        scoreB = beloteB;
-        scoreA = winnerTotal + beloteA;
-      }
-    }
-
-    return { scoreA, scoreB, bidderSucceeded };
-  }
-
-  if (bidderSucceeded) {
-    if (bidderIsA) {
-      scoreA = bidderRounded + aAnn + bidVal + beloteA;
-      scoreB = oppRounded + bAnn + beloteB;
-    } else {
-      scoreB = bidderRounded + bAnn + bidVal + beloteB;
-      scoreA = oppRounded + aAnn + beloteA;
-    }
-  } else {
-    const stolenAnnounces = aAnn + bAnn;
-    if (bidderIsA) {
-      scoreA = beloteA;
-      scoreB = 160 + bidVal + stolenAnnounces + beloteB;
-    } else {
-      scoreB = beloteB;
-      scoreA = 160 + bidVal + stolenAnnounces + beloteA;
-    }
-  }
-
-  return { scoreA, scoreB, bidderSucceeded };
-}
-
 /* =========================
    Routing
 ========================= */
@@ -684,6 +692,11 @@ function parseHashRoute() {
     return { path: "/admin", query: { ...query, tid } };
   }
 
+  if (segments[0] === "register" || segments[0] === "checkin") {
+    const tid = decodeURIComponent(segments[1] || query.tid || directTid || "");
+    return { path: `/${segments[0]}`, query: { ...query, tid } };
+  }
+
   return { path: cleanPath || "/admin", query };
 }
 
@@ -711,7 +724,7 @@ function buildHashRoute(path, query = {}) {
     return parts.join("/");
   }
 
-  if (cleanPath === "/public" || cleanPath === "/admin") {
+  if (["/public", "/admin", "/register", "/checkin"].includes(cleanPath)) {
     return tid ? `#${cleanPath}/${encodeURIComponent(tid)}` : `#${cleanPath}`;
   }
 
@@ -768,6 +781,15 @@ function safeSetStorage(key, value) {
   }
 }
 
+function safeRemoveStorage(key) {
+  try {
+    window.localStorage.removeItem(key);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 function detectMobileLike() {
   try {
     if (typeof window === "undefined") return false;
@@ -795,16 +817,61 @@ const defaultFastDraft = () => ({
   trickSource: "",
   skippedHand: false,
   beloteTeam: "NONE",
-  announceA1: "",
+  belotePlayerId: "",
+  announceA1Types: [],
   announceA1PlayerId: "",
-  announceA2: "",
+  announceA2Types: [],
   announceA2PlayerId: "",
-  announceB1: "",
+  announceB1Types: [],
   announceB1PlayerId: "",
-  announceB2: "",
+  announceB2Types: [],
   announceB2PlayerId: "",
+  announceTieWinner: "NONE",
+  auction: null,
+  auctionDealerPlayerId: "",
+  playLog: null,
+  generale: false,
+  generalePlayerId: "",
+});
+
+const defaultTournamentSettings = () => ({
+  ruleProfileId: DEFAULT_RULE_PROFILE_ID,
+  endCondition: defaultEndCondition(),
+  litigeMode: false,
+  penaltyRule: defaultPenaltyRule(),
+  // Only checked-in players are drawn into teams, mêlée rounds and pairings.
+  checkInRequired: false,
+  // Mêlée: partners are redrawn every round and players are ranked individually.
+  meleeMode: false,
+  standingPoints: { ...DEFAULT_STANDING_POINTS },
+  // Applied in order to teams level on standing points.
+  tiebreakers: [...DEFAULT_TIEBREAKERS],
+  // { [round]: "OPEN" | "LOCKED" | "CLOSED" }; rounds not listed are open.
+  roundStatus: {},
 });
 
+const normalizeTournamentSettings = (s) => {
+  const raw = jsonSafe(s, null) || {};
+  return {
+    ...defaultTournamentSettings(),
+    ...raw,
+    endCondition: { ...defaultEndCondition(), ...(raw.endCondition || {}) },
+    penaltyRule: { ...defaultPenaltyRule(), ...(raw.penaltyRule || {}) },
+    roundStatus: { ...(raw.roundStatus || {}) },
+    standingPoints: normalizeStandingPoints(raw.standingPoints),
+    tiebreakers: normalizeTiebreakers(raw.tiebreakers),
+  };
+};
+
+function describeEndCondition(rule) {
+  const r = resolveEndCondition(rule);
+  if (r.type === "HANDS") return `Match ends after ${r.handCount} hands. Highest total wins.`;
+  if (r.type === "TARGET_FINISH_ROUND") {
+    return `First to ${r.targetScore}+, then finish the current round of deals.`;
+  }
+  return `Match ends immediately at ${r.targetScore}+.`;
+}
+
 const normalizeLoadedMatch = (m) => ({
   ...m,
   hands: (m.hands || []).map((h) => ({
@@ -814,9 +881,19 @@ const normalizeLoadedMatch = (m) => ({
   fastDraft: { ...defaultFastDraft(), ...(m.fastDraft || {}) },
   tableOrderPlayerIds: m.tableOrderPlayerIds ?? [],
   firstShufflerPlayerId: m.firstShufflerPlayerId ?? "",
+  endCondition: m.endCondition ?? null,
+  swissRound: m.swissRound ?? null,
+  bye: Boolean(m.bye),
+  bracket: m.bracket ?? null,
+  round: normalizeRound(m.round ?? m.swissRound),
+  phase: normalizePhase(m.phase),
+  forfeitTeamId: m.forfeitTeamId ?? null,
+  archived: Boolean(m.archived),
+  substitutions: m.substitutions ?? [],
+  version: Number(m.version) || 0,
 });
 
-function makeEmptyMatch({ tableName, teamAId, teamBId, label }) {
+function makeEmptyMatch({ tableName, teamAId, teamBId, label, endCondition, round, phase }) {
   return {
     id: uid("match"),
     code: shortCode(),
@@ -836,35 +913,261 @@ function makeEmptyMatch({ tableName, teamAId, teamBId, label }) {
     lastUpdatedAt: Date.now(),
     tableOrderPlayerIds: [],
     firstShufflerPlayerId: "",
+    // Per-match override of the tournament end condition (null = inherit).
+    endCondition: endCondition || null,
+    // Swiss round this match was paired in (null = created by hand).
+    swissRound: null,
+    // A bye is a placeholder row for the team sitting a round out.
+    bye: false,
+    // Knockout slot: { stage, round, slot, name, sources: { A, B } } where a
+    // source is { teamId } or { matchId, take: "winner" | "loser" }.
+    bracket: null,
+    round: normalizeRound(round),
+    phase: normalizePhase(phase),
+    // Team that forfeited; the match counts as won by the other team.
+    forfeitTeamId: null,
+    // Set when a team redraw closes the stage this match was played in.
+    archived: false,
+    // Seat changes during the match; see getSeatedPlayerIds.
+    substitutions: [],
   };
 }
 
-function recomputeMatch(m) {
-  let totalA = 0;
-  let totalB = 0;
+const getMatchEndRule = (m, settings) =>
+  resolveEndCondition(settings?.endCondition, m?.endCondition);
+
+function recomputeMatch(m, settings) {
+  // Escrow payouts are derived from the hand snapshots, so edits replay cleanly.
+  const { hands, pending: litigeEscrow } = applyLitigeEscrow(m.hands);
   const diffs = [];
-  for (const h of m.hands || []) {
-    totalA += Number(h.scoreA) || 0;
-    totalB += Number(h.scoreB) || 0;
-    diffs.push(totalA - totalB);
+  let running = 0;
+  for (const h of hands) {
+    running +=
+      (Number(h.scoreA) || 0) + h.escrowPayoutA - (Number(h.scoreB) || 0) - h.escrowPayoutB;
+    diffs.push(running);
   }
-  const completed = Boolean(m.forcedComplete) || totalA >= TARGET_SCORE || totalB >= TARGET_SCORE;
-  const winnerId = completed && totalA !== totalB ? (totalA > totalB ? m.teamAId : m.teamBId) : null;
+  const endRule = getMatchEndRule(m, settings);
+  const { totalA, totalB, completed: endReached } = evaluateEndCondition(hands, endRule);
+  // A forfeit settles the match for the other team whatever the score.
+  const forfeitTeamId = [m.teamAId, m.teamBId].includes(m.forfeitTeamId) ? m.forfeitTeamId : null;
+  const completed = Boolean(m.forcedComplete) || endReached || Boolean(forfeitTeamId);
+  let winnerId = completed && totalA !== totalB ? (totalA > totalB ? m.teamAId : m.teamBId) : null;
+  if (forfeitTeamId) winnerId = forfeitTeamId === m.teamAId ? m.teamBId : m.teamAId;
   return {
     ...m,
+    hands,
+    litigeEscrow,
     totalA,
     totalB,
     completed,
+    endReached,
+    endRule,
     winnerId,
     timelineDiffs: diffs,
     lastUpdatedAt: Date.now(),
   };
 }
 
-const sumAnnounces = (d, side) => num(d?.[`announce${side}1`]) + num(d?.[`announce${side}2`]);
+// Announce slots are per player (A1/A2/B1/B2); hands saved before typed
+// announces only kept the point total of each slot.
+const getAnnounceTypes = (d, slot) => {
+  const types = d?.[`announce${slot}Types`];
+  return Array.isArray(types) && types.length ? types : announceTypesFromPoints(d?.[`announce${slot}`]);
+};
+
+const formatAnnounceTypes = (types) => types.map((t) => ANNOUNCE_TYPES[t]?.label || t).join(" + ");
+
+const resolveDraftAnnounces = (d) =>
+  resolveAnnounces({
+    typesA: [...getAnnounceTypes(d, "A1"), ...getAnnounceTypes(d, "A2")],
+    typesB: [...getAnnounceTypes(d, "B1"), ...getAnnounceTypes(d, "B2")],
+    tieWinner: d?.announceTieWinner,
+  });
+
+// match.substitutions: [{ fromHand, outPlayerId, inPlayerId, at }], oldest first.
+// The substitute holds the seat from hand `fromHand` (1-based) onwards.
+// Defaults to the hand being entered (or edited).
+function getSeatedPlayerIds(match, teamById, handIdx = match.editingHandIdx || (match.hands || []).length + 1) {
+  const seated = {
+    A: [...(teamById.get(match.teamAId)?.playerIds || [])],
+    B: [...(teamById.get(match.teamBId)?.playerIds || [])],
+  };
+  for (const sub of match.substitutions || []) {
+    if (sub.fromHand > handIdx) continue;
+    seated.A = seated.A.map((pid) => (pid === sub.outPlayerId ? sub.inPlayerId : pid));
+    seated.B = seated.B.map((pid) => (pid === sub.outPlayerId ? sub.inPlayerId : pid));
+  }
+  return seated;
+}
+
+// Everyone who held a seat on each side at some point in the match.
+function getMatchParticipantIds(match, teamById) {
+  const out = { A: new Set(), B: new Set() };
+  const handCounts = [1, ...(match.substitutions || []).map((sub) => sub.fromHand)];
+  handCounts.forEach((handIdx) => {
+    const seated = getSeatedPlayerIds(match, teamById, handIdx);
+    seated.A.forEach((pid) => out.A.add(pid));
+    seated.B.forEach((pid) => out.B.add(pid));
+  });
+  return { A: [...out.A], B: [...out.B] };
+}
+
+function getSideByPlayerId(match, teamById, handIdx) {
+  const seated = getSeatedPlayerIds(match, teamById, handIdx);
+  const sideByPlayerId = {};
+  for (const pid of seated.A) sideByPlayerId[pid] = "A";
+  for (const pid of seated.B) sideByPlayerId[pid] = "B";
+  return sideByPlayerId;
+}
+
+function getAuctionContext(match, teamById, dealerPlayerId, ruleProfile) {
+  return {
+    seats: auctionSeats(match.tableOrderPlayerIds, dealerPlayerId),
+    sideByPlayerId: getSideByPlayerId(match, teamById),
+    ruleProfile,
+  };
+}
+
+// null when the hand was entered without recording the auction.
+const replayDraftAuction = (match, d, teamById, ruleProfile) =>
+  Array.isArray(d?.auction) && d.auction.length
+    ? replayAuction(d.auction, getAuctionContext(match, teamById, d.auctionDealerPlayerId, ruleProfile))
+    : null;
+
+const getPlayContext = (match, d, teamById) => ({
+  seats: match.tableOrderPlayerIds || [],
+  sideByPlayerId: getSideByPlayerId(match, teamById),
+  trumpSuit: d.suit,
+  bidder: d.bidder,
+});
+
+// null when trick points were typed or scanned instead of played out.
+const replayDraftPlay = (match, d, teamById) =>
+  d?.playLog?.tricks?.length ? replayPlayLog(d.playLog, getPlayContext(match, d, teamById)) : null;
+
+// A générale is only made when the declarer took every trick personally.
+const playLogCapot = (play, d) =>
+  d.generale ? play.tricksWonByPlayer[d.generalePlayerId] === TRICKS_PER_HAND : play.capot;
+
+// The draft as it will be scored: a recorded auction is the source of truth for
+// the contract, and a played-out hand decides the trick points and capot.
+// pending is set while either is still unfinished or breaks the rules.
+function resolveScoredDraft(match, draft, teamById, ruleProfile) {
+  const auction = replayDraftAuction(match, draft, teamById, ruleProfile);
+  const auctionPending = !!auction && (!!auction.error || !auction.finished || !auction.contract);
+  const contracted =
+    auction && !auctionPending ? { ...draft, ...auction.contract, bid: String(auction.contract.bid) } : draft;
+
+  const play = replayDraftPlay(match, contracted, teamById);
+  const playPending = !!play && (play.errors.length > 0 || !play.complete);
+  const d =
+    play && !playPending
+      ? {
+          ...contracted,
+          bidderTrickPoints: String(play.bidderTrickPoints),
+          nonBidderTrickPoints: String(play.nonBidderTrickPoints),
+          trickSource: "BIDDER",
+          capot: playLogCapot(play, contracted),
+        }
+      : contracted;
+
+  return { auction, play, d, pending: auctionPending || playPending };
+}
+
+function validateScoredDraft(match, scored, { teamById, playerById, ruleProfile }) {
+  const setupReady =
+    !!match.teamAId &&
+    !!match.teamBId &&
+    Array.isArray(match.tableOrderPlayerIds) &&
+    match.tableOrderPlayerIds.length === 4 &&
+    !!match.firstShufflerPlayerId;
+
+  return validateHandDraft(scored.d, {
+    setupReady,
+    sideByPlayerId: getSideByPlayerId(match, teamById),
+    ruleProfile,
+    play: scored.play,
+    playerName: (pid) => playerById.get(pid)?.name,
+    teamName: (side) => teamById.get(side === "A" ? match.teamAId : match.teamBId)?.name,
+  });
+}
+
+// One match as a standings result between the entrants on each side.
+function matchStandingResult(m, A, B, settings) {
+  const hasHands = (m.hands || []).length > 0;
+  const forfeit = !m.forfeitTeamId ? null : m.forfeitTeamId === m.teamAId ? "A" : m.forfeitTeamId === m.teamBId ? "B" : null;
+  const outcome =
+    m.winnerId && m.winnerId === m.teamAId ? "A" : m.winnerId && m.winnerId === m.teamBId ? "B" : m.completed ? "DRAW" : null;
+  return {
+    A,
+    B,
+    scoreA: Number(m.totalA) || 0,
+    scoreB: Number(m.totalB) || 0,
+    hands: (m.hands || []).length,
+    played: hasHands || Boolean(forfeit),
+    outcome,
+    forfeit,
+    forced: Boolean(outcome) && !evaluateEndCondition(m.hands, getMatchEndRule(m, settings)).completed,
+    bye: Boolean(m.bye),
+  };
+}
+
+// Standings from the given matches; pass a subset to get standings as of a round.
+function computeScoreboardRows({ teams, matches, teamById, settings }) {
+  const entrants = teams.map((t) => ({ id: t.id, name: t.name }));
+  const known = new Set(entrants.map((e) => e.id));
+  const results = [];
+
+  for (const m of matches) {
+    if (m.bye) {
+      if (m.teamAId) results.push(matchStandingResult(m, [m.teamAId], [], settings));
+      continue;
+    }
+    if (!m.teamAId || !m.teamBId) continue;
+
+    [
+      [m.teamAId, "Team A"],
+      [m.teamBId, "Team B"],
+    ].forEach(([id, fallback]) => {
+      if (known.has(id)) return;
+      known.add(id);
+      entrants.push({ id, name: teamById.get(id)?.name || fallback });
+    });
+    results.push(matchStandingResult(m, [m.teamAId], [m.teamBId], settings));
+  }
+
+  return computeStandings({
+    entrants,
+    results,
+    points: settings?.standingPoints,
+    tiebreakers: settings?.tiebreakers,
+  }).map((r) => ({ ...r, teamId: r.id }));
+}
+
+// Each redraw of the teams starts a new stage; teams from before 1 was tracked are stage 1.
+const teamStage = (t) => t?.stage || 1;
+const listStages = (teams) => [...new Set(teams.map(teamStage))].sort((a, b) => a - b);
+
+// Mêlée matches are played by pairs drawn for one round; they only count towards
+// the player standings.
+const isMeleeMatch = (m, teamById) => Boolean(teamById.get(m.teamAId)?.melee || teamById.get(m.teamBId)?.melee);
+
+// Every match credits the players who sat at it, substitutes included.
+function computePlayerStandings({ players, matches, teamById, settings }) {
+  const results = matches
+    .filter((m) => !m.bye && m.teamAId && m.teamBId)
+    .map((m) => {
+      const { A, B } = getMatchParticipantIds(m, teamById);
+      return matchStandingResult(m, A, B, settings);
+    });
 
-const getTeamPlayers = (team, playerById) =>
-  (team?.playerIds || []).map((id) => playerById.get(id)).filter(Boolean);
+  return computeStandings({
+    entrants: players.map((p) => ({ id: p.id, name: p.name })),
+    results,
+    points: settings?.standingPoints,
+    tiebreakers: settings?.tiebreakers,
+  }).map((r) => ({ ...r, playerId: r.id }));
+}
 
 function getCurrentDealerInfo(match, playerById) {
   const order = match.tableOrderPlayerIds || [];
@@ -883,8 +1186,11 @@ function getCurrentDealerInfo(match, playerById) {
 function matchToRow(match, teamById, playerById, appName, tournamentId) {
   const teamA = teamById.get(match.teamAId) || null;
   const teamB = teamById.get(match.teamBId) || null;
-  const teamAPlayers = getTeamPlayers(teamA, playerById).map((p) => ({ id: p.id, name: p.name }));
-  const teamBPlayers = getTeamPlayers(teamB, playerById).map((p) => ({ id: p.id, name: p.name }));
+  // Who sits at the table now, substitutes included.
+  const seated = getSeatedPlayerIds(match, teamById, (match.hands || []).length + 1);
+  const toPlayerRef = (pid) => ({ id: pid, name: playerById.get(pid)?.name || "" });
+  const teamAPlayers = seated.A.filter((pid) => playerById.has(pid)).map(toPlayerRef);
+  const teamBPlayers = seated.B.filter((pid) => playerById.has(pid)).map(toPlayerRef);
 
   return {
     id: match.id,
@@ -904,6 +1210,17 @@ function matchToRow(match, teamById, playerById, appName, tournamentId) {
     table_order_player_ids: match.tableOrderPlayerIds || [],
     first_shuffler_player_id: match.firstShufflerPlayerId || "",
     fast_draft: match.fastDraft || defaultFastDraft(),
+    end_condition: match.endCondition || null,
+    swiss_round: match.swissRound ?? null,
+    bye: !!match.bye,
+    bracket: match.bracket || null,
+    round: normalizeRound(match.round),
+    phase: normalizePhase(match.phase),
+    forfeit_team_id: match.forfeitTeamId || null,
+    archived: !!match.archived,
+    substitutions: match.substitutions || [],
+    // The version this write is based on; save_match_bundle rejects it if stale.
+    version: Number(match.version) || 0,
     app_name: appName || "Coinche Scorekeeper",
     team_a_name: teamA?.name || "",
     team_b_name: teamB?.name || "",
@@ -927,10 +1244,10 @@ function handToRow(match, hand, tournamentId) {
   };
 }
 
-function rowToMatch(row) {
+function rowToMatch(row, codes = {}) {
   return normalizeLoadedMatch({
     id: row.id,
-    code: row.code,
+    code: row.code || codes[row.id] || "",
     tableName: row.table_name || "Table",
     label: row.label || "Match",
     teamAId: row.team_a_id || null,
@@ -947,6 +1264,16 @@ function rowToMatch(row) {
     lastUpdatedAt: row.last_updated_at ? new Date(row.last_updated_at).getTime() : Date.now(),
     tableOrderPlayerIds: jsonSafe(row.table_order_player_ids, []),
     firstShufflerPlayerId: row.first_shuffler_player_id || "",
+    endCondition: jsonSafe(row.end_condition, null),
+    swissRound: row.swiss_round ?? null,
+    bye: !!row.bye,
+    bracket: jsonSafe(row.bracket, null),
+    round: row.round ?? null,
+    phase: row.phase || null,
+    forfeitTeamId: row.forfeit_team_id || null,
+    archived: !!row.archived,
+    substitutions: jsonSafe(row.substitutions, []),
+    version: Number(row.version) || 0,
   });
 }
 
@@ -962,6 +1289,59 @@ function rowToHand(row) {
   };
 }
 
+/* Realtime patches: each applies one postgres_changes payload to the match list.
+   They return null when the change cannot be applied in place because an
+   earlier one was missed; the caller then reloads the tournament. */
+
+function applyMatchChange(matches, payload, settings) {
+  if (payload.eventType === "DELETE") {
+    return matches.some((m) => m.id === payload.old?.id) ? matches.filter((m) => m.id !== payload.old.id) : matches;
+  }
+
+  const incoming = rowToMatch(payload.new);
+  const existing = matches.find((m) => m.id === incoming.id);
+  if (!existing) return [...matches, recomputeMatch(incoming, settings)];
+  // Every save bumps the version by one (save_match_bundle).
+  if (incoming.version <= existing.version) return matches;
+  if (incoming.version > existing.version + 1) return null;
+  return matches.map((m) =>
+    m.id === incoming.id ? recomputeMatch({ ...incoming, code: incoming.code || m.code, hands: m.hands }, settings) : m
+  );
+}
+
+// Hand ids are `${match_id}_${hand_idx}`; deletes only carry the id.
+function applyHandChange(matches, payload, settings) {
+  if (payload.eventType === "DELETE") {
+    const id = String(payload.old?.id || "");
+    const match = matches.find((m) => /^\d+$/.test(id.slice(m.id.length + 1)) && id.startsWith(`${m.id}_`));
+    if (!match) return matches;
+    const idx = Number(id.slice(match.id.length + 1));
+    return matches.map((m) =>
+      m === match ? recomputeMatch({ ...m, hands: m.hands.filter((h) => h.idx !== idx) }, settings) : m
+    );
+  }
+
+  const row = payload.new;
+  if (!matches.some((m) => m.id === row.match_id)) return null;
+  const hand = rowToHand(row);
+  return matches.map((m) =>
+    m.id !== row.match_id
+      ? m
+      : recomputeMatch(
+          { ...m, hands: [...m.hands.filter((h) => h.idx !== hand.idx), hand].sort((a, b) => a.idx - b.idx) },
+          settings
+        )
+  );
+}
+
+function applyTournamentChange(tournaments, payload) {
+  if (payload.eventType === "DELETE") return tournaments.filter((t) => t.id !== payload.old?.id);
+  const row = payload.new;
+  return tournaments.some((t) => t.id === row.id)
+    ? tournaments.map((t) => (t.id === row.id ? { ...t, ...row } : t))
+    : [row, ...tournaments];
+}
+
 function derivePeopleAndTeams(matchRows) {
   const playersMap = new Map();
   const teamsMap = new Map();
@@ -999,6 +1379,66 @@ function derivePeopleAndTeams(matchRows) {
   };
 }
 
+// Match codes are the scorers' write key and cannot be read from the matches
+// table: organizers load them with match_codes() and a table link learns its
+// own through match_by_code().
+const MATCH_COLUMNS = [
+  "id, tournament_id, table_name, label",
+  "team_a_id, team_b_id, team_a_name, team_b_name, team_a_players, team_b_players",
+  "total_a, total_b, winner_id, completed, forced_complete, editing_hand_idx, last_updated_at",
+  "table_order_player_ids, first_shuffler_player_id, fast_draft, end_condition",
+  "swiss_round, bye, bracket, round, phase, forfeit_team_id, archived, substitutions",
+  "app_name, version",
+].join(", ");
+
+// Resolves to { [matchId]: code }; empty for anyone but an organizer.
+async function loadMatchCodes(tournamentId) {
+  const { data, error } = await supabase.rpc("match_codes", { tid: tournamentId });
+  if (error) throw error;
+  return Object.fromEntries((data || []).map((r) => [r.id, r.code]));
+}
+
+// Resolves to { id, tournament_id } of the match behind a table link, or null.
+async function findMatchByCode(code, tournamentId) {
+  const { data, error } = await supabase.rpc("match_by_code", { match_code: code, tid: tournamentId || null });
+  if (error) throw error;
+  return (data || [])[0] || null;
+}
+
+// Writes the match and replaces its hands in one transaction, provided nobody
+// saved the match since matchRow.version. Resolves to the new version; a stale
+// write throws with code CONFLICT_CODE.
+async function saveMatchRowsToSupabase({ matchRow, handRows }) {
+  const { data, error } = await supabase.rpc("save_match_bundle", {
+    match_row: matchRow,
+    hand_rows: handRows,
+    expected_version: matchRow.version || 0,
+  });
+  if (error) throw error;
+  return Number(data);
+}
+
+// The server's copy of one match, for the conflict screen.
+async function loadMatchFromSupabase(matchId) {
+  const [{ data: row, error: matchErr }, { data: handRows, error: handsErr }] = await Promise.all([
+    supabase.from("matches").select(MATCH_COLUMNS).eq("id", matchId).maybeSingle(),
+    supabase.from("hands").select("*").eq("match_id", matchId).order("hand_idx", { ascending: true }),
+  ]);
+  if (matchErr) throw matchErr;
+  if (handsErr) throw handsErr;
+  if (!row) return null;
+  return normalizeLoadedMatch({ ...rowToMatch(row), hands: (handRows || []).map(rowToHand) });
+}
+
+// Keeps the cached copy in step when a save moves a match to a new version.
+function storeMatchVersion(tournamentId, matchId, version) {
+  const raw = safeGetStorage(scopedLsKey(tournamentId));
+  const parsed = raw ? jsonSafe(raw, null) : null;
+  if (!parsed?.matches) return;
+  parsed.matches = parsed.matches.map((m) => (m.id === matchId ? { ...m, version } : m));
+  safeSetStorage(scopedLsKey(tournamentId), JSON.stringify(parsed));
+}
+
 async function saveTournamentStateToSupabase({
   tournamentId,
   appName,
@@ -1006,6 +1446,7 @@ async function saveTournamentStateToSupabase({
   teams,
   pairHistory,
   avoidSameTeams,
+  settings,
 }) {
   if (!tournamentId) return;
 
@@ -1017,6 +1458,7 @@ async function saveTournamentStateToSupabase({
       teams: teams || [],
       pair_history: pairHistory || [],
       avoid_same_teams: !!avoidSameTeams,
+      settings: normalizeTournamentSettings(settings),
       updated_at: new Date().toISOString(),
     },
     { onConflict: "tournament_id" }
@@ -1038,6 +1480,49 @@ async function loadTournamentStateFromSupabase(tournamentId) {
   return data || null;
 }
 
+/* =========================
+   Registrations
+========================= */
+
+// Players sign themselves up from the #/register link; the organiser turns each
+// registration into a player when checking them in.
+const rowToRegistration = (row) => ({
+  id: row.id,
+  name: row.name || "",
+  preferredPartner: row.preferred_partner || "",
+  playerId: row.player_id || null,
+  createdAt: row.created_at ? new Date(row.created_at).getTime() : Date.now(),
+});
+
+async function loadRegistrationsFromSupabase(tournamentId) {
+  if (!tournamentId) return [];
+
+  const { data, error } = await supabase
+    .from("registrations")
+    .select("*")
+    .eq("tournament_id", tournamentId)
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(rowToRegistration);
+}
+
+async function insertRegistrationToSupabase({ tournamentId, name, preferredPartner }) {
+  const { error } = await supabase.from("registrations").insert({
+    id: uid("reg"),
+    tournament_id: tournamentId,
+    name,
+    preferred_partner: preferredPartner || null,
+    created_at: new Date().toISOString(),
+  });
+  if (error) throw error;
+}
+
+async function linkRegistrationToPlayer(registrationId, playerId) {
+  const { error } = await supabase.from("registrations").update({ player_id: playerId }).eq("id", registrationId);
+  if (error) throw error;
+}
+
 /* =========================
    Styles
 ========================= */
@@ -1264,7 +1749,36 @@ function extractTableAndMatchOrder(match) {
   return { tableNumber, matchNumber };
 }
 
+// Buckets matches by round, keeping their order inside each bucket. Without any
+// rounds there is a single untitled bucket so older events render as before.
+function groupMatchesByRound(list) {
+  if (!list.some((m) => normalizeRound(m.round) !== null)) return [{ key: "all", title: "", matches: list }];
+
+  const groups = new Map();
+  for (const m of list) {
+    const round = normalizeRound(m.round);
+    const key = round === null ? "none" : String(round);
+    if (!groups.has(key)) groups.set(key, { key, round, matches: [] });
+    groups.get(key).matches.push(m);
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => (a.round ?? 999999) - (b.round ?? 999999))
+    .map((g) => {
+      const phases = [...new Set(g.matches.map((m) => m.phase))];
+      return {
+        ...g,
+        title: g.round === null ? "Other matches" : roundLabel(g.round, phases.length === 1 ? phases[0] : null),
+      };
+    });
+}
+
 function compareMatchesByTournamentOrder(a, b) {
+  // Explicit rounds come first; names are only parsed within a round.
+  const aRound = normalizeRound(a?.round) ?? 999999;
+  const bRound = normalizeRound(b?.round) ?? 999999;
+  if (aRound !== bRound) return aRound - bRound;
+
   const aOrder = extractTableAndMatchOrder(a);
   const bOrder = extractTableAndMatchOrder(b);
 
@@ -1295,16 +1809,35 @@ export default function App() {
   const [appName, setAppName] = useState("Coinche Scorekeeper");
   const [tournaments, setTournaments] = useState([]);
   const [currentTournamentId, setCurrentTournamentId] = useState("");
+  const [tournamentStatusFilter, setTournamentStatusFilter] = useState("");
   const [players, setPlayers] = useState([]);
   const [teams, setTeams] = useState([]);
   const [avoidSameTeams, setAvoidSameTeams] = useState(true);
   const [pairHistory, setPairHistory] = useState([]);
+  const [settings, setSettings] = useState(() => defaultTournamentSettings());
   const [matches, setMatches] = useState([]);
+  // Codes of the current tournament's matches, which the matches table does not
+  // return: all of them for an organizer, the table's own for a table link.
+  const [matchCodes, setMatchCodes] = useState({ tournamentId: "", byId: {} });
 
   const [newPlayerName, setNewPlayerName] = useState("");
   const [newTeamName, setNewTeamName] = useState("");
   const [newTableName, setNewTableName] = useState("Table 1");
   const [newMatchLabel, setNewMatchLabel] = useState("Match 1");
+  const [newMatchTarget, setNewMatchTarget] = useState("");
+  const [registrations, setRegistrations] = useState([]);
+  const [outbox, setOutbox] = useState(() => readOutbox());
+  // { [matchId]: { remote: match | null } } for writes the server rejected as stale.
+  const [conflicts, setConflicts] = useState({});
+  const [session, setSession] = useState(null);
+  const [authReady, setAuthReady] = useState(false);
+  const [organizerCheck, setOrganizerCheck] = useState({ userId: null, ok: false });
+  const [swissPreview, setSwissPreview] = useState(null);
+  const [roundRobinTables, setRoundRobinTables] = useState("");
+  const [roundRobinPreview, setRoundRobinPreview] = useState(null);
+  const [bracketType, setBracketType] = useState("SINGLE");
+  const [bracketQualifiers, setBracketQualifiers] = useState("");
+  const [standingsRound, setStandingsRound] = useState("");
   const [playersCollapsed, setPlayersCollapsed] = useState(false);
   const [teamsCollapsed, setTeamsCollapsed] = useState(false);
 
@@ -1313,9 +1846,10 @@ export default function App() {
 
   const inputRef = useRef(null);
   const lastSavedAtRef = useRef(0);
-  const isPushingRef = useRef(false);
+  // Latest state for realtime handlers, which outlive the render they were made in.
+  const liveRef = useRef(null);
   const handSaveLocksRef = useRef(new Set());
-  const routeRefreshAttemptRef = useRef("");
+  const conflictLoadsRef = useRef(new Set());
 
   useEffect(() => ensureGlobalCSS(), []);
   useEffect(() => {
@@ -1340,6 +1874,7 @@ export default function App() {
         teams: next.teams ?? teams,
         avoidSameTeams: next.avoidSameTeams ?? avoidSameTeams,
         pairHistory: next.pairHistory ?? pairHistory,
+        settings: next.settings ?? settings,
         matches: next.matches ?? matches,
         savedAt: Date.now(),
       };
@@ -1355,12 +1890,14 @@ export default function App() {
     let nextPairHistory = pairHistory;
     let nextAvoidSameTeams = avoidSameTeams;
     let nextAppName = appName;
+    let nextSettings = settings;
 
     if (key === "players") nextPlayers = value;
     if (key === "teams") nextTeams = value;
     if (key === "pairHistory") nextPairHistory = value;
     if (key === "avoidSameTeams") nextAvoidSameTeams = value;
     if (key === "appName") nextAppName = value;
+    if (key === "settings") nextSettings = value;
 
     setter(value);
 
@@ -1370,6 +1907,7 @@ export default function App() {
       teams: nextTeams,
       pairHistory: nextPairHistory,
       avoidSameTeams: nextAvoidSameTeams,
+      settings: nextSettings,
     });
 
     try {
@@ -1380,6 +1918,7 @@ export default function App() {
         teams: nextTeams,
         pairHistory: nextPairHistory,
         avoidSameTeams: nextAvoidSameTeams,
+        settings: nextSettings,
       });
     } catch (err) {
       console.error(`Failed to save ${key} to Supabase:`, err);
@@ -1394,6 +1933,7 @@ export default function App() {
     setTeams(d.teams ?? []);
     setAvoidSameTeams(Boolean(d.avoidSameTeams ?? true));
     setPairHistory(d.pairHistory ?? []);
+    setSettings(normalizeTournamentSettings(d.settings));
     setMatches((d.matches ?? []).map(normalizeLoadedMatch));
   };
 
@@ -1413,6 +1953,9 @@ export default function App() {
 
 const playerById = useMemo(() => new Map(players.map((p) => [p.id, p])), [players]);
 const teamById = useMemo(() => new Map(teams.map((t) => [t.id, t])), [teams]);
+// Teams of the current stage; mêlée pairs only live for their round and archived
+// teams only for the matches of their stage.
+const rosterTeams = useMemo(() => teams.filter((t) => !t.melee && !t.archived), [teams]);
 
 const hydrateFromRemote = (matchRows, handRows) => {
   const baseMatches = (matchRows || []).map(rowToMatch);
@@ -1439,6 +1982,7 @@ const hydrateFromRemote = (matchRows, handRows) => {
     teams: [],
     avoidSameTeams: true,
     pairHistory: [],
+    settings: defaultTournamentSettings(),
   };
 
   try {
@@ -1451,6 +1995,7 @@ const hydrateFromRemote = (matchRows, handRows) => {
         teams: parsed.teams ?? [],
         avoidSameTeams: Boolean(parsed.avoidSameTeams ?? true),
         pairHistory: parsed.pairHistory ?? [],
+        settings: normalizeTournamentSettings(parsed.settings),
       };
     }
   } catch {}
@@ -1481,6 +2026,7 @@ const hydrateFromRemote = (matchRows, handRows) => {
     teams: Array.from(mergedTeamsMap.values()),
     avoidSameTeams: localFallback.avoidSameTeams,
     pairHistory: localFallback.pairHistory,
+    settings: localFallback.settings,
     matches: fullMatches,
     savedAt: Date.now(),
   };
@@ -1489,7 +2035,14 @@ const hydrateFromRemote = (matchRows, handRows) => {
   persistNow(payload);
 };
 
-const refreshFromSupabase = async (targetTournamentId = currentTournamentId) => {
+const rememberMatchCodes = (tournamentId, byId) =>
+  setMatchCodes((prev) => ({
+    tournamentId,
+    byId: { ...(prev.tournamentId === tournamentId ? prev.byId : {}), ...byId },
+  }));
+
+// `knownCodes` adds codes this render's state does not hold yet.
+const refreshFromSupabase = async (targetTournamentId = currentTournamentId, knownCodes = {}) => {
   if (!targetTournamentId) return null;
 
   try {
@@ -1497,10 +2050,11 @@ const refreshFromSupabase = async (targetTournamentId = currentTournamentId) =>
       { data: matchRows, error: matchErr },
       { data: handRows, error: handErr },
       stateRow,
+      loadedCodes,
     ] = await Promise.all([
       supabase
         .from("matches")
-        .select("*")
+        .select(MATCH_COLUMNS)
         .eq("tournament_id", targetTournamentId)
         .order("last_updated_at", { ascending: false }),
       supabase
@@ -1510,13 +2064,24 @@ const refreshFromSupabase = async (targetTournamentId = currentTournamentId) =>
         .order("match_id", { ascending: true })
         .order("hand_idx", { ascending: true }),
       loadTournamentStateFromSupabase(targetTournamentId),
+      loadMatchCodes(targetTournamentId).catch((err) => {
+        console.error("Failed to load match codes:", err);
+        return {};
+      }),
     ]);
 
     if (matchErr) throw matchErr;
     if (handErr) throw handErr;
 
-    const baseMatches = (matchRows || []).map(rowToMatch);
+    const codes = {
+      ...(matchCodes.tournamentId === targetTournamentId ? matchCodes.byId : {}),
+      ...knownCodes,
+      ...loadedCodes,
+    };
+    rememberMatchCodes(targetTournamentId, codes);
+    const baseMatches = (matchRows || []).map((row) => rowToMatch(row, codes));
     const handsByMatchId = new Map();
+    const nextSettings = stateRow?.settings ? normalizeTournamentSettings(stateRow.settings) : settings;
 
     (handRows || []).forEach((row) => {
       const arr = handsByMatchId.get(row.match_id) || [];
@@ -1524,12 +2089,19 @@ const refreshFromSupabase = async (targetTournamentId = currentTournamentId) =>
       handsByMatchId.set(row.match_id, arr);
     });
 
-    const fullMatches = baseMatches.map((m) =>
-      recomputeMatch({
-        ...m,
-        hands: (handsByMatchId.get(m.id) || []).sort((a, b) => a.idx - b.idx),
-      })
-    );
+    // Writes still waiting in the outbox are newer than what the server has.
+    const pending = pendingMatchBundles(targetTournamentId);
+    const fullMatches = baseMatches.map((m) => {
+      const p = pending.get(m.id);
+      const hands = p ? p.handRows.map(rowToHand) : handsByMatchId.get(m.id) || [];
+      return recomputeMatch(
+        {
+          ...(p ? rowToMatch(p.matchRow, codes) : m),
+          hands: hands.sort((a, b) => a.idx - b.idx),
+        },
+        nextSettings
+      );
+    });
 
     const derived = derivePeopleAndTeams(matchRows || []);
 
@@ -1556,6 +2128,7 @@ const refreshFromSupabase = async (targetTournamentId = currentTournamentId) =>
       teams: Array.from(mergedTeamsMap.values()),
       avoidSameTeams: Boolean(stateRow?.avoid_same_teams ?? avoidSameTeams ?? true),
       pairHistory: stateRow?.pair_history || pairHistory || [],
+      settings: nextSettings,
       matches: fullMatches,
       savedAt: Date.now(),
     };
@@ -1575,109 +2148,83 @@ const refreshFromSupabase = async (targetTournamentId = currentTournamentId) =>
 };
 
   const saveMatchBundleToSupabase = async (nextMatch, nextAppName = appName) => {
-    isPushingRef.current = true;
-    try {
-      const matchRow = matchToRow(nextMatch, teamById, playerById, nextAppName, currentTournamentId);
-      const { error: matchErr } = await supabase.from("matches").upsert(matchRow, { onConflict: "id" });
-      if (matchErr) throw matchErr;
-
-      const nextHandRows = (nextMatch.hands || []).map((h) => handToRow(nextMatch, h, currentTournamentId));
-
-      if (nextHandRows.length) {
-        const { error: handsErr } = await supabase
-          .from("hands")
-          .upsert(nextHandRows, { onConflict: "id" });
-        if (handsErr) throw handsErr;
-      }
-
-      const { data: existingHands, error: existingErr } = await supabase
-        .from("hands")
-        .select("id, hand_idx")
-        .eq("match_id", nextMatch.id).eq("tournament_id", currentTournamentId);
-
-      if (existingErr) throw existingErr;
-
-      const nextIds = new Set(nextHandRows.map((r) => r.id));
-      const staleIds = (existingHands || []).map((r) => r.id).filter((id) => !nextIds.has(id));
-
-      if (!nextHandRows.length) {
-        const { error: deleteAllErr } = await supabase.from("hands").delete().eq("match_id", nextMatch.id).eq("tournament_id", currentTournamentId);
-        if (deleteAllErr) throw deleteAllErr;
-      } else if (staleIds.length) {
-        const { error: deleteStaleErr } = await supabase.from("hands").delete().eq("tournament_id", currentTournamentId).in("id", staleIds);
-        if (deleteStaleErr) throw deleteStaleErr;
-      }
+    const version = await saveMatchRowsToSupabase({
+      matchRow: matchToRow(nextMatch, teamById, playerById, nextAppName, currentTournamentId),
+      handRows: (nextMatch.hands || []).map((h) => handToRow(nextMatch, h, currentTournamentId)),
+    });
+    applyMatchVersion(currentTournamentId, nextMatch.id, version);
+    setSyncStatus("Live: Supabase");
+  };
 
-      setSyncStatus("Live: Supabase");
-    } finally {
-      isPushingRef.current = false;
-    }
+  const applyMatchVersion = (tournamentId, matchId, version) => {
+    setMatches((prev) => prev.map((m) => (m.id === matchId ? { ...m, version } : m)));
+    storeMatchVersion(tournamentId, matchId, version);
   };
 
   const syncMatchLocalAndRemote = async (nextMatch, nextMatches) => {
-  setMatches(nextMatches);
-  persistNow({ matches: nextMatches });
-
-  try {
-    if (nextMatch) {
-      await saveMatchBundleToSupabase(nextMatch);
-    }
-    setSyncStatus("Live: Supabase");
-  } catch (err) {
-    console.error("Failed to sync match bundle:", err);
-    setSyncStatus("Local fallback");
-    alert(`Failed to sync match: ${err.message || "Unknown error"}`);
-  }
+  // Finished bracket matches send their winner (and loser) on to the next match.
+  const advanced = advanceBracket(nextMatches).map(resetMatchState);
+  const advancedById = new Map(advanced.map((m) => [m.id, m]));
+  const mergedMatches = advanced.length ? nextMatches.map((m) => advancedById.get(m.id) || m) : nextMatches;
+
+  setMatches(mergedMatches);
+  persistNow({ matches: mergedMatches });
+
+  // Writes go through the outbox so they survive going offline; see src/outbox.js.
+  // A scorer may not write the next bracket match; an organizer device does it.
+  const toSave = [...(nextMatch && !advancedById.has(nextMatch.id) ? [nextMatch] : []), ...advanced.filter(canWriteMatch)];
+  toSave.forEach((m) => {
+    const prev = matches.find((x) => x.id === m.id);
+    const handRows = (m.hands || []).map((h) => handToRow(m, h, currentTournamentId));
+    enqueueMatchBundle({
+      tournamentId: currentTournamentId,
+      matchId: m.id,
+      matchRow: matchToRow(m, teamById, playerById, appName, currentTournamentId),
+      handRows,
+      handIds: changedRowIds((prev?.hands || []).map((h) => handToRow(prev, h, currentTournamentId)), handRows),
+    });
+  });
+  void flushOutbox();
 };
 
   const deleteMatchFromSupabase = async (matchId) => {
-  isPushingRef.current = true;
-  try {
-    const { error: handsErr } = await supabase
-      .from("hands")
-      .delete()
-      .eq("match_id", matchId)
-      .eq("tournament_id", currentTournamentId);
-    if (handsErr) throw handsErr;
-
-    const { error: matchErr } = await supabase
-      .from("matches")
-      .delete()
-      .eq("id", matchId)
-      .eq("tournament_id", currentTournamentId);
-    if (matchErr) throw matchErr;
-
-    setSyncStatus("Live: Supabase");
-  } finally {
-    isPushingRef.current = false;
-  }
+  const { error: handsErr } = await supabase
+    .from("hands")
+    .delete()
+    .eq("match_id", matchId)
+    .eq("tournament_id", currentTournamentId);
+  if (handsErr) throw handsErr;
+
+  const { error: matchErr } = await supabase
+    .from("matches")
+    .delete()
+    .eq("id", matchId)
+    .eq("tournament_id", currentTournamentId);
+  if (matchErr) throw matchErr;
+
+  setSyncStatus("Live: Supabase");
 };
 
 const deleteAllSupabaseData = async () => {
   if (!currentTournamentId) return;
-  isPushingRef.current = true;
-  try {
-    const { error: handsErr } = await supabase.from("hands").delete().eq("tournament_id", currentTournamentId);
-    if (handsErr) throw handsErr;
+  const { error: handsErr } = await supabase.from("hands").delete().eq("tournament_id", currentTournamentId);
+  if (handsErr) throw handsErr;
 
-    const { error: matchesErr } = await supabase.from("matches").delete().eq("tournament_id", currentTournamentId);
-    if (matchesErr) throw matchesErr;
+  const { error: matchesErr } = await supabase.from("matches").delete().eq("tournament_id", currentTournamentId);
+  if (matchesErr) throw matchesErr;
 
-    const { error: stateErr } = await supabase.from("tournament_state").upsert({
-      tournament_id: currentTournamentId,
-      app_name: "Coinche Scorekeeper",
-      players: [],
-      teams: [],
-      pair_history: [],
-      avoid_same_teams: true,
-      updated_at: new Date().toISOString(),
-    }, { onConflict: "tournament_id" });
-    if (stateErr) throw stateErr;
+  const { error: stateErr } = await supabase.from("tournament_state").upsert({
+    tournament_id: currentTournamentId,
+    app_name: "Coinche Scorekeeper",
+    players: [],
+    teams: [],
+    pair_history: [],
+    avoid_same_teams: true,
+    updated_at: new Date().toISOString(),
+  }, { onConflict: "tournament_id" });
+  if (stateErr) throw stateErr;
 
-    setSyncStatus("Live: Supabase");
-  } finally {
-    isPushingRef.current = false;
-  }
+  setSyncStatus("Live: Supabase");
 };
 
 const clearAllLocalTournamentData = async () => {
@@ -1707,6 +2254,7 @@ const clearAllLocalTournamentData = async () => {
       teams: nextTeams,
       pairHistory: nextPairHistory,
       avoidSameTeams,
+      settings,
     });
   } catch (err) {
     console.error("Failed to clear app state in Supabase:", err);
@@ -1716,6 +2264,7 @@ const clearAllLocalTournamentData = async () => {
 const saveEditedHandScore = async (matchId, handIdx, newScoreA, newScoreB) => {
   const nextMatches = matches.map((m) => {
     if (m.id !== matchId) return m;
+    if (!canScoreMatch(m)) return m;
 
     return recomputeMatch({
       ...m,
@@ -1747,13 +2296,56 @@ const saveEditedHandScore = async (matchId, handIdx, newScoreA, newScoreB) => {
   },
 };
       }),
-    });
+    }, settings);
   });
 
   const nextMatch = nextMatches.find((m) => m.id === matchId);
   await syncMatchLocalAndRemote(nextMatch, nextMatches);
 };
 
+  // Table links identify themselves by match code; see the row-level security migration.
+  useEffect(() => {
+    setMatchCode(route.path === "/table" ? route.query.code : "");
+  }, [route.path, route.query.code]);
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => {
+      setSession(data?.session || null);
+      setAuthReady(true);
+    });
+    const { data } = supabase.auth.onAuthStateChange((_event, nextSession) => setSession(nextSession || null));
+    return () => data.subscription.unsubscribe();
+  }, []);
+
+  const sessionUserId = session?.user?.id || null;
+  const isOrganizer = Boolean(sessionUserId) && organizerCheck.userId === sessionUserId && organizerCheck.ok;
+  const checkingRole = !authReady || (Boolean(sessionUserId) && organizerCheck.userId !== sessionUserId);
+
+  useEffect(() => {
+    if (!sessionUserId) return;
+    let cancelled = false;
+    supabase.rpc("is_organizer").then(({ data, error }) => {
+      if (error) console.error("Failed to check organizer role:", error);
+      if (!cancelled) setOrganizerCheck({ userId: sessionUserId, ok: Boolean(data) });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionUserId]);
+
+  const signIn = async (email, password) => {
+    const { error } = await supabase.auth.signInWithPassword({ email: String(email || "").trim(), password });
+    if (error) throw error;
+  };
+
+  const signOut = async () => {
+    const { error } = await supabase.auth.signOut();
+    if (error) {
+      console.error("Sign out failed:", error);
+      alert(`Sign out failed: ${error.message || "Unknown error"}`);
+    }
+  };
+
   useEffect(() => {
     const syncRoute = () => setRoute(parseHashRoute());
     window.addEventListener("hashchange", syncRoute);
@@ -1804,7 +2396,7 @@ const saveEditedHandScore = async (matchId, handIdx, newScoreA, newScoreB) => {
       .insert({
         name: trimmed,
         slug: slugifyTournamentName(trimmed),
-        status: "active",
+        status: TOURNAMENT_STATUSES.DRAFT.id,
       })
       .select("*")
       .single();
@@ -1818,6 +2410,7 @@ const saveEditedHandScore = async (matchId, handIdx, newScoreA, newScoreB) => {
       teams: cloneCurrentSetup ? teams : [],
       pair_history: cloneCurrentSetup ? pairHistory : [],
       avoid_same_teams: !!avoidSameTeams,
+      settings: cloneCurrentSetup ? settings : defaultTournamentSettings(),
       updated_at: new Date().toISOString(),
     }, { onConflict: "tournament_id" });
 
@@ -1859,22 +2452,77 @@ const saveEditedHandScore = async (matchId, handIdx, newScoreA, newScoreB) => {
     return updated;
   };
 
-useEffect(() => {
-  void loadTournaments();
-}, []);
+  const currentTournament = tournaments.find((t) => t.id === currentTournamentId) || null;
+  const tournamentStatus = normalizeTournamentStatus(currentTournament?.status);
+  const tournamentReadOnly = Boolean(currentTournament) && isTournamentReadOnly(tournamentStatus);
 
-useEffect(() => {
-  if (!currentTournamentId) return;
+  // Organizers write anything; a table link only writes the match it was opened for.
+  const canWriteMatch = (m) =>
+    isOrganizer ||
+    (route.path === "/table" &&
+      Boolean(m?.code) &&
+      m.code.toUpperCase() === String(route.query.code || "").trim().toUpperCase());
 
-  let hadLocal = false;
+  // Score entry also needs an open round; see roundAllowsScoring.
+  const canScoreMatch = (m) => canWriteMatch(m) && !tournamentReadOnly && roundAllowsScoring(m, settings);
 
-  try {
-    const raw = safeGetStorage(scopedLsKey(currentTournamentId));
-    if (raw) {
-      hydrateFromPayload(JSON.parse(raw));
-      hadLocal = true;
-    }
-  } catch {}
+  // Finished and archived tournaments keep their setup and results as they are.
+  const blockIfReadOnly = () => {
+    if (!tournamentReadOnly) return false;
+    alert(`This tournament is ${tournamentStatusLabel(tournamentStatus).toLowerCase()}. Reopen it to make changes.`);
+    return true;
+  };
+
+  const setTournamentStatus = async (tournamentId, nextStatus) => {
+    const current = tournaments.find((t) => t.id === tournamentId);
+    if (!current || !canTransition(current.status, nextStatus)) return;
+
+    const { data: updated, error } = await supabase
+      .from("tournaments")
+      .update({ status: nextStatus, updated_at: new Date().toISOString() })
+      .eq("id", tournamentId)
+      .select("*")
+      .single();
+
+    if (error) throw error;
+
+    setTournaments((prev) => prev.map((t) => (t.id === tournamentId ? { ...t, ...updated } : t)));
+  };
+
+  const deleteTournament = async (tournamentId) => {
+    if (!tournamentId) return;
+    for (const table of ["hands", "matches", "registrations", "tournament_state"]) {
+      const { error } = await supabase.from(table).delete().eq("tournament_id", tournamentId);
+      if (error) throw error;
+    }
+    const { error } = await supabase.from("tournaments").delete().eq("id", tournamentId);
+    if (error) throw error;
+
+    safeRemoveStorage(scopedLsKey(tournamentId));
+
+    const remaining = tournaments.filter((t) => t.id !== tournamentId);
+    setTournaments(remaining);
+    if (tournamentId === currentTournamentId) {
+      setCurrentTournamentId(remaining[0]?.id || "");
+    }
+  };
+
+useEffect(() => {
+  void loadTournaments();
+}, []);
+
+useEffect(() => {
+  if (!currentTournamentId) return;
+
+  let hadLocal = false;
+
+  try {
+    const raw = safeGetStorage(scopedLsKey(currentTournamentId));
+    if (raw) {
+      hydrateFromPayload(JSON.parse(raw));
+      hadLocal = true;
+    }
+  } catch {}
 
   if (hadLocal) {
     setTimeout(() => {
@@ -1914,35 +2562,218 @@ useEffect(() => {
     };
   }, []);
 
-useEffect(() => {
-  const channel = supabase
-    .channel("coinche-live")
-    .on("postgres_changes", { event: "*", schema: "public", table: "matches" }, () => {
-      if (!isPushingRef.current) void refreshFromSupabase();
-    })
-    .on("postgres_changes", { event: "*", schema: "public", table: "hands" }, () => {
-      if (!isPushingRef.current) void refreshFromSupabase();
-    })
-    .on("postgres_changes", { event: "*", schema: "public", table: "tournament_state" }, () => {
-      if (!isPushingRef.current) void refreshFromSupabase();
-    })
-    .on("postgres_changes", { event: "*", schema: "public", table: "tournaments" }, () => {
-      if (!isPushingRef.current) void loadTournaments();
-    })
-    .subscribe((status) => {
-      if (status === "SUBSCRIBED") setSyncStatus("Live: Supabase");
+  useEffect(() => {
+    liveRef.current = {
+      matches,
+      settings,
+      isOrganizer,
+      refresh: refreshFromSupabase,
+      rememberCodes: rememberMatchCodes,
+      persist: persistNow,
+      hydrate: hydrateFromPayload,
+      sync: syncMatchLocalAndRemote,
+    };
+  });
+
+  // Bracket matches finished from a table link are picked up here, since only an
+  // organizer may write the match the winner moves on to. Declared after the
+  // liveRef update so it syncs with this render's state.
+  useEffect(() => {
+    if (!isOrganizer || tournamentReadOnly || !advanceBracket(matches).length) return;
+    void liveRef.current?.sync(null, matches);
+  }, [matches, isOrganizer, tournamentReadOnly]);
+
+  // The tournament list is small and shared, so it is patched from every change.
+  useEffect(() => {
+    const channel = supabase
+      .channel("coinche-tournaments")
+      .on("postgres_changes", { event: "*", schema: "public", table: "tournaments" }, (payload) =>
+        setTournaments((prev) => applyTournamentChange(prev, payload))
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, []);
+
+  // Only this tournament's rows; each change is patched into local state. The
+  // whole tournament is reloaded after a reconnect, or when a patch shows that
+  // a change was missed. Matches with writes still in the outbox keep their
+  // local copy, which is newer.
+  useEffect(() => {
+    if (!currentTournamentId) return;
+    const tid = currentTournamentId;
+    const filter = `tournament_id=eq.${tid}`;
+    let disconnected = false;
+
+    const patchMatches = (apply, matchId) => (payload) => {
+      const live = liveRef.current;
+      if (!live || pendingMatchBundles(tid).has(matchId(payload))) return;
+      const next = apply(live.matches, payload, live.settings);
+      if (!next) {
+        void live.refresh(tid);
+        return;
+      }
+      if (next === live.matches) return;
+      live.matches = next;
+      setMatches(next);
+      live.persist({ matches: next });
+    };
+
+    const patchMatch = patchMatches(applyMatchChange, (p) => p.new?.id || p.old?.id);
+    // Rows arrive without their code; an organizer fetches the new one.
+    const onMatch = (payload) => {
+      patchMatch(payload);
+      if (payload.eventType !== "INSERT" || !liveRef.current?.isOrganizer) return;
+      loadMatchCodes(tid)
+        .then((codes) => {
+          const live = liveRef.current;
+          if (!live) return;
+          live.rememberCodes(tid, codes);
+          const next = live.matches.map((m) => (m.code ? m : { ...m, code: codes[m.id] || "" }));
+          live.matches = next;
+          setMatches(next);
+          live.persist({ matches: next });
+        })
+        .catch((err) => console.error("Failed to load match codes:", err));
+    };
+    const onHand = patchMatches(applyHandChange, (p) => p.new?.match_id || "");
+    const channel = supabase.channel(`coinche-live-${tid}`);
+    ["INSERT", "UPDATE"].forEach((event) => {
+      channel.on("postgres_changes", { event, schema: "public", table: "matches", filter }, onMatch);
+      channel.on("postgres_changes", { event, schema: "public", table: "hands", filter }, onHand);
     });
+    // Deletes only carry the primary key, so Supabase cannot filter them by
+    // tournament; rows that are not ours are ignored by the patch.
+    channel
+      .on("postgres_changes", { event: "DELETE", schema: "public", table: "matches" }, onMatch)
+      .on("postgres_changes", { event: "DELETE", schema: "public", table: "hands" }, onHand)
+      .on("postgres_changes", { event: "*", schema: "public", table: "tournament_state", filter }, (payload) => {
+        const live = liveRef.current;
+        const row = payload.new;
+        if (!live || !row?.tournament_id) return;
+        const nextSettings = normalizeTournamentSettings(row.settings);
+        const nextMatches = live.matches.map((m) => recomputeMatch(m, nextSettings));
+        const next = {
+          appName: row.app_name || "Coinche Scorekeeper",
+          players: row.players || [],
+          teams: row.teams || [],
+          avoidSameTeams: Boolean(row.avoid_same_teams ?? true),
+          pairHistory: row.pair_history || [],
+          settings: nextSettings,
+          matches: nextMatches,
+        };
+        live.matches = nextMatches;
+        live.hydrate(next);
+        live.persist(next);
+      })
+      .subscribe((status) => {
+        if (status === "SUBSCRIBED") {
+          setSyncStatus("Live: Supabase");
+          if (disconnected) void liveRef.current?.refresh(tid);
+          disconnected = false;
+        } else if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") {
+          disconnected = true;
+          setSyncStatus("Reconnecting…");
+        }
+      });
 
-  return () => {
-    supabase.removeChannel(channel);
-  };
-}, []);
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [currentTournamentId]);
+
+  // Queued table writes are replayed oldest first, on start and whenever the
+  // connection comes back.
+  useEffect(() => {
+    const onOutboxChanged = (e) => {
+      const { pending, error, rejected, conflict } = e.detail || {};
+      setOutbox(readOutbox());
+      if (conflict) {
+        setSyncStatus("Conflict • review the match");
+      } else if (rejected) {
+        console.error("Match write rejected by Supabase:", error);
+        setSyncStatus(`Rejected • ${rejected.matchRow?.table_name || "match"}`);
+      } else if (error) {
+        setSyncStatus(`Offline • ${pending} pending`);
+      } else if (!pending) {
+        setSyncStatus("Live: Supabase");
+      }
+    };
+
+    window.addEventListener(OUTBOX_CHANGED_EVENT, onOutboxChanged);
+    const stopOutbox = startOutbox(
+      async (entry) => {
+        const version = await saveMatchRowsToSupabase(entry);
+        setMatches((prev) => prev.map((m) => (m.id === entry.matchId ? { ...m, version } : m)));
+        storeMatchVersion(entry.tournamentId, entry.matchId, version);
+        return version;
+      },
+      {
+        onAuthError: async () => {
+          const { error } = await supabase.auth.refreshSession();
+          if (error) throw error;
+        },
+      }
+    );
+    return () => {
+      window.removeEventListener(OUTBOX_CHANGED_EVENT, onOutboxChanged);
+      stopOutbox();
+    };
+  }, []);
+
+  // Fetch the server's side of every rejected write for the conflict screen.
+  useEffect(() => {
+    outbox
+      .filter((e) => e.conflict && e.tournamentId === currentTournamentId && !conflicts[e.matchId])
+      .filter((e) => !conflictLoadsRef.current.has(e.matchId))
+      .forEach((e) => {
+        conflictLoadsRef.current.add(e.matchId);
+        loadMatchFromSupabase(e.matchId)
+          .then((remote) => setConflicts((prev) => ({ ...prev, [e.matchId]: { remote } })))
+          .catch((err) => console.error("Failed to load the server copy of a match:", err))
+          .finally(() => conflictLoadsRef.current.delete(e.matchId));
+      });
+  }, [outbox, conflicts, currentTournamentId]);
+
+  useEffect(() => {
+    if (!currentTournamentId) return;
+    let cancelled = false;
+    const load = () =>
+      loadRegistrationsFromSupabase(currentTournamentId)
+        .then((list) => !cancelled && setRegistrations(list))
+        .catch((err) => console.error("Failed to load registrations:", err));
+
+    load();
+    const channel = supabase
+      .channel(`coinche-registrations-${currentTournamentId}`)
+      .on(
+        "postgres_changes",
+        { event: "*", schema: "public", table: "registrations", filter: `tournament_id=eq.${currentTournamentId}` },
+        load
+      )
+      .subscribe();
+
+    return () => {
+      cancelled = true;
+      supabase.removeChannel(channel);
+    };
+  }, [currentTournamentId]);
+
+  // With check-in required, only players marked present are drawn or paired.
+  const presentPlayers = useMemo(
+    () => (settings.checkInRequired ? players.filter((p) => p.checkedIn) : players),
+    [players, settings.checkInRequired]
+  );
+  const presentPlayerIds = useMemo(() => new Set(presentPlayers.map((p) => p.id)), [presentPlayers]);
+  const isTeamPresent = (t) => Boolean(t) && (t.playerIds || []).every((pid) => presentPlayerIds.has(pid));
 
   const usedPlayerIds = useMemo(() => {
     const s = new Set();
-    teams.forEach((t) => (t.playerIds || []).forEach((pid) => s.add(pid)));
+    rosterTeams.forEach((t) => (t.playerIds || []).forEach((pid) => s.add(pid)));
     return s;
-  }, [teams]);
+  }, [rosterTeams]);
 
   useEffect(() => {
     const current = parseHashRoute();
@@ -1950,7 +2781,6 @@ useEffect(() => {
     if (!wantedCode) return;
     if (matches.some((m) => (m.code || "").toUpperCase() === wantedCode)) {
       setRoute(current);
-      routeRefreshAttemptRef.current = "";
     }
   }, [matches]);
 
@@ -1977,62 +2807,12 @@ useEffect(() => {
     return () => clearTimeout(t);
   }, [route.path, route.query.code, route.query.tid]);
 
+  // A table link finds its match by code once, then loads that match's
+  // tournament with the code already known.
   useEffect(() => {
-    if (route.path !== "/table") return;
-    const wantedCode = (route.query.code || "").trim().toUpperCase();
-    if (!wantedCode) return;
-    if (matches.some((m) => (m.code || "").toUpperCase() === wantedCode)) return;
-
-    let cancelled = false;
-    let tries = 0;
-    const routeKey = `table:${wantedCode}`;
-    routeRefreshAttemptRef.current = routeKey;
-
-    const run = async () => {
-      while (!cancelled && tries < 8) {
-        tries += 1;
-        await refreshFromSupabase(route.query.tid || currentTournamentId);
-
-        const latestRaw = safeGetStorage(scopedLsKey(route.query.tid || currentTournamentId));
-        if (latestRaw) {
-          try {
-            const parsed = JSON.parse(latestRaw);
-            const found = (parsed.matches || []).some(
-              (m) => (m.code || "").toUpperCase() === wantedCode
-            );
-            if (found) {
-              if (!cancelled) setRoute(parseHashRoute());
-              return;
-            }
-          } catch {}
-        }
-
-        if (!cancelled) {
-          await new Promise((resolve) => setTimeout(resolve, tries < 3 ? 180 : 350));
-        }
-      }
-    };
-
-    void run();
-
-    return () => {
-      cancelled = true;
-    };
-  }, [route.path, route.query.code, matches]);
-
-  useEffect(() => {
-    if (route.path !== "/table") {
-      setTableRouteLoading(false);
-      return;
-    }
-
     const wantedCode = String(route.query.code || "").trim().toUpperCase();
-    if (!wantedCode) {
-      setTableRouteLoading(false);
-      return;
-    }
-
-    if (matches.some((m) => (m.code || "").toUpperCase() === wantedCode)) {
+    const known = liveRef.current?.matches.some((m) => (m.code || "").toUpperCase() === wantedCode);
+    if (route.path !== "/table" || !wantedCode || known) {
       setTableRouteLoading(false);
       return;
     }
@@ -2043,41 +2823,15 @@ useEffect(() => {
       setTableRouteLoading(true);
       try {
         const wantedTid = String(route.query.tid || currentTournamentId || "").trim();
+        const data = await findMatchByCode(wantedCode, wantedTid);
+        if (cancelled || !data?.tournament_id) return;
 
-        let data = null;
-        let error = null;
-
-        if (wantedTid) {
-          const scoped = await supabase
-            .from("matches")
-            .select("*")
-            .eq("code", wantedCode)
-            .eq("tournament_id", wantedTid)
-            .limit(1)
-            .maybeSingle();
-          data = scoped.data;
-          error = scoped.error;
-        }
-
-        if (!data) {
-          const fallback = await supabase
-            .from("matches")
-            .select("*")
-            .eq("code", wantedCode)
-            .limit(1)
-            .maybeSingle();
-          data = fallback.data;
-          error = fallback.error;
-        }
-
-        if (error) throw error;
-
-        if (!cancelled && data?.tournament_id) {
-          if (data.tournament_id !== currentTournamentId) {
-            setCurrentTournamentId(data.tournament_id);
-          }
-          await refreshFromSupabase(data.tournament_id);
+        const codes = { [data.id]: wantedCode };
+        rememberMatchCodes(data.tournament_id, codes);
+        if (data.tournament_id !== currentTournamentId) {
+          setCurrentTournamentId(data.tournament_id);
         }
+        await refreshFromSupabase(data.tournament_id, codes);
       } catch (err) {
         console.error("Failed to load table route match:", err);
       } finally {
@@ -2090,7 +2844,7 @@ useEffect(() => {
     return () => {
       cancelled = true;
     };
-  }, [route.path, route.query.code, route.query.tid, matches, currentTournamentId]);
+  }, [route.path, route.query.code, route.query.tid]);
 
   useEffect(() => {
     if (route.path === "/table") {
@@ -2127,6 +2881,41 @@ useEffect(() => {
     setTimeout(() => inputRef.current?.focus?.(), 0);
   };
 
+  /* ===== Registration & check-in ===== */
+
+  const submitRegistration = async ({ name, preferredPartner }) => {
+    await insertRegistrationToSupabase({
+      tournamentId: currentTournamentId,
+      name: name.trim(),
+      preferredPartner: preferredPartner.trim(),
+    });
+  };
+
+  const setPlayerCheckedIn = (playerId, checkedIn) =>
+    saveField(
+      setPlayers,
+      "players",
+      players.map((p) => (p.id === playerId ? { ...p, checkedIn: Boolean(checkedIn) } : p))
+    );
+
+  const checkInRegistration = async (registration) => {
+    const player = {
+      id: uid("p"),
+      name: registration.name,
+      preferredPartner: registration.preferredPartner,
+      registrationId: registration.id,
+      checkedIn: true,
+    };
+    await saveField(setPlayers, "players", [...players, player]);
+    setRegistrations((prev) => prev.map((r) => (r.id === registration.id ? { ...r, playerId: player.id } : r)));
+
+    try {
+      await linkRegistrationToPlayer(registration.id, player.id);
+    } catch (err) {
+      console.error("Failed to link registration:", err);
+    }
+  };
+
   const startEditPlayer = (player) => {
     setEditingPlayerId(player.id);
     setEditingPlayerName(player.name || "");
@@ -2152,6 +2941,7 @@ useEffect(() => {
   };
 
   const removePlayer = async (id) => {
+    if (blockIfReadOnly()) return;
     const playerName = players.find((p) => p.id === id)?.name || "this player";
     if (
       !window.confirm(
@@ -2188,6 +2978,7 @@ useEffect(() => {
         teams: nextTeams,
         pairHistory: nextPairHistory,
         avoidSameTeams,
+        settings,
       });
 
       if (editingPlayerId === id) {
@@ -2201,6 +2992,7 @@ useEffect(() => {
   };
 
   const addTeam = async () => {
+    if (blockIfReadOnly()) return;
     await saveField(setTeams, "teams", [
       ...teams,
       {
@@ -2221,9 +3013,10 @@ useEffect(() => {
       fastDraft: defaultFastDraft(),
       tableOrderPlayerIds: [],
       firstShufflerPlayerId: "",
-    });
+    }, settings);
 
   const removeTeam = async (teamId) => {
+    if (blockIfReadOnly()) return;
     const teamName = teams.find((t) => t.id === teamId)?.name || "this team";
     if (
       !window.confirm(
@@ -2257,6 +3050,7 @@ useEffect(() => {
         teams: nextTeams,
         pairHistory: nextPairHistory,
         avoidSameTeams,
+        settings,
       });
     } catch (err) {
       console.error("Remove team failed:", err);
@@ -2264,14 +3058,17 @@ useEffect(() => {
     }
   };
 
-  const toggleTeamLock = async (teamId, locked) =>
+  const toggleTeamLock = async (teamId, locked) => {
+    if (blockIfReadOnly()) return;
     await saveField(
       setTeams,
       "teams",
       teams.map((t) => (t.id === teamId ? { ...t, locked: Boolean(locked) } : t))
     );
+  };
 
   async function setTeamPlayer(teamId, slotIdx, value) {
+    if (blockIfReadOnly()) return;
     await saveField(
       setTeams,
       "teams",
@@ -2286,20 +3083,22 @@ useEffect(() => {
     );
   }
 
-  const renameTeam = async (teamId, name) =>
+  const renameTeam = async (teamId, name) => {
+    if (blockIfReadOnly()) return;
     await saveField(
       setTeams,
       "teams",
       teams.map((t) => (t.id === teamId ? { ...t, name } : t))
     );
+  };
 
   async function buildRandomTeams() {
-    if (players.length < 2) return;
+    if (presentPlayers.length < 2 || blockIfReadOnly()) return;
 
     const lockedPlayers = new Set(
-      teams.flatMap((t) => (t.locked ? t.playerIds || [] : []))
+      rosterTeams.flatMap((t) => (t.locked ? t.playerIds || [] : []))
     );
-    const available = players.map((p) => p.id).filter((id) => !lockedPlayers.has(id));
+    const available = presentPlayers.map((p) => p.id).filter((id) => !lockedPlayers.has(id));
     const historySet = new Set(pairHistory);
     let best = null;
 
@@ -2319,35 +3118,60 @@ useEffect(() => {
       if (best?.repeats === 0) break;
     }
 
+    // Once the current teams have played, they and their matches are archived as
+    // a finished stage and the new pairs start the next stage as new teams.
+    const rosterIds = new Set(rosterTeams.map((t) => t.id));
+    const stageMatches = matches.filter((m) => !m.archived && (rosterIds.has(m.teamAId) || rosterIds.has(m.teamBId)));
+    const stage = Math.max(1, ...rosterTeams.map(teamStage));
+    const archive = stageMatches.length > 0;
+
+    if (archive) {
+      const unfinished = stageMatches.filter((m) => !m.bye && !m.completed).length;
+      if (
+        !window.confirm(
+          `Archive stage ${stage} with its ${stageMatches.length} match(es)${
+            unfinished ? ` (${unfinished} unfinished)` : ""
+          } and start stage ${stage + 1} with new teams? Archived results stay in the recaps, stats and exports.`
+        )
+      ) {
+        return;
+      }
+    }
+
     let pairIdx = 0;
-    const nextTeams = teams.map((t) =>
-      t.locked
-        ? t
-        : { ...t, playerIds: (best?.pairs?.[pairIdx++] || []).filter(Boolean) }
-    );
+    const drawn = rosterTeams.map((t) => {
+      const playerIds = t.locked ? t.playerIds : (best?.pairs?.[pairIdx++] || []).filter(Boolean);
+      return archive ? { ...t, id: uid("team"), playerIds, stage: stage + 1 } : { ...t, playerIds };
+    });
+    const drawnById = new Map(drawn.map((t) => [t.id, t]));
+    const nextTeams = archive
+      ? [...teams.map((t) => (rosterIds.has(t.id) ? { ...t, archived: true } : t)), ...drawn]
+      : teams.map((t) => drawnById.get(t.id) || t);
+
+    const archivedMatches = stageMatches.map((m) => ({ ...m, archived: true, lastUpdatedAt: Date.now() }));
+    const archivedById = new Map(archivedMatches.map((m) => [m.id, m]));
+    const nextMatches = matches.map((m) => archivedById.get(m.id) || m);
 
     const nextPairHistory = Array.from(
       new Set([
         ...pairHistory,
-        ...nextTeams
+        ...drawn
           .filter((t) => (t.playerIds || []).length === 2)
           .map((t) => [...t.playerIds].sort().join("|")),
       ])
     );
 
-    try {
-      await deleteAllSupabaseData();
-
-      setTeams(nextTeams);
-      setPairHistory(nextPairHistory);
-      setMatches([]);
+    setTeams(nextTeams);
+    setPairHistory(nextPairHistory);
+    setMatches(nextMatches);
 
-      persistNow({
-        teams: nextTeams,
-        pairHistory: nextPairHistory,
-        matches: [],
-      });
+    persistNow({
+      teams: nextTeams,
+      pairHistory: nextPairHistory,
+      matches: nextMatches,
+    });
 
+    try {
       await saveTournamentStateToSupabase({
         tournamentId: currentTournamentId,
         appName,
@@ -2355,7 +3179,11 @@ useEffect(() => {
         teams: nextTeams,
         pairHistory: nextPairHistory,
         avoidSameTeams,
+        settings,
       });
+      for (const m of archivedMatches) {
+        await saveMatchBundleToSupabase(m);
+      }
     } catch (err) {
       console.error("Randomize teams failed:", err);
       alert(`Randomize teams failed: ${err.message || "Unknown error"}`);
@@ -2363,18 +3191,336 @@ useEffect(() => {
   }
 
   const addMatch = async () => {
-    if (!currentTournamentId || !teams.length) return;
+    if (!currentTournamentId || !teams.length || blockIfReadOnly()) return;
     const nextMatch = recomputeMatch(
       makeEmptyMatch({
         tableName: newTableName.trim() || `Table ${matches.length + 1}`,
         label: newMatchLabel.trim() || `Match ${matches.length + 1}`,
-      })
+        endCondition: safeInt(newMatchTarget) > 0 ? { targetScore: safeInt(newMatchTarget) } : null,
+      }),
+      settings
     );
     const nextMatches = [...matches, nextMatch];
     await syncMatchLocalAndRemote(nextMatch, nextMatches);
   };
 
+  /* ===== Rounds ===== */
+
+  const setRoundStatus = async (round, status) => {
+    if (blockIfReadOnly()) return;
+    const unfinished = matches.filter((m) => m.round === round && !m.bye && !m.completed).length;
+    if (
+      status === "CLOSED" &&
+      unfinished &&
+      !window.confirm(`Round ${round} still has ${unfinished} unfinished match(es). Close it anyway?`)
+    ) {
+      return;
+    }
+    await saveTournamentSettings({ roundStatus: { ...settings.roundStatus, [round]: status } });
+  };
+
+  /* ===== Swiss rounds ===== */
+
+  const previewSwissRound = () => {
+    const rankedIds = scoreboardRows.map((r) => r.teamId).filter((id) => isTeamPresent(teamById.get(id)));
+    if (rankedIds.length < 2) return;
+
+    const lastRound = nextSwissRound(matches) - 1;
+    const unfinished = matches.filter((m) => m.swissRound === lastRound && !m.bye && !m.completed).length;
+    if (
+      lastRound > 0 &&
+      unfinished &&
+      !window.confirm(`Round ${lastRound} still has ${unfinished} unfinished match(es). Pair round ${lastRound + 1} anyway?`)
+    ) {
+      return;
+    }
+
+    setSwissPreview(buildSwissPairings({ rankedIds, matches }));
+  };
+
+  const patchSwissPairing = (idx, side, teamId) =>
+    setSwissPreview((prev) => {
+      if (!prev) return prev;
+      const played = playedPairs(matches);
+      const pairs = prev.pairs.map((p, i) => {
+        if (i !== idx) return p;
+        const next = { ...p, [side]: teamId || null };
+        return {
+          ...next,
+          rematch: !!next.teamAId && !!next.teamBId && played.has(pairKey(next.teamAId, next.teamBId)),
+        };
+      });
+      return { ...prev, pairs };
+    });
+
+  const publishSwissRound = async () => {
+    if (!swissPreview || !currentTournamentId || blockIfReadOnly()) return;
+    const { round, pairs, byeTeamId } = swissPreview;
+
+    const seated = [...pairs.flatMap((p) => [p.teamAId, p.teamBId]), byeTeamId].filter(Boolean);
+    if (pairs.some((p) => !p.teamAId || !p.teamBId)) {
+      alert("Every table needs two teams.");
+      return;
+    }
+    if (new Set(seated).size !== seated.length) {
+      alert("A team is seated twice in this round.");
+      return;
+    }
+
+    const roundMatches = pairs.map((p, i) =>
+      recomputeMatch(
+        {
+          ...makeEmptyMatch({
+            tableName: `Table ${i + 1}`,
+            label: `Round ${round}`,
+            teamAId: p.teamAId,
+            teamBId: p.teamBId,
+            round,
+          }),
+          swissRound: round,
+        },
+        settings
+      )
+    );
+    if (byeTeamId) {
+      roundMatches.push({
+        ...makeEmptyMatch({ tableName: "Bye", label: `Round ${round}`, teamAId: byeTeamId, round }),
+        swissRound: round,
+        bye: true,
+        completed: true,
+        forcedComplete: true,
+      });
+    }
+
+    const nextMatches = [...matches, ...roundMatches];
+    setMatches(nextMatches);
+    persistNow({ matches: nextMatches });
+    setSwissPreview(null);
+
+    try {
+      for (const m of roundMatches) {
+        await saveMatchBundleToSupabase(m);
+      }
+      setSyncStatus("Live: Supabase");
+    } catch (err) {
+      console.error("Failed to publish Swiss round:", err);
+      setSyncStatus("Local fallback");
+      alert(`Failed to publish round: ${err.message || "Unknown error"}`);
+    }
+  };
+
+  /* ===== Round robin ===== */
+
+  // New schedules continue the "Match M" numbering after the existing matches.
+  const lastMatchNumber = () =>
+    matches.reduce((max, m) => {
+      const { matchNumber } = extractTableAndMatchOrder(m);
+      return matchNumber < 999999 ? Math.max(max, matchNumber) : max;
+    }, 0);
+
+  const previewRoundRobin = () => {
+    const teamIds = rosterTeams.filter(isTeamPresent).map((t) => t.id);
+    if (teamIds.length < 2) return;
+    const tableCount = safeInt(roundRobinTables) || Math.floor(teamIds.length / 2);
+    setRoundRobinPreview(buildRoundRobinSchedule(teamIds, tableCount, lastMatchNumber()));
+  };
+
+  const publishRoundRobin = async () => {
+    if (!roundRobinPreview || !currentTournamentId || blockIfReadOnly()) return;
+
+    const roundOffset = lastRound(matches);
+    const scheduled = roundRobinPreview.games.map((g) =>
+      recomputeMatch(
+        makeEmptyMatch({
+          tableName: `Table ${g.tableNumber}`,
+          label: `Match ${g.matchNumber}`,
+          teamAId: g.teamAId,
+          teamBId: g.teamBId,
+          round: roundOffset + g.round,
+        }),
+        settings
+      )
+    );
+
+    const nextMatches = [...matches, ...scheduled];
+    setMatches(nextMatches);
+    persistNow({ matches: nextMatches });
+    setRoundRobinPreview(null);
+
+    try {
+      for (const m of scheduled) {
+        await saveMatchBundleToSupabase(m);
+      }
+      setSyncStatus("Live: Supabase");
+    } catch (err) {
+      console.error("Failed to create round-robin schedule:", err);
+      setSyncStatus("Local fallback");
+      alert(`Failed to create schedule: ${err.message || "Unknown error"}`);
+    }
+  };
+
+  /* ===== Mêlée rounds ===== */
+
+  const drawNextMeleeRound = async () => {
+    if (!currentTournamentId || blockIfReadOnly()) return;
+    if (presentPlayers.length < 4) {
+      alert(`A mêlée round needs at least 4 ${settings.checkInRequired ? "checked-in " : ""}players.`);
+      return;
+    }
+
+    const meleeRounds = listRounds(matches.filter((m) => isMeleeMatch(m, teamById)));
+    const previous = meleeRounds[meleeRounds.length - 1];
+    const unfinished = matches.filter((m) => previous && m.round === previous && !m.completed).length;
+    if (
+      unfinished &&
+      !window.confirm(`Round ${previous} still has ${unfinished} unfinished match(es). Draw the next round anyway?`)
+    ) {
+      return;
+    }
+
+    // Whoever was not seated in an earlier mêlée round sat it out.
+    const sitOutCounts = new Map();
+    meleeRounds.forEach((r) => {
+      const seated = new Set(
+        teams.filter((t) => t.melee && t.meleeRound === r).flatMap((t) => t.playerIds || [])
+      );
+      players.forEach((p) => !seated.has(p.id) && sitOutCounts.set(p.id, (sitOutCounts.get(p.id) || 0) + 1));
+    });
+
+    const draw = drawMeleeRound({
+      playerIds: presentPlayers.map((p) => p.id),
+      partnerHistory: new Set(pairHistory),
+      opponentHistory: opponentPairs(matches, teamById),
+      sitOutCounts,
+    });
+
+    const round = lastRound(matches) + 1;
+    const offset = lastMatchNumber();
+    const nameOf = (pid) => playerById.get(pid)?.name || "Player";
+    const makePair = (playerIds) => ({
+      id: uid("team"),
+      name: playerIds.map(nameOf).join(" & "),
+      playerIds,
+      locked: true,
+      melee: true,
+      meleeRound: round,
+    });
+
+    const pairTeams = [];
+    const drawnMatches = draw.tables.map(([pairA, pairB], i) => {
+      const teamA = makePair(pairA);
+      const teamB = makePair(pairB);
+      pairTeams.push(teamA, teamB);
+      return recomputeMatch(
+        makeEmptyMatch({
+          tableName: `Table ${i + 1}`,
+          label: `Match ${offset + i + 1}`,
+          teamAId: teamA.id,
+          teamBId: teamB.id,
+          round,
+        }),
+        settings
+      );
+    });
+
+    const nextTeams = [...teams, ...pairTeams];
+    const nextPairHistory = Array.from(new Set([...pairHistory, ...pairTeams.map((t) => pairKey(...t.playerIds))]));
+    const nextMatches = [...matches, ...drawnMatches];
+
+    setTeams(nextTeams);
+    setPairHistory(nextPairHistory);
+    setMatches(nextMatches);
+    persistNow({ teams: nextTeams, pairHistory: nextPairHistory, matches: nextMatches });
+
+    if (draw.sitOut.length) {
+      alert(`Sitting out round ${round}: ${draw.sitOut.map(nameOf).join(", ")}`);
+    }
+
+    try {
+      await saveTournamentStateToSupabase({
+        tournamentId: currentTournamentId,
+        appName,
+        players,
+        teams: nextTeams,
+        pairHistory: nextPairHistory,
+        avoidSameTeams,
+        settings,
+      });
+      for (const m of drawnMatches) {
+        await saveMatchBundleToSupabase(m);
+      }
+      setSyncStatus("Live: Supabase");
+    } catch (err) {
+      console.error("Failed to draw mêlée round:", err);
+      setSyncStatus("Local fallback");
+      alert(`Failed to draw mêlée round: ${err.message || "Unknown error"}`);
+    }
+  };
+
+  /* ===== Knockout bracket ===== */
+
+  const seedBracket = async () => {
+    if (!currentTournamentId || blockIfReadOnly()) return;
+    const rankedIds = scoreboardRows.map((r) => r.teamId).filter((id) => isTeamPresent(teamById.get(id)));
+    const qualifiers = Math.min(rankedIds.length, safeInt(bracketQualifiers) || rankedIds.length);
+    if (qualifiers < 2) return;
+    if (matches.some((m) => m.bracket)) {
+      alert("A bracket already exists. Remove its matches first to seed a new one.");
+      return;
+    }
+    if (!window.confirm(`Seed a ${BRACKET_TYPES[bracketType].label.toLowerCase()} bracket with the top ${qualifiers} teams?`)) {
+      return;
+    }
+
+    const plan = buildBracketPlan(qualifiers, bracketType);
+    const seeded = rankedIds.slice(0, qualifiers);
+    const idByKey = new Map(plan.map((node) => [node.key, uid("match")]));
+    const offset = lastMatchNumber();
+    const roundOffset = lastRound(matches);
+    const tableInDepth = new Map();
+
+    const toSource = (side) =>
+      side.seed ? { teamId: seeded[side.seed - 1] } : { matchId: idByKey.get(side.key), take: side.take };
+
+    const bracketMatches = plan.map((node, i) => {
+      const tableNumber = (tableInDepth.get(node.depth) || 0) + 1;
+      tableInDepth.set(node.depth, tableNumber);
+      const sources = { A: toSource(node.sides.A), B: toSource(node.sides.B) };
+      return recomputeMatch(
+        {
+          ...makeEmptyMatch({
+            tableName: `Table ${tableNumber}`,
+            label: `Match ${offset + i + 1} • ${node.name}`,
+            teamAId: sources.A.teamId || null,
+            teamBId: sources.B.teamId || null,
+            round: roundOffset + node.depth,
+            phase: phaseForBracketRound(node.name),
+          }),
+          id: idByKey.get(node.key),
+          bracket: { stage: node.stage, round: node.round, slot: node.slot, name: node.name, sources },
+        },
+        settings
+      );
+    });
+
+    const nextMatches = [...matches, ...bracketMatches];
+    setMatches(nextMatches);
+    persistNow({ matches: nextMatches });
+
+    try {
+      for (const m of bracketMatches) {
+        await saveMatchBundleToSupabase(m);
+      }
+      setSyncStatus("Live: Supabase");
+    } catch (err) {
+      console.error("Failed to seed bracket:", err);
+      setSyncStatus("Local fallback");
+      alert(`Failed to seed bracket: ${err.message || "Unknown error"}`);
+    }
+  };
+
   const removeMatch = async (matchId) => {
+    if (blockIfReadOnly()) return;
     const nextMatches = matches.filter((m) => m.id !== matchId);
     setMatches(nextMatches);
     persistNow({ matches: nextMatches });
@@ -2387,6 +3533,7 @@ useEffect(() => {
   };
 
   const setMatchTeam = async (matchId, side, value) => {
+    if (blockIfReadOnly()) return;
     const target = matches.find((m) => m.id === matchId);
     if (!target || target.completed) return;
 
@@ -2398,6 +3545,7 @@ useEffect(() => {
   };
 
   const renameMatch = async (matchId, patch) => {
+    if (blockIfReadOnly()) return;
     const nextMatches = matches.map((m) =>
       m.id === matchId ? { ...m, ...patch, lastUpdatedAt: Date.now() } : m
     );
@@ -2407,9 +3555,159 @@ useEffect(() => {
 
   const updateTableSetup = (matchId, patch) => renameMatch(matchId, patch);
 
+  const setMatchEndCondition = async (matchId, endCondition) => {
+    if (blockIfReadOnly()) return;
+    const nextMatches = matches.map((m) =>
+      m.id === matchId ? recomputeMatch({ ...m, endCondition: endCondition || null }, settings) : m
+    );
+    const nextMatch = nextMatches.find((m) => m.id === matchId);
+    await syncMatchLocalAndRemote(nextMatch, nextMatches);
+  };
+
+  // The substitute takes the seat (table order and dealer rotation included)
+  // from the next hand; earlier hands keep who actually played them.
+  const substitutePlayer = async (matchId, outPlayerId, inPlayerId) => {
+    const match = matches.find((m) => m.id === matchId);
+    if (!match || !outPlayerId || !inPlayerId || !canScoreMatch(match)) return;
+
+    const seated = getSeatedPlayerIds(match, teamById, (match.hands || []).length + 1);
+    if (![...seated.A, ...seated.B].includes(outPlayerId) || [...seated.A, ...seated.B].includes(inPlayerId)) return;
+
+    const swap = (pid) => (pid === outPlayerId ? inPlayerId : pid);
+    const draft = match.fastDraft || defaultFastDraft();
+    const draftPlayerKeys = [
+      "bidderPlayerId",
+      "generalePlayerId",
+      "belotePlayerId",
+      "announceA1PlayerId",
+      "announceA2PlayerId",
+      "announceB1PlayerId",
+      "announceB2PlayerId",
+    ];
+
+    const nextMatches = matches.map((m) =>
+      m.id !== matchId
+        ? m
+        : {
+            ...m,
+            substitutions: [
+              ...(m.substitutions || []),
+              { fromHand: (m.hands || []).length + 1, outPlayerId, inPlayerId, at: Date.now() },
+            ],
+            tableOrderPlayerIds: (m.tableOrderPlayerIds || []).map(swap),
+            firstShufflerPlayerId: swap(m.firstShufflerPlayerId),
+            fastDraft: {
+              ...draft,
+              ...Object.fromEntries(draftPlayerKeys.map((k) => [k, swap(draft[k] || "")])),
+            },
+            lastUpdatedAt: Date.now(),
+          }
+    );
+    const nextMatch = nextMatches.find((m) => m.id === matchId);
+    await syncMatchLocalAndRemote(nextMatch, nextMatches);
+  };
+
+  // Conflict screen. null while the server copy is loading; see MatchConflictPanel.
+  const conflictFor = (matchId) =>
+    outbox.some((e) => e.conflict && e.matchId === matchId && e.tournamentId === currentTournamentId)
+      ? conflicts[matchId] || { loading: true }
+      : null;
+
+  const dropConflict = (matchId) =>
+    setConflicts((prev) => Object.fromEntries(Object.entries(prev).filter(([id]) => id !== matchId)));
+
+  // Saves the hands the scorer kept on top of the server's version; the table
+  // setup and draft stay as they are on this device.
+  const resolveMatchConflict = async (matchId, hands) => {
+    const match = matches.find((m) => m.id === matchId);
+    const conflict = conflicts[matchId];
+    if (!match || !conflict || !canWriteMatch(match)) return;
+
+    const nextMatches = matches.map((m) =>
+      m.id !== matchId
+        ? m
+        : recomputeMatch(
+            {
+              ...m,
+              hands: [...hands].sort((a, b) => a.idx - b.idx),
+              editingHandIdx: null,
+              version: conflict.remote?.version || 0,
+            },
+            settings
+          )
+    );
+    dropConflict(matchId);
+    await syncMatchLocalAndRemote(
+      nextMatches.find((m) => m.id === matchId),
+      nextMatches
+    );
+  };
+
+  // Throws away this device's pending write and takes the server's match.
+  const keepRemoteMatch = (matchId) => {
+    const conflict = conflicts[matchId];
+    if (!conflict) return;
+    discardMatchBundle(currentTournamentId, matchId);
+    dropConflict(matchId);
+
+    const nextMatches = conflict.remote
+      ? matches.map((m) =>
+          m.id === matchId ? recomputeMatch({ ...conflict.remote, code: conflict.remote.code || m.code }, settings) : m
+        )
+      : matches.filter((m) => m.id !== matchId);
+    setMatches(nextMatches);
+    persistNow({ matches: nextMatches });
+  };
+
+  // A write the server refused stays in the outbox until it is resent, or
+  // dropped for the server's copy.
+  const rejectedWriteFor = (matchId) =>
+    outbox.find((e) => e.rejected && e.matchId === matchId && e.tournamentId === currentTournamentId) || null;
+
+  const discardRejectedWrite = async (matchId) => {
+    if (!window.confirm("Discard this device's unsynced changes to the match and reload it from the server?")) return;
+    discardMatchBundle(currentTournamentId, matchId);
+    await refreshFromSupabase();
+  };
+
+  const setMatchForfeit = async (matchId, forfeitTeamId) => {
+    if (blockIfReadOnly()) return;
+    const nextMatches = matches.map((m) =>
+      m.id === matchId ? recomputeMatch({ ...m, forfeitTeamId: forfeitTeamId || null }, settings) : m
+    );
+    const nextMatch = nextMatches.find((m) => m.id === matchId);
+    await syncMatchLocalAndRemote(nextMatch, nextMatches);
+  };
+
+  // Completion depends on the end condition, so re-evaluate every match locally.
+  // Other devices pick the change up through the tournament_state refresh.
+  const saveTournamentSettings = async (patch) => {
+    if (blockIfReadOnly()) return;
+    const nextSettings = normalizeTournamentSettings({ ...settings, ...patch });
+    const nextMatches = matches.map((m) => recomputeMatch(m, nextSettings));
+
+    setSettings(nextSettings);
+    setMatches(nextMatches);
+    persistNow({ settings: nextSettings, matches: nextMatches });
+
+    try {
+      await saveTournamentStateToSupabase({
+        tournamentId: currentTournamentId,
+        appName,
+        players,
+        teams,
+        pairHistory,
+        avoidSameTeams,
+        settings: nextSettings,
+      });
+    } catch (err) {
+      console.error("Failed to save settings to Supabase:", err);
+    }
+  };
+
   const finishMatchNow = async (matchId) => {
     const nextMatches = matches.map((m) => {
-      if (m.id !== matchId) return m;
+      if (m.id !== matchId || !canScoreMatch(m)) return m;
       const a = Number(m.totalA) || 0;
       const b = Number(m.totalB) || 0;
       return {
@@ -2442,6 +3740,7 @@ useEffect(() => {
   async function startEditHand(matchId, handIdx) {
     const nextMatches = matches.map((m) => {
       if (m.id !== matchId) return m;
+      if (!canScoreMatch(m)) return m;
       const hand = (m.hands || []).find((h) => h.idx === handIdx);
       if (!hand) return m;
       const d = hand.draftSnapshot || {};
@@ -2454,20 +3753,27 @@ useEffect(() => {
           bid: String(d.bid ?? ""),
           suit: d.suit ?? "S",
           coincheLevel: d.coincheLevel ?? "NONE",
-          capot: Boolean(d.capot),
+          capot: d.generale ? Boolean(d.generaleMade) : Boolean(d.capot),
+          generale: Boolean(d.generale),
+          generalePlayerId: d.generalePlayerId ?? "",
           bidderTrickPoints: String(d.bidderTrickPoints ?? ""),
           nonBidderTrickPoints: String(d.nonBidderTrickPoints ?? ""),
           trickSource: d.trickSource ?? "",
           skippedHand: Boolean(d.skippedHand),
-          announceA1: String(d.announceA1 ?? ""),
+          announceA1Types: getAnnounceTypes(d, "A1"),
           announceA1PlayerId: d.announceA1PlayerId ?? "",
-          announceA2: String(d.announceA2 ?? ""),
+          announceA2Types: getAnnounceTypes(d, "A2"),
           announceA2PlayerId: d.announceA2PlayerId ?? "",
-          announceB1: String(d.announceB1 ?? ""),
+          announceB1Types: getAnnounceTypes(d, "B1"),
           announceB1PlayerId: d.announceB1PlayerId ?? "",
-          announceB2: String(d.announceB2 ?? ""),
+          announceB2Types: getAnnounceTypes(d, "B2"),
           announceB2PlayerId: d.announceB2PlayerId ?? "",
+          announceTieWinner: d.announceTieWinner ?? "NONE",
           beloteTeam: d.beloteTeam ?? "NONE",
+          belotePlayerId: d.belotePlayerId ?? "",
+          auction: Array.isArray(d.auction) ? d.auction : null,
+          auctionDealerPlayerId: d.auctionDealerPlayerId ?? "",
+          playLog: d.playLog?.tricks ? d.playLog : null,
         },
       };
     });
@@ -2490,25 +3796,36 @@ useEffect(() => {
     try {
       const nextMatches = matches.map((m) => {
         if (m.id !== matchId) return m;
+        if (!canScoreMatch(m)) return m;
 
-        const d = m.fastDraft || defaultFastDraft();
-        const canPlay = !!m.teamAId && !!m.teamBId;
-        const setupReady =
-          canPlay &&
-          Array.isArray(m.tableOrderPlayerIds) &&
-          m.tableOrderPlayerIds.length === 4 &&
-          !!m.firstShufflerPlayerId;
+        const draft = m.fastDraft || defaultFastDraft();
+        const scored = resolveScoredDraft(m, draft, teamById, settings.ruleProfileId);
+        if (scored.pending) return m;
 
-        if (!setupReady) return m;
+        // The entry form shows these issues inline; this is the last guard.
+        const validation = validateScoredDraft(m, scored, { teamById, playerById, ruleProfile: settings.ruleProfileId });
+        if (!validation.ok) {
+          console.error("Hand not saved:", validation.errors);
+          return m;
+        }
+
+        const { auction, play, d } = scored;
 
-        const bidVal = parseBidValue(d.bid);
+        // A générale is declared by one player of the bidding team; its value
+        // comes from the rule profile, so no bid is needed.
+        const generale = Boolean(d.generale);
+
+        const bidVal = generale ? getRuleProfile(settings.ruleProfileId).generalePoints : parseBidValue(d.bid);
         if (bidVal === null) return m;
 
         let trickVal = null;
         const bidderTP = safeInt(d.bidderTrickPoints);
         const nonBidderTP = safeInt(d.nonBidderTrickPoints);
 
-        if (d.trickSource === "BIDDER") {
+        // Trick points are optional for a générale; only Made matters.
+        if (generale && bidderTP === null && nonBidderTP === null) {
+          trickVal = d.capot ? 162 : 0;
+        } else if (d.trickSource === "BIDDER") {
           if (bidderTP === null) return m;
           trickVal = bidderTP;
         } else if (d.trickSource === "NON") {
@@ -2522,31 +3839,46 @@ useEffect(() => {
         if (trickVal === null) return m;
         trickVal = clamp(trickVal, 0, 162);
 
-        const announceA = sumAnnounces(d, "A");
-        const announceB = sumAnnounces(d, "B");
+        const announces = resolveDraftAnnounces(d);
+        const { announceA, announceB } = announces;
         const dealer = getCurrentDealerInfo(m, playerById);
-        const playersA = getTeamPlayers(teamById.get(m.teamAId), playerById);
-        const playersB = getTeamPlayers(teamById.get(m.teamBId), playerById);
+        const seatPlayerIds = getSeatedPlayerIds(m, teamById);
+        const playersA = seatPlayerIds.A.map((pid) => playerById.get(pid)).filter(Boolean);
+        const playersB = seatPlayerIds.B.map((pid) => playerById.get(pid)).filter(Boolean);
 
-        const capotFlag = Boolean(d.capot);
+        // For a générale the Made flag records whether the declarer took every trick.
+        const capotFlag = !generale && Boolean(d.capot);
+        const generaleMade = generale && Boolean(d.capot);
+        const suit = CONTRACT_SUITS[d.suit] ? d.suit : "S";
+        const beloteTeam = getContractType(suit) === "SA" ? "NONE" : d.beloteTeam || "NONE";
+        const belotePlayerId = beloteTeam === "NONE" ? "" : d.belotePlayerId || "";
 
         const res = computeFastCoincheScore({
           bidder: d.bidder,
           bid: bidVal,
+          suit,
           coincheLevel: d.coincheLevel || "NONE",
           capot: capotFlag,
+          generale,
+          generaleMade,
           bidderTrickPoints: trickVal,
           announceA,
           announceB,
-          beloteTeam: d.beloteTeam || "NONE",
+          beloteTeam,
+          ruleProfile: settings.ruleProfileId,
+          litigeMode: Boolean(settings.litigeMode),
         });
 
         const snap = {
           bidder: d.bidder,
           bid: bidVal,
-          suit: d.suit || "S",
+          suit,
           coincheLevel: d.coincheLevel || "NONE",
           capot: capotFlag,
+          generale,
+          generaleMade,
+          generalePlayerId: generale ? d.generalePlayerId : "",
+          generalePlayerName: generale ? playerById.get(d.generalePlayerId)?.name || "" : "",
           skippedHand: false,
           bidderTrickPoints: trickVal,
           nonBidderTrickPoints:
@@ -2554,23 +3886,41 @@ useEffect(() => {
               ? clamp(nonBidderTP ?? (162 - trickVal), 0, 162)
               : clamp(162 - trickVal, 0, 162),
           trickSource: d.trickSource || (nonBidderTP !== null ? "NON" : "BIDDER"),
-          announceA1: num(d.announceA1),
+          // announceXN is what the player declared; announceA/B is what was scored.
+          announceA1: sumAnnounceTypes(getAnnounceTypes(d, "A1")),
+          announceA1Types: getAnnounceTypes(d, "A1"),
           announceA1PlayerId: d.announceA1PlayerId || "",
           announceA1PlayerName: playersA.find((p) => p.id === d.announceA1PlayerId)?.name || "",
-          announceA2: num(d.announceA2),
+          announceA2: sumAnnounceTypes(getAnnounceTypes(d, "A2")),
+          announceA2Types: getAnnounceTypes(d, "A2"),
           announceA2PlayerId: d.announceA2PlayerId || "",
           announceA2PlayerName: playersA.find((p) => p.id === d.announceA2PlayerId)?.name || "",
-          announceB1: num(d.announceB1),
+          announceB1: sumAnnounceTypes(getAnnounceTypes(d, "B1")),
+          announceB1Types: getAnnounceTypes(d, "B1"),
           announceB1PlayerId: d.announceB1PlayerId || "",
           announceB1PlayerName: playersB.find((p) => p.id === d.announceB1PlayerId)?.name || "",
-          announceB2: num(d.announceB2),
+          announceB2: sumAnnounceTypes(getAnnounceTypes(d, "B2")),
+          announceB2Types: getAnnounceTypes(d, "B2"),
           announceB2PlayerId: d.announceB2PlayerId || "",
           announceB2PlayerName: playersB.find((p) => p.id === d.announceB2PlayerId)?.name || "",
+          announceTieWinner: announces.tied ? d.announceTieWinner || "NONE" : "NONE",
+          announceScoringSide: announces.scoringSide,
           announceA,
           announceB,
-          beloteTeam: d.beloteTeam || "NONE",
+          beloteTeam,
+          belotePlayerId,
+          belotePlayerName: playerById.get(belotePlayerId)?.name || "",
+          ruleProfile: getRuleProfile(settings.ruleProfileId).id,
+          litige: Boolean(res.litige),
+          litigeEscrow: res.litige ? res.escrow : 0,
+          bidderPlayerId: d.bidderPlayerId || "",
+          auction: auction ? d.auction : null,
+          auctionDealerPlayerId: auction ? d.auctionDealerPlayerId : "",
+          playLog: play ? d.playLog : null,
           shufflerPlayerId: dealer.playerId,
           shufflerName: dealer.name,
+          // Who held each seat for this hand, so per-player stats follow substitutions.
+          seatPlayerIds,
         };
 
         if (m.editingHandIdx) {
@@ -2590,44 +3940,104 @@ useEffect(() => {
             ),
             fastDraft: defaultFastDraft(),
             editingHandIdx: null,
-          });
+          }, settings);
         }
 
-        if (recomputeMatch(m).completed) return recomputeMatch(m);
+        if (recomputeMatch(m, settings).completed) return recomputeMatch(m, settings);
+
+        const nextHand = {
+          idx: (m.hands?.length || 0) + 1,
+          createdAt: Date.now(),
+          draftSnapshot: snap,
+          scoreA: res.scoreA,
+          scoreB: res.scoreB,
+          bidderSucceeded: res.bidderSucceeded,
+        };
+
+        return recomputeMatch({
+          ...m,
+          hands: [...(m.hands || []), nextHand],
+          fastDraft: defaultFastDraft(),
+        }, settings);
+      });
+
+      const nextMatch = nextMatches.find((m) => m.id === matchId);
+      await syncMatchLocalAndRemote(nextMatch, nextMatches);
+    } finally {
+      setTimeout(() => {
+        handSaveLocksRef.current.delete(matchId);
+      }, 250);
+    }
+  }
+
+  async function skipHandNoPoints(matchId) {
+    const lockKey = `${matchId}__skip`;
+    if (handSaveLocksRef.current.has(lockKey) || handSaveLocksRef.current.has(matchId)) return;
+    handSaveLocksRef.current.add(lockKey);
+
+    try {
+      const nextMatches = matches.map((m) => {
+        if (m.id !== matchId) return m;
+        if (!canScoreMatch(m)) return m;
+
+        const canPlay = !!m.teamAId && !!m.teamBId;
+        const setupReady =
+          canPlay &&
+          Array.isArray(m.tableOrderPlayerIds) &&
+          m.tableOrderPlayerIds.length === 4 &&
+          !!m.firstShufflerPlayerId;
+
+        if (!setupReady) return m;
+        if (recomputeMatch(m, settings).completed) return recomputeMatch(m, settings);
+
+        const dealer = getCurrentDealerInfo(m, playerById);
+        const auction = replayDraftAuction(m, m.fastDraft, teamById, settings.ruleProfileId);
 
         const nextHand = {
           idx: (m.hands?.length || 0) + 1,
           createdAt: Date.now(),
-          draftSnapshot: snap,
-          scoreA: res.scoreA,
-          scoreB: res.scoreB,
-          bidderSucceeded: res.bidderSucceeded,
+          draftSnapshot: {
+            ...defaultFastDraft(),
+            bid: "SKIP",
+            trickSource: "SKIP",
+            skippedHand: true,
+            auction: auction ? m.fastDraft.auction : null,
+            auctionDealerPlayerId: auction ? m.fastDraft.auctionDealerPlayerId : "",
+            shufflerPlayerId: dealer.playerId,
+            shufflerName: dealer.name,
+          },
+          scoreA: 0,
+          scoreB: 0,
+          bidderSucceeded: false,
         };
 
         return recomputeMatch({
           ...m,
           hands: [...(m.hands || []), nextHand],
           fastDraft: defaultFastDraft(),
-        });
+          editingHandIdx: null,
+        }, settings);
       });
 
       const nextMatch = nextMatches.find((m) => m.id === matchId);
       await syncMatchLocalAndRemote(nextMatch, nextMatches);
     } finally {
       setTimeout(() => {
-        handSaveLocksRef.current.delete(matchId);
+        handSaveLocksRef.current.delete(lockKey);
       }, 250);
     }
   }
 
-  async function skipHandNoPoints(matchId) {
-    const lockKey = `${matchId}__skip`;
+  // Awards the configured penalty to the team that did not offend.
+  async function recordPenaltyHand(matchId, { offenderPlayerId, reason, note }) {
+    const lockKey = `${matchId}__penalty`;
     if (handSaveLocksRef.current.has(lockKey) || handSaveLocksRef.current.has(matchId)) return;
     handSaveLocksRef.current.add(lockKey);
 
     try {
       const nextMatches = matches.map((m) => {
         if (m.id !== matchId) return m;
+        if (!canScoreMatch(m)) return m;
 
         const canPlay = !!m.teamAId && !!m.teamBId;
         const setupReady =
@@ -2637,8 +4047,14 @@ useEffect(() => {
           !!m.firstShufflerPlayerId;
 
         if (!setupReady) return m;
-        if (recomputeMatch(m).completed) return recomputeMatch(m);
+        if (recomputeMatch(m, settings).completed) return recomputeMatch(m, settings);
+
+        const offenderSide = getSideByPlayerId(m, teamById)[offenderPlayerId];
+        if (!offenderSide) return m;
 
+        const d = m.fastDraft || defaultFastDraft();
+        const bidVal = parseBidValue(d.bid) || 0;
+        const res = computePenaltyScore({ offenderSide, bid: bidVal, penaltyRule: settings.penaltyRule });
         const dealer = getCurrentDealerInfo(m, playerById);
 
         const nextHand = {
@@ -2646,14 +4062,21 @@ useEffect(() => {
           createdAt: Date.now(),
           draftSnapshot: {
             ...defaultFastDraft(),
-            bid: "SKIP",
-            trickSource: "SKIP",
-            skippedHand: true,
+            bid: "",
+            trickSource: "PENALTY",
+            penalty: true,
+            penaltyReason: PENALTY_REASONS[reason] ? reason : "OTHER",
+            penaltyNote: String(note || "").trim(),
+            penaltyBid: bidVal,
+            penaltyRule: { ...defaultPenaltyRule(), ...(settings.penaltyRule || {}) },
+            offenderPlayerId,
+            offenderName: playerById.get(offenderPlayerId)?.name || "",
+            offenderSide,
             shufflerPlayerId: dealer.playerId,
             shufflerName: dealer.name,
           },
-          scoreA: 0,
-          scoreB: 0,
+          scoreA: res.scoreA,
+          scoreB: res.scoreB,
           bidderSucceeded: false,
         };
 
@@ -2662,7 +4085,7 @@ useEffect(() => {
           hands: [...(m.hands || []), nextHand],
           fastDraft: defaultFastDraft(),
           editingHandIdx: null,
-        });
+        }, settings);
       });
 
       const nextMatch = nextMatches.find((m) => m.id === matchId);
@@ -2676,116 +4099,57 @@ useEffect(() => {
 
   const clearMatchHands = async (matchId) => {
     const nextMatches = matches.map((m) =>
-      m.id === matchId
+      m.id === matchId && canScoreMatch(m)
         ? recomputeMatch({
             ...m,
             hands: [],
             forcedComplete: false,
             editingHandIdx: null,
             fastDraft: defaultFastDraft(),
-          })
+          }, settings)
         : m
     );
     const nextMatch = nextMatches.find((m) => m.id === matchId);
     await syncMatchLocalAndRemote(nextMatch, nextMatches);
   };
 
-  const scoreboardRows = useMemo(() => {
-    const rows = teams.map((t) => ({
-      teamId: t.id,
-      name: t.name,
-      matchesPlayed: 0,
-      wins: 0,
-      losses: 0,
-      standingPoints: 0,
-      pointsFor: 0,
-      pointsAgainst: 0,
-    }));
-
-    const byId = new Map(rows.map((r) => [r.teamId, r]));
-
-    for (const m of matches) {
-      if (!m.teamAId || !m.teamBId) continue;
-
-      if (!byId.has(m.teamAId)) {
-        byId.set(m.teamAId, {
-          teamId: m.teamAId,
-          name: teamById.get(m.teamAId)?.name || "Team A",
-          matchesPlayed: 0,
-          wins: 0,
-          losses: 0,
-          standingPoints: 0,
-          pointsFor: 0,
-          pointsAgainst: 0,
-        });
-      }
-
-      if (!byId.has(m.teamBId)) {
-        byId.set(m.teamBId, {
-          teamId: m.teamBId,
-          name: teamById.get(m.teamBId)?.name || "Team B",
-          matchesPlayed: 0,
-          wins: 0,
-          losses: 0,
-          standingPoints: 0,
-          pointsFor: 0,
-          pointsAgainst: 0,
-        });
-      }
-
-      const a = byId.get(m.teamAId);
-      const b = byId.get(m.teamBId);
-
-      const totalA = Number(m.totalA) || 0;
-      const totalB = Number(m.totalB) || 0;
-      const hasHands = (m.hands || []).length > 0;
-
-      a.pointsFor += totalA;
-      a.pointsAgainst += totalB;
-      b.pointsFor += totalB;
-      b.pointsAgainst += totalA;
-
-      if (hasHands) {
-        a.matchesPlayed += 1;
-        b.matchesPlayed += 1;
-      }
-
-      if (m.winnerId === m.teamAId) {
-        a.wins += 1;
-        b.losses += 1;
-      } else if (m.winnerId === m.teamBId) {
-        b.wins += 1;
-        a.losses += 1;
-      }
-
-      if (m.completed && m.winnerId) {
-        const winnerReachedTarget =
-          totalA >= TARGET_SCORE || totalB >= TARGET_SCORE;
+  const teamMatches = useMemo(
+    () => matches.filter((m) => !m.archived && !isMeleeMatch(m, teamById)),
+    [matches, teamById]
+  );
 
-        const awardedPoints = winnerReachedTarget ? 2 : 1;
+  // Final standings of every archived stage, oldest first.
+  const pastStages = useMemo(
+    () =>
+      listStages(teams.filter((t) => t.archived)).map((stage) => {
+        const stageTeams = teams.filter((t) => t.archived && teamStage(t) === stage);
+        const ids = new Set(stageTeams.map((t) => t.id));
+        const stageMatches = matches.filter((m) => m.archived && (ids.has(m.teamAId) || ids.has(m.teamBId)));
+        return { stage, rows: computeScoreboardRows({ teams: stageTeams, matches: stageMatches, teamById, settings }) };
+      }),
+    [teams, matches, teamById, settings]
+  );
 
-        if (m.winnerId === m.teamAId) {
-          a.standingPoints += awardedPoints;
-        } else if (m.winnerId === m.teamBId) {
-          b.standingPoints += awardedPoints;
-        }
-      }
-    }
+  const scoreboardRows = useMemo(
+    () => computeScoreboardRows({ teams: rosterTeams, matches: teamMatches, teamById, settings }),
+    [rosterTeams, teamMatches, teamById, settings]
+  );
 
-    return Array.from(byId.values()).sort((x, y) => {
-      if (y.standingPoints !== x.standingPoints) {
-        return y.standingPoints - x.standingPoints;
-      }
-      if (y.wins !== x.wins) return y.wins - x.wins;
+  // Standings as of a round only count matches placed in that round or earlier.
+  const standingsRows = useMemo(() => {
+    const asOf = normalizeRound(standingsRound);
+    if (!asOf) return scoreboardRows;
+    const upTo = teamMatches.filter((m) => normalizeRound(m.round) !== null && m.round <= asOf);
+    return computeScoreboardRows({ teams: rosterTeams, matches: upTo, teamById, settings });
+  }, [standingsRound, scoreboardRows, rosterTeams, teamMatches, teamById, settings]);
 
-      const dx = x.pointsFor - x.pointsAgainst;
-      const dy = y.pointsFor - y.pointsAgainst;
-      if (dy !== dx) return dy - dx;
+  const showPlayerStandings = Boolean(settings.meleeMode) || teams.some((t) => t.melee);
 
-      if (y.pointsFor !== x.pointsFor) return y.pointsFor - x.pointsFor;
-      return x.name.localeCompare(y.name);
-    });
-  }, [teams, matches, teamById]);
+  const playerStandingsRows = useMemo(() => {
+    const asOf = normalizeRound(standingsRound);
+    const upTo = asOf ? matches.filter((m) => normalizeRound(m.round) !== null && m.round <= asOf) : matches;
+    return computePlayerStandings({ players, matches: upTo, teamById, settings });
+  }, [standingsRound, players, matches, teamById, settings]);
 
   const teamStatsRows = useMemo(() => {
   const rows = new Map();
@@ -2806,10 +4170,13 @@ useEffect(() => {
         coinchesWon: 0,
         totalAnnouncePoints: 0,
         capotsMade: 0,
+        generalesMade: 0,
         comebackWins: 0,
         shutoutHandsForced: 0,
         bestSingleHand: 0,
         worstSingleHand: null,
+        penalties: 0,
+        playerPenaltyCounts: {},
       });
     }
     return rows.get(teamId);
@@ -2869,9 +4236,23 @@ useEffect(() => {
         if (h.bidderSucceeded) bidderRow.coinchesWon += 1;
       }
 
-      if (d.capot) {
+      // A made générale is a capot too, taken by one player.
+      if (d.capot || (d.generale && d.generaleMade)) {
         bidderRow.capotsMade += 1;
       }
+
+      if (d.generale && d.generaleMade) {
+        bidderRow.generalesMade += 1;
+      }
+
+      if (d.penalty) {
+        const offenderRow = d.offenderSide === "A" ? a : b;
+        offenderRow.penalties += 1;
+        if (d.offenderPlayerId) {
+          offenderRow.playerPenaltyCounts[d.offenderPlayerId] =
+            (offenderRow.playerPenaltyCounts[d.offenderPlayerId] || 0) + 1;
+        }
+      }
     }
   }
 
@@ -2905,6 +4286,9 @@ useEffect(() => {
         ? Number(((r.coinchesWon / r.coinchesCalled) * 100).toFixed(1))
         : 0,
       worstSingleHand: r.worstSingleHand ?? 0,
+      penaltySummary: Object.entries(r.playerPenaltyCounts)
+        .map(([pid, n]) => `${playerById.get(pid)?.name || "?"} ${n}`)
+        .join(", "),
     }))
     .sort((a, b) => {
       if (b.avgPointsPerMatch !== a.avgPointsPerMatch) {
@@ -2912,7 +4296,7 @@ useEffect(() => {
       }
       return a.name.localeCompare(b.name);
     });
-}, [matches, teamById]);
+}, [matches, teamById, playerById]);
 
   const funStats = useMemo(() => {
     const completed = matches.filter((m) => m.completed && m.teamAId && m.teamBId);
@@ -2943,8 +4327,11 @@ useEffect(() => {
     const teamFun = new Map();
     const announceCountByPlayer = new Map();
     const announceTotalByPlayer = new Map();
+    const carreCountByPlayer = new Map();
+    const beloteCountByPlayer = new Map();
     const teamStatMap = new Map();
     const playerCapotCounts = new Map();
+    const playerGeneraleCounts = new Map();
 
     const ensureTeamStats = (tid) => {
       if (!tid) return null;
@@ -3067,7 +4454,7 @@ if (lowestTeamScore < leastPointsGame.points) {
         const bidderTeamId = d.bidder === "A" ? m.teamAId : m.teamBId;
         const bidderStats = ensureTeamStats(bidderTeamId);
 
-        if (!d.skippedHand && d.bid !== "SKIP") {
+        if (!d.skippedHand && !d.penalty && d.bid !== "SKIP") {
           bidderStats.bidsMade += 1;
           if (h.bidderSucceeded) bidderStats.bidsWon += 1;
         }
@@ -3086,32 +4473,37 @@ if (lowestTeamScore < leastPointsGame.points) {
 
         if (d.coincheLevel === "COINCHE") bumpFun(bidderTeamId, "coinches");
         if (d.coincheLevel === "SURCOINCHE") bumpFun(bidderTeamId, "surcoinches");
-        if (d.capot) {
+        const generaleMade = Boolean(d.generale && d.generaleMade);
+        if (d.capot || generaleMade) {
           bumpFun(bidderTeamId, "capots");
           bidderStats.capots += 1;
 
-          const capotPlayers =
-            d.bidder === "A"
-              ? (teamById.get(m.teamAId)?.playerIds || [])
-              : (teamById.get(m.teamBId)?.playerIds || []);
+          // A générale is credited to the declarer alone, not the whole team.
+          const capotPlayers = generaleMade
+            ? [d.generalePlayerId].filter(Boolean)
+            : (d.seatPlayerIds || getSeatedPlayerIds(m, teamById, h.idx))[d.bidder] || [];
 
           capotPlayers.forEach((pid) => {
             playerCapotCounts.set(pid, (playerCapotCounts.get(pid) || 0) + 1);
           });
         }
+        if (generaleMade && d.generalePlayerId) {
+          playerGeneraleCounts.set(d.generalePlayerId, (playerGeneraleCounts.get(d.generalePlayerId) || 0) + 1);
+        }
         if (d.beloteTeam === "A") bumpFun(m.teamAId, "belotes");
         if (d.beloteTeam === "B") bumpFun(m.teamBId, "belotes");
+        if (d.belotePlayerId) {
+          beloteCountByPlayer.set(d.belotePlayerId, (beloteCountByPlayer.get(d.belotePlayerId) || 0) + 1);
+        }
 
-        [
-          [d.announceA1PlayerId, d.announceA1],
-          [d.announceA2PlayerId, d.announceA2],
-          [d.announceB1PlayerId, d.announceB1],
-          [d.announceB2PlayerId, d.announceB2],
-        ].forEach(([pid, val]) => {
-          const pts = Number(val) || 0;
-          if (!pid || pts <= 0) return;
-          announceCountByPlayer.set(pid, (announceCountByPlayer.get(pid) || 0) + 1);
-          announceTotalByPlayer.set(pid, (announceTotalByPlayer.get(pid) || 0) + pts);
+        ["A1", "A2", "B1", "B2"].forEach((slot) => {
+          const pid = d[`announce${slot}PlayerId`];
+          const types = getAnnounceTypes(d, slot);
+          if (!pid || !types.length) return;
+          announceCountByPlayer.set(pid, (announceCountByPlayer.get(pid) || 0) + types.length);
+          announceTotalByPlayer.set(pid, (announceTotalByPlayer.get(pid) || 0) + sumAnnounceTypes(types));
+          const carres = types.filter(isCarreAnnounce).length;
+          if (carres) carreCountByPlayer.set(pid, (carreCountByPlayer.get(pid) || 0) + carres);
         });
       }
     }
@@ -3162,9 +4554,12 @@ if (lowestTeamScore < leastPointsGame.points) {
 
     let mostAnnounces = { name: "—", v: 0 };
     let highestAnnounces = { name: "—", v: 0 };
+    let mostCarres = { name: "—", v: 0 };
+    let belotePlayer = { name: "—", v: 0 };
     let longestHandWinStreak = { name: "—", streak: 0 };
     let capotCountByTeam = { name: "—", v: 0 };
     let capotCountByPlayer = { name: "—", v: 0 };
+    let generaleHero = { name: "—", v: 0 };
 
     for (const [pid, v] of announceCountByPlayer.entries()) {
       if (v > mostAnnounces.v) {
@@ -3178,6 +4573,18 @@ if (lowestTeamScore < leastPointsGame.points) {
       }
     }
 
+    for (const [pid, v] of carreCountByPlayer.entries()) {
+      if (v > mostCarres.v) {
+        mostCarres = { name: playerById.get(pid)?.name ?? "—", v };
+      }
+    }
+
+    for (const [pid, v] of beloteCountByPlayer.entries()) {
+      if (v > belotePlayer.v) {
+        belotePlayer = { name: playerById.get(pid)?.name ?? "—", v };
+      }
+    }
+
     for (const [tid, stats] of teamStatMap.entries()) {
       const teamName = teamById.get(tid)?.name ?? "—";
 
@@ -3246,6 +4653,15 @@ if (lowestTeamScore < leastPointsGame.points) {
       }
     }
 
+    for (const [pid, count] of playerGeneraleCounts.entries()) {
+      if (count > generaleHero.v) {
+        generaleHero = {
+          name: playerById.get(pid)?.name ?? "—",
+          v: count,
+        };
+      }
+    }
+
     return {
       biggestBlowout,
       bestComeback,
@@ -3262,19 +4678,22 @@ if (lowestTeamScore < leastPointsGame.points) {
       longestHandWinStreak,
       capotCountByTeam,
       capotCountByPlayer,
+      generaleHero,
       perfectDefense,
       coincheKing: leader("coinches"),
       capotHero: leader("capots"),
       beloteMagnet: leader("belotes"),
       mostAnnounces,
       highestAnnounces,
+      mostCarres,
+      belotePlayer,
     };
   }, [matches, teamById, playerById]);
 
   const publicLink = useMemo(() => buildShareHref("/public", { tid: currentTournamentId }), [currentTournamentId]);
   const tableLinks = useMemo(
     () =>
-      matches.map((m) => ({
+      matches.filter((m) => !m.bye).map((m) => ({
         label: `${m.tableName} • ${m.label}`,
         code: m.code,
         href: buildShareHref("/table", { code: m.code, tid: currentTournamentId }),
@@ -3312,9 +4731,98 @@ if (lowestTeamScore < leastPointsGame.points) {
         Public View
       </a>
       <span style={styles.tag}>{syncStatus}</span>
+      {isOrganizer ? (
+        <button type="button" style={{ ...styles.tag, cursor: "pointer" }} onClick={signOut}>
+          Sign out
+        </button>
+      ) : null}
     </div>
   );
 
+  if (path === "/register") {
+    const tournament = tournaments.find((t) => t.id === currentTournamentId);
+    return (
+      <div style={styles.page}>
+        <div style={styles.container}>
+          <Header title={tournament?.name || appName} subtitle="Player registration" right={<NavPills showAdmin={false} />} />
+          <Section title="Register">
+            {!currentTournamentId ? (
+              <div style={styles.small}>This registration link does not point to a tournament.</div>
+            ) : !acceptsRegistrations(tournament?.status) ? (
+              <div style={styles.small}>Registration for this tournament is closed.</div>
+            ) : (
+              <RegistrationForm onSubmit={submitRegistration} />
+            )}
+          </Section>
+        </div>
+      </div>
+    );
+  }
+
+  // Everything but the public, table and registration pages is organizer-only.
+  if (path !== "/public" && path !== "/table" && !isOrganizer) {
+    return (
+      <div style={styles.page}>
+        <div style={styles.container}>
+          <Header title={appName} subtitle="Organizer sign-in" right={<NavPills showAdmin={false} />} />
+          <Section title="Sign in">
+            {checkingRole ? (
+              <div style={styles.small}>Checking sign-in…</div>
+            ) : session ? (
+              <div style={{ display: "flex", flexDirection: "column", gap: 10, maxWidth: 420 }}>
+                <div style={styles.small}>
+                  {session.user?.email || "This account"} is not an organizer. Ask an organizer to add you, or sign in
+                  with another account.
+                </div>
+                <button style={styles.btnSecondary} onClick={signOut}>
+                  Sign out
+                </button>
+              </div>
+            ) : (
+              <SignInForm onSubmit={signIn} />
+            )}
+          </Section>
+        </div>
+      </div>
+    );
+  }
+
+  if (path === "/checkin") {
+    const waiting = registrations.filter((r) => !r.playerId);
+    return (
+      <div style={styles.page}>
+        <div style={styles.container}>
+          <Header
+            title={appName}
+            subtitle={`Check-in • ${players.filter((p) => p.checkedIn).length}/${players.length} players present`}
+            right={<NavPills showAdmin />}
+          />
+          <Section
+            title="Players"
+            right={
+              <label style={{ display: "flex", gap: 8, alignItems: "center", ...styles.small }}>
+                <input
+                  type="checkbox"
+                  checked={Boolean(settings.checkInRequired)}
+                  onChange={(e) => saveTournamentSettings({ checkInRequired: e.target.checked })}
+                  disabled={tournamentReadOnly}
+                />
+                Only draw and pair checked-in players
+              </label>
+            }
+          >
+            <CheckInList
+              players={players}
+              registrations={waiting}
+              onSetCheckedIn={setPlayerCheckedIn}
+              onCheckInRegistration={checkInRegistration}
+            />
+          </Section>
+        </div>
+      </div>
+    );
+  }
+
 if (path === "/public") {
 const liveMatches = matches
   .filter((m) => m.teamAId && m.teamBId && !m.completed)
@@ -3329,28 +4837,90 @@ const completedMatchRecaps = matches
       <div style={styles.container}>
         <Header
           title={appName}
-          subtitle={`Public scoreboard • Live updates • Tables: ${matches.length}`}
-          right={<NavPills showAdmin />}
+          subtitle={`Public scoreboard • Live updates • Tables: ${matches.length}${
+            currentTournament ? ` • ${tournamentStatusLabel(tournamentStatus)}` : ""
+          }`}
+          right={
+            <div style={styles.row}>
+              <select
+                style={styles.select(240)}
+                value={currentTournamentId || ""}
+                onChange={(e) => navigateHash(buildHashRoute("/public", { tid: e.target.value }))}
+              >
+                {tournaments
+                  .filter((t) => t.id === currentTournamentId || isPubliclyListed(t.status))
+                  .map((t) => (
+                    <option key={t.id} value={t.id}>
+                      {t.name} • {tournamentStatusLabel(t.status)}
+                    </option>
+                  ))}
+              </select>
+              <NavPills showAdmin />
+            </div>
+          }
         />
 
-        <Section title="Live Scoreboard">
-          <ScoreboardTable rows={scoreboardRows} />
+        <Section
+          title="Live Scoreboard"
+          right={
+            listRounds(matches).length ? (
+              <select style={styles.select(200)} value={standingsRound} onChange={(e) => setStandingsRound(e.target.value)}>
+                <option value="">All rounds</option>
+                {listRounds(matches).map((r) => (
+                  <option key={r} value={r}>
+                    As of round {r}
+                  </option>
+                ))}
+              </select>
+            ) : null
+          }
+        >
+          <ScoreboardTable rows={standingsRows} />
         </Section>
 
+        {showPlayerStandings ? (
+          <Section title="Player Standings">
+            <ScoreboardTable rows={playerStandingsRows} nameHeader="Player" />
+          </Section>
+        ) : null}
+
+        {pastStages.length ? (
+          <Section title="Previous Stages" collapsible defaultCollapsed>
+            {pastStages.map(({ stage, rows }) => (
+              <div key={stage} style={{ marginBottom: 12 }}>
+                <div style={{ fontWeight: 950, marginBottom: 8 }}>Stage {stage} • Final standings</div>
+                <ScoreboardTable rows={rows} />
+              </div>
+            ))}
+          </Section>
+        ) : null}
+
+        {matches.some((m) => m.bracket) ? (
+          <Section title="Bracket">
+            <BracketView matches={matches} teamById={teamById} />
+          </Section>
+        ) : null}
+
         <Section title="Live Matches (Now Playing)">
           {!liveMatches.length ? (
             <div style={styles.small}>No matches currently in progress.</div>
           ) : (
-            <div style={styles.grid3}>
-              {liveMatches.map((m) => (
-                <LiveMatchCard
-                  key={m.id}
-                  match={m}
-                  teamById={teamById}
-                  onOpen={() => openTableRoute(m.code)}
-                />
-              ))}
-            </div>
+            groupMatchesByRound(liveMatches).map((g) => (
+              <div key={g.key} style={{ marginBottom: 12 }}>
+                {g.title ? <div style={{ fontWeight: 950, marginBottom: 8 }}>{g.title}</div> : null}
+                <div style={styles.grid3}>
+                  {g.matches.map((m) => (
+                    <LiveMatchCard
+                      key={m.id}
+                      match={m}
+                      teamById={teamById}
+                      onOpen={() => openTableRoute(m.code)}
+                      hideOpenButton={!isOrganizer}
+                    />
+                  ))}
+                </div>
+              </div>
+            ))
           )}
         </Section>
 
@@ -3358,17 +4928,22 @@ const completedMatchRecaps = matches
   {!completedMatchRecaps.length ? (
     <div style={styles.small}>No completed matches yet.</div>
   ) : (
-    <div style={styles.grid3}>
-      {completedMatchRecaps.map((m) => (
-        <LiveMatchCard
-          key={m.id}
-          match={m}
-          teamById={teamById}
-          hideOpenButton
-          recapMode
-        />
-      ))}
-    </div>
+    groupMatchesByRound(completedMatchRecaps).map((g) => (
+      <div key={g.key} style={{ marginBottom: 12 }}>
+        {g.title ? <div style={{ fontWeight: 950, marginBottom: 8 }}>{g.title}</div> : null}
+        <div style={styles.grid3}>
+          {g.matches.map((m) => (
+            <LiveMatchCard
+              key={m.id}
+              match={m}
+              teamById={teamById}
+              hideOpenButton
+              recapMode
+            />
+          ))}
+        </div>
+      </div>
+    ))
   )}
 </Section>
 
@@ -3386,6 +4961,7 @@ const completedMatchRecaps = matches
 
   if (path === "/table") {
     const hasRequestedCode = Boolean((query.code || "").trim());
+    const unsyncedHands = tableMatch ? unsyncedHandCount(outbox, tableMatch.id) : 0;
 
     return (
       <TableErrorBoundary>
@@ -3459,6 +5035,22 @@ const completedMatchRecaps = matches
                 </div>
 
                 <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+                  {tableMatch.round ? (
+                    <StatusBadge tone={roundAllowsScoring(tableMatch, settings) ? "neutral" : "danger"}>
+                      {roundLabel(tableMatch.round, tableMatch.phase)}
+                      {roundAllowsScoring(tableMatch, settings)
+                        ? ""
+                        : ` • ${ROUND_STATUSES[getRoundStatus(settings, tableMatch.round)].label}`}
+                    </StatusBadge>
+                  ) : null}
+                  {tableMatch.litigeEscrow > 0 && (
+                    <StatusBadge tone="warning">Litige pot: {tableMatch.litigeEscrow} pts</StatusBadge>
+                  )}
+                  {unsyncedHands > 0 && (
+                    <StatusBadge tone="warning">
+                      {unsyncedHands === 1 ? "1 unsynced hand" : `${unsyncedHands} unsynced hands`}
+                    </StatusBadge>
+                  )}
                   <div style={{ color: tableMatch.completed ? "#34d399" : "#94a3b8", fontWeight: 950 }}>
                     {tableMatch.completed
                       ? `Winner: ${teamById.get(tableMatch.winnerId)?.name ?? "—"}`
@@ -3485,14 +5077,24 @@ const completedMatchRecaps = matches
                 match={tableMatch}
                 teamById={teamById}
                 playerById={playerById}
+                settings={settings}
                 onTableSetupPatch={(patch) => updateTableSetup(tableMatch.id, patch)}
                 onDraftPatch={(patch) => updateDraft(tableMatch.id, patch)}
                 onAddHand={() => addOrSaveHand(tableMatch.id)}
                 onSkipHand={() => skipHandNoPoints(tableMatch.id)}
+                onPenaltyHand={(penalty) => recordPenaltyHand(tableMatch.id, penalty)}
                 onClearHands={() => clearMatchHands(tableMatch.id)}
                 onStartEditHand={(handIdx) => startEditHand(tableMatch.id, handIdx)}
                 onCancelEdit={() => cancelEditHand(tableMatch.id)}
                 onFinishNow={() => finishMatchNow(tableMatch.id)}
+                onSubstitute={(outId, inId) => substitutePlayer(tableMatch.id, outId, inId)}
+                conflict={conflictFor(tableMatch.id)}
+                onResolveConflict={(hands) => resolveMatchConflict(tableMatch.id, hands)}
+                onKeepRemote={() => keepRemoteMatch(tableMatch.id)}
+                rejectedWrite={rejectedWriteFor(tableMatch.id)}
+                onResendWrite={() => resendMatchBundle(currentTournamentId, tableMatch.id)}
+                onDiscardWrite={() => discardRejectedWrite(tableMatch.id)}
+                readOnly={tournamentReadOnly}
                 onSaveEditedHandScore={(handIdx, scoreA, scoreB) =>
                   saveEditedHandScore(tableMatch.id, handIdx, scoreA, scoreB)
                 }
@@ -3567,6 +5169,16 @@ const completedMatchRecaps = matches
   title="Tournament"
   right={
     <div style={styles.row}>
+      <select style={styles.select(180)} value={tournamentStatusFilter} onChange={(e) => setTournamentStatusFilter(e.target.value)}>
+        <option value="">Not archived</option>
+        <option value="all">All states</option>
+        {Object.values(TOURNAMENT_STATUSES).map((st) => (
+          <option key={st.id} value={st.id}>
+            {st.label}
+          </option>
+        ))}
+      </select>
+
       <select
         style={styles.select(260)}
         value={currentTournamentId || ""}
@@ -3577,11 +5189,17 @@ const completedMatchRecaps = matches
         }}
       >
         <option value="">Select tournament</option>
-        {tournaments.map((t) => (
-          <option key={t.id} value={t.id}>
-            {t.name}
-          </option>
-        ))}
+        {tournaments
+          .filter((t) => {
+            const st = normalizeTournamentStatus(t.status);
+            if (t.id === currentTournamentId || tournamentStatusFilter === "all") return true;
+            return tournamentStatusFilter ? st === tournamentStatusFilter : st !== "archived";
+          })
+          .map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.name} • {tournamentStatusLabel(t.status)}
+            </option>
+          ))}
       </select>
 
       <button
@@ -3639,6 +5257,56 @@ const completedMatchRecaps = matches
   <div style={styles.small}>
     Current tournament: <span style={{ color: "#e5e7eb" }}>{tournaments.find((t) => t.id === currentTournamentId)?.name || "None selected"}</span>
   </div>
+  {currentTournament ? (
+    <div style={{ ...styles.row, marginTop: 8 }}>
+      <StatusBadge tone={tournamentReadOnly ? "danger" : "neutral"}>{tournamentStatusLabel(tournamentStatus)}</StatusBadge>
+      {statusTransitions(tournamentStatus).map((t) => (
+        <button
+          key={t.to}
+          style={t.to === "finished" || t.to === "archived" ? styles.btnDanger : styles.btnSecondary}
+          onClick={async () => {
+            if (t.to === "finished" && matches.some((m) => !m.bye && !m.completed && m.teamAId && m.teamBId)) {
+              if (!window.confirm("Some matches are still unfinished. Finish the tournament anyway? Scores become read-only.")) return;
+            }
+            try {
+              await setTournamentStatus(currentTournamentId, t.to);
+            } catch (err) {
+              console.error("Tournament status change failed:", err);
+              alert(`Tournament status change failed: ${err.message || "Unknown error"}`);
+            }
+          }}
+        >
+          {t.label}
+        </button>
+      ))}
+      {tournamentStatus === "draft" || tournamentStatus === "archived" ? (
+        <button
+          style={styles.btnDanger}
+          onClick={async () => {
+            const typed = window.prompt(`Type the tournament name to delete it for good:\n${currentTournament.name}`);
+            if (typed === null) return;
+            if (typed.trim() !== String(currentTournament.name || "").trim()) {
+              alert("The name does not match. Nothing was deleted.");
+              return;
+            }
+            try {
+              await deleteTournament(currentTournamentId);
+            } catch (err) {
+              console.error("Delete tournament failed:", err);
+              alert(`Delete tournament failed: ${err.message || "Unknown error"}`);
+            }
+          }}
+        >
+          Delete Tournament
+        </button>
+      ) : null}
+    </div>
+  ) : null}
+  {tournamentReadOnly ? (
+    <div style={{ marginTop: 8, ...styles.small, color: "#fca5a5" }}>
+      This tournament is read-only: scores, teams and schedules can no longer change.
+    </div>
+  ) : null}
   <div style={{ marginTop: 8, ...styles.small }}>
     Table and public links now include the tournament id so each event stays separate.
   </div>
@@ -3673,6 +5341,8 @@ const completedMatchRecaps = matches
       teamById,
       playerById,
       scoreboardRows,
+      playerStandingsRows: showPlayerStandings ? playerStandingsRows : [],
+      pastStages,
       teamStatsRows,
       funStats,
     })
@@ -3759,6 +5429,7 @@ right={
       teams: nextTeams,
       pairHistory: nextPairHistory,
       avoidSameTeams: true,
+      settings,
     });
   } catch (err) {
     console.error("Full reset failed:", err);
@@ -3775,9 +5446,127 @@ right={
             <InfoCard title="App name">
               <input style={styles.input("100%")} value={appName} onChange={(e) => saveField(setAppName, "appName", e.target.value)} />
             </InfoCard>
-            <InfoCard title="Target score">
-              <div style={{ fontWeight: 950, fontSize: 18 }}>{TARGET_SCORE}</div>
-              <div style={styles.small}>Match ends immediately at {TARGET_SCORE}+.</div>
+            <InfoCard title="Scoring rules">
+              <select
+                style={styles.select("100%")}
+                value={getRuleProfile(settings.ruleProfileId).id}
+                onChange={(e) => saveTournamentSettings({ ruleProfileId: e.target.value })}
+                disabled={tournamentReadOnly}
+              >
+                {Object.values(RULE_PROFILES).map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.label}
+                  </option>
+                ))}
+              </select>
+              <div style={{ marginTop: 6, ...styles.small }}>Applies to new and re-saved hands. Each hand records the rules it was scored with.</div>
+              <label style={{ marginTop: 8, display: "flex", gap: 8, alignItems: "center", ...styles.small }}>
+                <input
+                  type="checkbox"
+                  checked={Boolean(settings.litigeMode)}
+                  onChange={(e) => saveTournamentSettings({ litigeMode: e.target.checked })}
+                  disabled={tournamentReadOnly}
+                />
+                Litige on 81/81: bidder half held for the next hand winner
+              </label>
+              <label style={{ marginTop: 8, display: "flex", gap: 8, alignItems: "center", ...styles.small }}>
+                <input
+                  type="checkbox"
+                  checked={Boolean(settings.meleeMode)}
+                  onChange={(e) => saveTournamentSettings({ meleeMode: e.target.checked })}
+                  disabled={tournamentReadOnly}
+                />
+                Mêlée: new partners every round, players ranked individually
+              </label>
+            </InfoCard>
+            <InfoCard title="End condition">
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                <select
+                  style={styles.select(220)}
+                  value={settings.endCondition.type}
+                  onChange={(e) => saveTournamentSettings({ endCondition: { ...settings.endCondition, type: e.target.value } })}
+                  disabled={tournamentReadOnly}
+                >
+                  {Object.values(END_CONDITION_TYPES).map((t) => (
+                    <option key={t.id} value={t.id}>
+                      {t.label}
+                    </option>
+                  ))}
+                </select>
+                {settings.endCondition.type === "HANDS" ? (
+                  <CommitNumberInput
+                    style={styles.input(110)}
+                    value={settings.endCondition.handCount}
+                    onCommit={(handCount) => saveTournamentSettings({ endCondition: { ...settings.endCondition, handCount } })}
+                    placeholder="Hands"
+                    disabled={tournamentReadOnly}
+                  />
+                ) : (
+                  <CommitNumberInput
+                    style={styles.input(110)}
+                    value={settings.endCondition.targetScore}
+                    onCommit={(targetScore) => saveTournamentSettings({ endCondition: { ...settings.endCondition, targetScore } })}
+                    placeholder="Target"
+                    disabled={tournamentReadOnly}
+                  />
+                )}
+              </div>
+              <div style={{ marginTop: 6, ...styles.small }}>{describeEndCondition(settings.endCondition)}</div>
+            </InfoCard>
+            <InfoCard title="Penalty hand">
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                <input
+                  style={styles.input(110)}
+                  value={settings.penaltyRule.points ?? ""}
+                  onChange={(e) =>
+                    saveTournamentSettings({ penaltyRule: { ...settings.penaltyRule, points: safeInt(e.target.value) } })
+                  }
+                  inputMode="numeric"
+                  placeholder="Points"
+                  disabled={tournamentReadOnly}
+                />
+                <label style={{ display: "flex", gap: 8, alignItems: "center", ...styles.small }}>
+                  <input
+                    type="checkbox"
+                    checked={Boolean(settings.penaltyRule.addBid)}
+                    onChange={(e) => saveTournamentSettings({ penaltyRule: { ...settings.penaltyRule, addBid: e.target.checked } })}
+                    disabled={tournamentReadOnly}
+                  />
+                  + bid
+                </label>
+              </div>
+              <div style={{ marginTop: 6, ...styles.small }}>Awarded to the innocent team when a penalty hand is recorded.</div>
+            </InfoCard>
+            <InfoCard title="Standings points">
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                {[
+                  ["win", "Win"],
+                  ["forcedWin", "Early win"],
+                  ["draw", "Draw"],
+                  ["loss", "Loss"],
+                  ["forfeit", "Forfeit"],
+                ].map(([key, label]) => (
+                  <label key={key} style={{ display: "flex", gap: 6, alignItems: "center", ...styles.small }}>
+                    {label}
+                    <CommitNumberInput
+                      style={styles.input(60)}
+                      value={settings.standingPoints[key]}
+                      onCommit={(n) => saveTournamentSettings({ standingPoints: { ...settings.standingPoints, [key]: n } })}
+                      disabled={tournamentReadOnly}
+                    />
+                  </label>
+                ))}
+              </div>
+              <div style={{ marginTop: 6, ...styles.small }}>
+                Early win: the winner of a match finished before its end condition. A bye counts as a win.
+              </div>
+            </InfoCard>
+            <InfoCard title="Tiebreakers">
+              <TiebreakerChain
+                value={settings.tiebreakers}
+                onChange={(tiebreakers) => saveTournamentSettings({ tiebreakers })}
+                disabled={tournamentReadOnly}
+              />
             </InfoCard>
             <InfoCard title="Live storage">
               <div style={{ fontWeight: 900, fontSize: 12, color: "#cbd5e1" }}>Supabase realtime</div>
@@ -3805,6 +5594,23 @@ right={
             <button style={styles.btnPrimary} onClick={addPlayer} disabled={!newPlayerName.trim()}>
               Add Player
             </button>
+            <button
+              style={styles.btnSecondary}
+              onClick={() => {
+                navigator.clipboard?.writeText(buildShareHref("/register", { tid: currentTournamentId }));
+                alert("Registration link copied!");
+              }}
+              disabled={!currentTournamentId}
+            >
+              Copy Registration Link
+            </button>
+            <a href={buildHashRoute("/checkin", { tid: currentTournamentId })} style={{ ...styles.btnSecondary, textDecoration: "none" }}>
+              Check-in
+            </a>
+            <span style={styles.small}>
+              {registrations.filter((r) => !r.playerId).length} registration(s) waiting •{" "}
+              {players.filter((p) => p.checkedIn).length}/{players.length} checked in
+            </span>
           </div>
 
           <div style={{ marginTop: 12, ...styles.grid4 }}>
@@ -3860,6 +5666,7 @@ right={
               <button
                 style={{ ...styles.btnGhost, padding: 0 }}
                 onClick={() => removePlayer(p.id)}
+                disabled={tournamentReadOnly}
               >
                 Remove
               </button>
@@ -3884,7 +5691,11 @@ right={
         </div>
       </div>
 
-      <div style={styles.small}>ID: {p.id.slice(-6)}</div>
+      <div style={styles.small}>
+        ID: {p.id.slice(-6)}
+        {p.checkedIn ? " • Checked in" : ""}
+        {p.preferredPartner ? ` • Partner: ${p.preferredPartner}` : ""}
+      </div>
     </div>
   );
 })}
@@ -3893,7 +5704,7 @@ right={
         </Section>
 
         <Section
-          title={`Teams (${teams.length})`}
+          title={`Teams (${rosterTeams.length})${pastStages.length ? ` • Stage ${Math.max(1, ...rosterTeams.map(teamStage))}` : ""}`}
           collapsible
           collapsed={teamsCollapsed}
           onToggleCollapsed={setTeamsCollapsed}
@@ -3906,20 +5717,23 @@ right={
     await addTeam();
     setNewTeamName("");
   }}
+  disabled={tournamentReadOnly}
 >
   Add Team
 </button>
-              <button style={styles.btnSecondary} onClick={buildRandomTeams} disabled={players.length < 2 || teams.length < 1}>
+              <button style={styles.btnSecondary} onClick={buildRandomTeams} disabled={presentPlayers.length < 2 || rosterTeams.length < 1}>
                 Randomize Teams (respects locks)
               </button>
             </div>
           }
         >
-          {!teams.length ? (
-            <div style={styles.small}>Add teams, then assign players.</div>
+          {!rosterTeams.length ? (
+            <div style={styles.small}>
+              {settings.meleeMode ? "Mêlée mode: pairs are drawn per round from the Tables / Matches section." : "Add teams, then assign players."}
+            </div>
           ) : (
             <div style={styles.grid2}>
-              {teams.map((t, idx) => (
+              {rosterTeams.map((t, idx) => (
                 <TeamCard
                   key={t.id}
                   team={t}
@@ -3931,6 +5745,7 @@ right={
                   onRemove={() => removeTeam(t.id)}
                   onRename={(name) => renameTeam(t.id, name)}
                   onSetPlayer={(slot, value) => setTeamPlayer(t.id, slot, value)}
+                  readOnly={tournamentReadOnly}
                 />
               ))}
             </div>
@@ -3943,22 +5758,160 @@ right={
             <div style={styles.row}>
               <input style={styles.input(180)} value={newTableName} onChange={(e) => setNewTableName(e.target.value)} placeholder="Table name" />
               <input style={styles.input(180)} value={newMatchLabel} onChange={(e) => setNewMatchLabel(e.target.value)} placeholder="Match label" />
+              <input
+                style={styles.input(150)}
+                value={newMatchTarget}
+                onChange={(e) => setNewMatchTarget(e.target.value)}
+                placeholder={`Target (${resolveEndCondition(settings.endCondition).targetScore})`}
+                inputMode="numeric"
+              />
               <button style={styles.btnPrimary} onClick={addMatch} disabled={teams.length < 1}>
                 Add Match
               </button>
             </div>
-          }
-        >
+          }
+        >
+          {listRounds(matches).length ? (
+            <div style={{ ...styles.card, marginBottom: 12 }}>
+              <div style={{ fontWeight: 950, marginBottom: 8 }}>Rounds</div>
+              <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+                {listRounds(matches).map((round) => {
+                  const inRound = matches.filter((m) => m.round === round && !m.bye);
+                  const status = getRoundStatus(settings, round);
+                  const phases = [...new Set(inRound.map((m) => m.phase))];
+                  return (
+                    <div key={round} style={styles.row}>
+                      <span style={{ width: 200, fontWeight: 900 }}>
+                        {roundLabel(round, phases.length === 1 ? phases[0] : null)}
+                      </span>
+                      <span style={{ ...styles.small, width: 120 }}>
+                        {inRound.filter((m) => m.completed).length}/{inRound.length} finished
+                      </span>
+                      {Object.values(ROUND_STATUSES).map((st) => (
+                        <button
+                          key={st.id}
+                          style={status === st.id ? styles.btnPrimary : styles.btnGhost}
+                          onClick={() => status !== st.id && setRoundStatus(round, st.id)}
+                          disabled={tournamentReadOnly}
+                        >
+                          {st.id === "OPEN" ? "Open" : st.id === "LOCKED" ? "Lock" : "Close"}
+                        </button>
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ) : null}
+
+          {settings.meleeMode ? (
+            <div style={{ ...styles.card, marginBottom: 12 }}>
+              <div style={{ ...styles.row, justifyContent: "space-between" }}>
+                <div>
+                  <div style={{ fontWeight: 950 }}>Mêlée round</div>
+                  <div style={styles.small}>
+                    Draws new pairs and tables from all players, avoiding past partners first and past opponents next.
+                    Extra players sit out in turn.
+                  </div>
+                </div>
+                <button
+                  style={{ ...styles.btnPrimary, ...(presentPlayers.length < 4 ? styles.disabled : {}) }}
+                  onClick={drawNextMeleeRound}
+                  disabled={presentPlayers.length < 4}
+                >
+                  Draw round {lastRound(matches) + 1}
+                </button>
+              </div>
+            </div>
+          ) : null}
+
+          <SwissRoundCard
+            matches={teamMatches}
+            teams={rosterTeams}
+            teamById={teamById}
+            preview={swissPreview}
+            onPreview={previewSwissRound}
+            onPatchPairing={patchSwissPairing}
+            onSetBye={(teamId) => setSwissPreview((prev) => (prev ? { ...prev, byeTeamId: teamId || null } : prev))}
+            onCancel={() => setSwissPreview(null)}
+            onPublish={publishSwissRound}
+          />
+
+          <RoundRobinCard
+            teams={rosterTeams}
+            teamById={teamById}
+            tables={roundRobinTables}
+            onSetTables={setRoundRobinTables}
+            preview={roundRobinPreview}
+            onPreview={previewRoundRobin}
+            onCancel={() => setRoundRobinPreview(null)}
+            onPublish={publishRoundRobin}
+          />
+
+          <div style={{ ...styles.card, marginBottom: 12 }}>
+            <div style={{ ...styles.row, justifyContent: "space-between" }}>
+              <div>
+                <div style={{ fontWeight: 950 }}>Knockout bracket</div>
+                <div style={styles.small}>
+                  Seeds the top teams of the standings. Winners move on to their next match as soon as a match finishes.
+                </div>
+              </div>
+              {!matches.some((m) => m.bracket) ? (
+                <div style={styles.row}>
+                  <select style={styles.select(200)} value={bracketType} onChange={(e) => setBracketType(e.target.value)}>
+                    {Object.values(BRACKET_TYPES).map((t) => (
+                      <option key={t.id} value={t.id}>
+                        {t.label}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    style={styles.input(140)}
+                    value={bracketQualifiers}
+                    onChange={(e) => setBracketQualifiers(e.target.value)}
+                    placeholder={`Teams (${teams.length})`}
+                    inputMode="numeric"
+                  />
+                  <button
+                    style={{ ...styles.btnSecondary, ...(teams.length < 2 ? styles.disabled : {}) }}
+                    onClick={seedBracket}
+                    disabled={teams.length < 2}
+                  >
+                    Seed Bracket
+                  </button>
+                </div>
+              ) : null}
+            </div>
+            {matches.some((m) => m.bracket) ? (
+              <div style={{ marginTop: 12 }}>
+                <BracketView matches={matches} teamById={teamById} />
+              </div>
+            ) : null}
+          </div>
+
+          {matches.some((m) => !m.bye && m.teamAId && m.teamBId) ? (
+            <div style={{ ...styles.card, marginBottom: 12 }}>
+              <div style={{ fontWeight: 950, marginBottom: 8 }}>Schedule</div>
+              <ScheduleGrid
+                games={matches
+                  .filter((m) => !m.bye && m.teamAId && m.teamBId)
+                  .map((m) => ({ ...extractTableAndMatchOrder(m), ...m }))}
+                teamById={teamById}
+              />
+            </div>
+          ) : null}
+
           {!matches.length ? (
             <div style={styles.small}>Add a match, then assign Team A / Team B.</div>
           ) : (
             <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
-              {[...matches].sort((a, b) => getMatchCreatedSortValue(b) - getMatchCreatedSortValue(a)).map((m) => (
+              {[...matches].filter((m) => !m.bye).sort((a, b) => getMatchCreatedSortValue(b) - getMatchCreatedSortValue(a)).map((m) => (
               <CollapsibleMatchCard
                   key={m.id}
                   match={m}
                   teamById={teamById}
                   playerById={playerById}
+                  settings={settings}
                   teams={teams}
                   onOpenTable={() => openTableRoute(m.code)}
                   onCopyLink={() => {
@@ -3968,15 +5921,26 @@ right={
                   }}
                   onRemove={() => removeMatch(m.id)}
                   onRenameMatch={(patch) => renameMatch(m.id, patch)}
+                  onSetEndCondition={(endCondition) => setMatchEndCondition(m.id, endCondition)}
+                  onSetForfeit={(teamId) => setMatchForfeit(m.id, teamId)}
                   onSetMatchTeam={(side, value) => setMatchTeam(m.id, side, value)}
                   onTableSetupPatch={(patch) => updateTableSetup(m.id, patch)}
                   onDraftPatch={(patch) => updateDraft(m.id, patch)}
                   onAddHand={() => addOrSaveHand(m.id)}
                   onSkipHand={() => skipHandNoPoints(m.id)}
+                  onPenaltyHand={(penalty) => recordPenaltyHand(m.id, penalty)}
                   onClearHands={() => clearMatchHands(m.id)}
                   onStartEditHand={(handIdx) => startEditHand(m.id, handIdx)}
                   onCancelEdit={() => cancelEditHand(m.id)}
                   onFinishNow={() => finishMatchNow(m.id)}
+                  onSubstitute={(outId, inId) => substitutePlayer(m.id, outId, inId)}
+                  conflict={conflictFor(m.id)}
+                  onResolveConflict={(hands) => resolveMatchConflict(m.id, hands)}
+                  onKeepRemote={() => keepRemoteMatch(m.id)}
+                  rejectedWrite={rejectedWriteFor(m.id)}
+                  onResendWrite={() => resendMatchBundle(currentTournamentId, m.id)}
+                  onDiscardWrite={() => discardRejectedWrite(m.id)}
+                  readOnly={tournamentReadOnly}
                   onSaveEditedHandScore={(handIdx, scoreA, scoreB) =>
                     saveEditedHandScore(m.id, handIdx, scoreA, scoreB)
                   }
@@ -3991,6 +5955,12 @@ right={
     <div style={styles.card}>
       <div style={{ fontWeight: 950, marginBottom: 8 }}>Live Scoreboard</div>
       <ScoreboardTable rows={scoreboardRows} />
+      {showPlayerStandings ? (
+        <>
+          <div style={{ fontWeight: 950, margin: "12px 0 8px" }}>Player Standings</div>
+          <ScoreboardTable rows={playerStandingsRows} nameHeader="Player" />
+        </>
+      ) : null}
     </div>
     <div style={styles.card}>
       <div style={{ fontWeight: 950, marginBottom: 8 }}>Fun Facts</div>
@@ -4080,6 +6050,191 @@ function Section({ title, right, children, collapsible = false, defaultCollapsed
   );
 }
 
+function SignInForm({ onSubmit }) {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const submit = async () => {
+    if (!email.trim() || !password || busy) return;
+    setBusy(true);
+    try {
+      await onSubmit(email, password);
+    } catch (err) {
+      console.error("Sign in failed:", err);
+      alert(`Sign in failed: ${err.message || "Unknown error"}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 10, maxWidth: 420 }}>
+      <input
+        style={styles.input("100%")}
+        type="email"
+        autoComplete="username"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        placeholder="Email"
+      />
+      <input
+        style={styles.input("100%")}
+        type="password"
+        autoComplete="current-password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder="Password"
+        onKeyDown={(e) => e.key === "Enter" && submit()}
+      />
+      <button style={styles.btnPrimary} onClick={submit} disabled={!email.trim() || !password || busy}>
+        {busy ? "Signing in…" : "Sign in"}
+      </button>
+      <div style={styles.small}>Players and tables do not need an account: use the public view or your table link.</div>
+    </div>
+  );
+}
+
+function RegistrationForm({ onSubmit }) {
+  const [name, setName] = useState("");
+  const [partner, setPartner] = useState("");
+  const [status, setStatus] = useState("");
+  const [submittedName, setSubmittedName] = useState("");
+
+  const submit = async () => {
+    if (!name.trim() || status === "saving") return;
+    setStatus("saving");
+    try {
+      await onSubmit({ name, preferredPartner: partner });
+      setSubmittedName(name.trim());
+      setName("");
+      setPartner("");
+      setStatus("done");
+    } catch (err) {
+      console.error("Registration failed:", err);
+      setStatus("");
+      alert(`Registration failed: ${err.message || "Unknown error"}`);
+    }
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 10, maxWidth: 420 }}>
+      <input style={styles.input("100%")} value={name} onChange={(e) => setName(e.target.value)} placeholder="Your name" />
+      <input
+        style={styles.input("100%")}
+        value={partner}
+        onChange={(e) => setPartner(e.target.value)}
+        placeholder="Preferred partner (optional)"
+        onKeyDown={(e) => e.key === "Enter" && submit()}
+      />
+      <button style={styles.btnPrimary} onClick={submit} disabled={!name.trim() || status === "saving"}>
+        {status === "saving" ? "Registering…" : "Register"}
+      </button>
+      {status === "done" ? (
+        <div style={styles.small}>{submittedName} is registered. Check in with the organiser on the day.</div>
+      ) : null}
+    </div>
+  );
+}
+
+function CheckInList({ players, registrations, onSetCheckedIn, onCheckInRegistration }) {
+  const [filter, setFilter] = useState("");
+  const matchesFilter = (name) => (name || "").toLowerCase().includes(filter.trim().toLowerCase());
+  const sorted = [...players].sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+  const waiting = registrations.filter((r) => matchesFilter(r.name));
+
+  return (
+    <div>
+      <input style={styles.input(320)} value={filter} onChange={(e) => setFilter(e.target.value)} placeholder="Search name" />
+
+      {waiting.length ? (
+        <>
+          <div style={{ fontWeight: 950, margin: "12px 0 8px" }}>Registered, not yet checked in</div>
+          <div style={styles.grid4}>
+            {waiting.map((r) => (
+              <div key={r.id} style={{ ...styles.card, ...styles.row, justifyContent: "space-between" }}>
+                <div>
+                  <div style={{ fontWeight: 950 }}>{r.name}</div>
+                  {r.preferredPartner ? <div style={styles.small}>Partner: {r.preferredPartner}</div> : null}
+                </div>
+                <button style={styles.btnPrimary} onClick={() => onCheckInRegistration(r)}>
+                  Check in
+                </button>
+              </div>
+            ))}
+          </div>
+        </>
+      ) : null}
+
+      <div style={{ fontWeight: 950, margin: "12px 0 8px" }}>Players</div>
+      <div style={styles.grid4}>
+        {sorted
+          .filter((p) => matchesFilter(p.name))
+          .map((p) => (
+            <div key={p.id} style={{ ...styles.card, ...styles.row, justifyContent: "space-between" }}>
+              <div style={{ fontWeight: 950 }}>{p.name}</div>
+              <button
+                style={p.checkedIn ? styles.btnSecondary : styles.btnPrimary}
+                onClick={() => onSetCheckedIn(p.id, !p.checkedIn)}
+              >
+                {p.checkedIn ? "Present ✓" : "Check in"}
+              </button>
+            </div>
+          ))}
+        {!players.length ? <div style={styles.small}>No players yet.</div> : null}
+      </div>
+    </div>
+  );
+}
+
+// Ordered tiebreaker list: the first one that separates tied teams decides.
+function TiebreakerChain({ value, onChange, disabled = false }) {
+  const unused = Object.values(TIEBREAKERS).filter((t) => !value.includes(t.id));
+  const move = (idx, delta) => {
+    const next = [...value];
+    const [id] = next.splice(idx, 1);
+    next.splice(idx + delta, 0, id);
+    onChange(next);
+  };
+
+  return (
+    <div>
+      {value.map((id, idx) => (
+        <div key={id} style={{ ...styles.row, marginTop: 6 }}>
+          <span style={{ fontWeight: 900, fontSize: 13, flex: 1 }}>
+            {idx + 1}. {TIEBREAKERS[id].label}
+          </span>
+          <button style={styles.btnGhost} onClick={() => move(idx, -1)} disabled={disabled || idx === 0}>
+            ↑
+          </button>
+          <button style={styles.btnGhost} onClick={() => move(idx, 1)} disabled={disabled || idx === value.length - 1}>
+            ↓
+          </button>
+          <button style={styles.btnGhost} onClick={() => onChange(value.filter((x) => x !== id))} disabled={disabled}>
+            ✕
+          </button>
+        </div>
+      ))}
+      {!value.length ? <div style={{ marginTop: 6, ...styles.small }}>No tiebreakers: level teams are listed by name.</div> : null}
+      {unused.length ? (
+        <select
+          style={{ ...styles.select("100%"), marginTop: 8 }}
+          value=""
+          onChange={(e) => e.target.value && onChange([...value, e.target.value])}
+          disabled={disabled}
+        >
+          <option value="">Add tiebreaker…</option>
+          {unused.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+      ) : null}
+    </div>
+  );
+}
+
 function InfoCard({ title, children }) {
   return (
     <div style={styles.card}>
@@ -4089,6 +6244,33 @@ function InfoCard({ title, children }) {
   );
 }
 
+// Holds the typed value until blur or Enter, so "3000" is not saved as 3, 30, 300
+// on the way (each save re-evaluates match completion).
+function CommitNumberInput({ value, onCommit, ...props }) {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft === null) return;
+    setDraft(null);
+    const next = safeInt(draft);
+    if (next !== value) onCommit(next);
+  };
+
+  return (
+    <input
+      {...props}
+      value={draft ?? value ?? ""}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") commit();
+        if (e.key === "Escape") setDraft(null);
+      }}
+      inputMode="numeric"
+    />
+  );
+}
+
 function StatCard({ label, value, sub }) {
   return (
     <div style={styles.card}>
@@ -4148,8 +6330,11 @@ function FunStatsGrid({ funStats }) {
       title: "Player Awards",
       items: [
         ["Capot Count by Player", funStats.capotCountByPlayer.name, `${funStats.capotCountByPlayer.v} capots`],
+        ["Générale Hero", funStats.generaleHero.name, `${funStats.generaleHero.v} générales`],
         ["Most Announces", funStats.mostAnnounces.name, `${funStats.mostAnnounces.v} announces`],
         ["Highest Announces", funStats.highestAnnounces.name, `${funStats.highestAnnounces.v} pts announced`],
+        ["Carré Collector", funStats.mostCarres.name, `${funStats.mostCarres.v} carrés`],
+        ["Belote Player", funStats.belotePlayer.name, `${funStats.belotePlayer.v} belotes`],
       ],
     },
   ];
@@ -4180,8 +6365,8 @@ function FunStatsGrid({ funStats }) {
   );
 }
 
-function ScoreboardTable({ rows }) {
-  const headers = ["Rank", "Team", "MP", "W", "L", "P", "PF", "PA", "Diff"];
+function ScoreboardTable({ rows, nameHeader = "Team" }) {
+  const headers = ["Rank", nameHeader, "MP", "W", "D", "L", "P", "PF", "PA", "Diff"];
   const hasStartedTournament = rows.some((r) => Number(r.matchesPlayed) > 0);
 
   const getRankStyle = (idx) => {
@@ -4252,7 +6437,7 @@ function ScoreboardTable({ rows }) {
             const undefeated = r.matchesPlayed > 0 && r.losses === 0;
 
             return (
-              <tr key={r.teamId} style={getRankStyle(idx)}>
+              <tr key={r.teamId || r.playerId} style={getRankStyle(idx)}>
                 <td style={tdStrong}>{getRankBadge(idx)}</td>
 
                 <td style={tdBold}>
@@ -4282,11 +6467,17 @@ function ScoreboardTable({ rows }) {
                         Undefeated
                       </span>
                     ) : null}
+                    {r.tiebreak ? (
+                      <span style={{ ...styles.tag, color: "#94a3b8" }} title="Tiebreaker that separated this row from those level on points">
+                        by {r.tiebreak}
+                      </span>
+                    ) : null}
                   </div>
                 </td>
 
                 <td style={td}>{r.matchesPlayed}</td>
                 <td style={td}>{r.wins}</td>
+                <td style={td}>{r.draws || 0}</td>
                 <td style={td}>{r.losses}</td>
                 <td style={tdStrong}>{r.standingPoints}</td>
                 <td style={td}>{r.pointsFor}</td>
@@ -4298,7 +6489,7 @@ function ScoreboardTable({ rows }) {
 
           {!rows.length && (
             <tr>
-              <td colSpan={9} style={{ padding: 12, color: "#94a3b8" }}>
+              <td colSpan={10} style={{ padding: 12, color: "#94a3b8" }}>
                 No scoreboard data yet.
               </td>
             </tr>
@@ -4319,10 +6510,12 @@ function TeamStatsTable({ rows }) {
     "Coinche %",
     "Announce Pts",
     "Capots",
+    "Générales",
     "Coinche/Surcoinche",
     "Comebacks",
     "Shutouts",
     "Best Hand",
+    "Penalties",
   ];
 
   return (
@@ -4358,15 +6551,20 @@ function TeamStatsTable({ rows }) {
               <td style={td}>{r.coincheSuccessPct}%</td>
               <td style={td}>{r.totalAnnouncePoints}</td>
               <td style={td}>{r.capotsMade}</td>
+              <td style={td}>{r.generalesMade}</td>
               <td style={td}>{r.coinchesCalled}</td>
               <td style={td}>{r.comebackWins}</td>
               <td style={td}>{r.shutoutHandsForced}</td>
               <td style={td}>{r.bestSingleHand}</td>
+              <td style={td}>
+                {r.penalties}
+                {r.penaltySummary ? <span style={{ color: "#94a3b8" }}> ({r.penaltySummary})</span> : null}
+              </td>
             </tr>
           ))}
           {!rows.length && (
             <tr>
-              <td colSpan={12} style={{ padding: 12, color: "#94a3b8" }}>
+              <td colSpan={14} style={{ padding: 12, color: "#94a3b8" }}>
                 No team stats yet.
               </td>
             </tr>
@@ -4638,7 +6836,7 @@ function Fireworks({ seed = 0 }) {
   );
 }
 
-function ScoreCard({ name, score, pct, winner, leader, variant = "A", bigTotals = false, celebrateOn = false, seed = 0 }) {
+function ScoreCard({ name, score, pct, target = null, winner, leader, variant = "A", bigTotals = false, celebrateOn = false, seed = 0 }) {
   const fill = variant === "A" ? styles.progressFillA : styles.progressFillB;
   return (
     <div style={{ ...styles.card, position: "relative", ...(leader ? styles.leaderGlow : {}), ...(winner ? styles.winnerGlow : {}) }}>
@@ -4666,7 +6864,8 @@ function ScoreCard({ name, score, pct, winner, leader, variant = "A", bigTotals
         </div>
       ) : (
         <div style={styles.small}>
-          Total: <b style={{ color: "#e5e7eb" }}>{score}</b> / {TARGET_SCORE}
+          Total: <b style={{ color: "#e5e7eb" }}>{score}</b>
+          {target ? ` / ${target}` : ""}
         </div>
       )}
 
@@ -4686,7 +6885,7 @@ function MatchBadges({ match, teamById }) {
   const diff = Math.abs(totalA - totalB);
   const leadingTeam = totalA === totalB ? null : totalA > totalB ? ta : tb;
   const maxScore = Math.max(totalA, totalB);
-  const racePct = Math.min(100, Math.round((maxScore / TARGET_SCORE) * 100));
+  const racePct = endConditionProgressPct(match.endRule, maxScore, hands.length);
 
   const biggestHand = hands.reduce(
     (best, h) => {
@@ -4701,12 +6900,14 @@ function MatchBadges({ match, teamById }) {
   let hasCoinche = false;
   let hasSurcoinche = false;
   let hasCapot = false;
+  let hasGenerale = false;
 
   for (const h of hands) {
     const d = h?.draftSnapshot || {};
     if (d.coincheLevel === "COINCHE") hasCoinche = true;
     if (d.coincheLevel === "SURCOINCHE") hasSurcoinche = true;
     if (d.capot) hasCapot = true;
+    if (d.generale && d.generaleMade) hasGenerale = true;
   }
 
   let comebackWatch = false;
@@ -4734,6 +6935,20 @@ function MatchBadges({ match, teamById }) {
     });
   }
 
+  if (match.archived) {
+    badges.push({
+      label: "Archived",
+      tone: "neutral",
+    });
+  }
+
+  if (match.forfeitTeamId) {
+    badges.push({
+      label: "Forfeit",
+      tone: "danger",
+    });
+  }
+
   // Finished early badge only
   if (match.completed && match.forcedComplete) {
     badges.push({
@@ -4758,7 +6973,7 @@ function MatchBadges({ match, teamById }) {
     });
   }
 
-  // Race-to-2000 badge
+  // Race-to-target badge
   badges.push({
     label: `Race ${racePct}%`,
     tone: racePct >= 85 ? "danger" : racePct >= 65 ? "warning" : "neutral",
@@ -4785,6 +7000,13 @@ function MatchBadges({ match, teamById }) {
     });
   }
 
+  if (hasGenerale) {
+    badges.push({
+      label: "Générale",
+      tone: "danger",
+    });
+  }
+
   return (
     <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 10 }}>
       {badges.map((badge, idx) => (
@@ -4796,6 +7018,140 @@ function MatchBadges({ match, teamById }) {
   );
 }
 
+function conflictHandSummary(h, ta, tb) {
+  const ds = h.draftSnapshot || {};
+  if (ds.skippedHand) return "Skipped hand";
+  if (ds.penalty) return `Penalty • ${ds.offenderSide === "A" ? ta : tb}`;
+  const suit = (CONTRACT_SUITS[ds.suit] || CONTRACT_SUITS.S).label;
+  return `${ds.bidder === "B" ? tb : ta} • ${ds.generale ? "Générale" : `${ds.bid} ${suit}`}`;
+}
+
+const sameHand = (a, b) =>
+  Boolean(a && b) &&
+  a.scoreA === b.scoreA &&
+  a.scoreB === b.scoreB &&
+  JSON.stringify(a.draftSnapshot) === JSON.stringify(b.draftSnapshot);
+
+// Shown when another device saved the match first. Lists both hand lists side
+// by side; the scorer keeps one of them or picks hand by hand.
+function MatchConflictPanel({ match, conflict, teamById, readOnly, onResolve, onKeepRemote }) {
+  const [picks, setPicks] = useState({});
+  const ta = teamById.get(match.teamAId)?.name || "Team A";
+  const tb = teamById.get(match.teamBId)?.name || "Team B";
+  const mine = new Map((match.hands || []).map((h) => [h.idx, h]));
+  const theirs = new Map((conflict.remote?.hands || []).map((h) => [h.idx, h]));
+  const indices = [...new Set([...mine.keys(), ...theirs.keys()])].sort((a, b) => a - b);
+  const pickFor = (idx) => picks[idx] || (mine.has(idx) ? "mine" : "theirs");
+  const merged = indices.map((idx) => (pickFor(idx) === "mine" ? mine.get(idx) : theirs.get(idx))).filter(Boolean);
+  const total = (hands, key) => hands.reduce((acc, h) => acc + (Number(h[key]) || 0), 0);
+
+  const cell = (idx, side, hand) => {
+    if (!hand) return <div style={{ ...styles.small, padding: 10 }}>—</div>;
+    const picked = pickFor(idx) === side;
+    return (
+      <button
+        type="button"
+        disabled={readOnly}
+        onClick={() => setPicks((prev) => ({ ...prev, [idx]: side }))}
+        style={{ ...(picked ? styles.btnPrimary : styles.btnSecondary), textAlign: "left", width: "100%" }}
+      >
+        <div>{conflictHandSummary(hand, ta, tb)}</div>
+        <div style={{ fontWeight: 700, fontSize: 12 }}>
+          {hand.scoreA} – {hand.scoreB}
+        </div>
+      </button>
+    );
+  };
+
+  return (
+    <div
+      style={{
+        border: "1px solid rgba(244,63,94,0.45)",
+        background: "rgba(244,63,94,0.08)",
+        borderRadius: 16,
+        padding: 12,
+        marginBottom: 14,
+      }}
+    >
+      <div style={{ fontWeight: 950, marginBottom: 6 }}>This match was changed on another device</div>
+      <div style={{ ...styles.small, marginBottom: 10 }}>
+        Nothing from this device has been saved since. Keep one version or tap the hands to keep from each; table
+        setup and the hand being entered stay as on this device.
+      </div>
+
+      {conflict.loading ? (
+        <div style={styles.small}>Loading the other device's version…</div>
+      ) : (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "70px 1fr 1fr", gap: 8, alignItems: "center" }}>
+            <div />
+            <div style={{ fontWeight: 900 }}>
+              This device • {total([...mine.values()], "scoreA")} – {total([...mine.values()], "scoreB")}
+            </div>
+            <div style={{ fontWeight: 900 }}>
+              {conflict.remote
+                ? `Other device • ${total([...theirs.values()], "scoreA")} – ${total([...theirs.values()], "scoreB")}`
+                : "Other device • match deleted"}
+            </div>
+            {indices.map((idx) => (
+              <React.Fragment key={idx}>
+                <div style={{ fontWeight: 900 }}>
+                  Hand {idx}
+                  {sameHand(mine.get(idx), theirs.get(idx)) ? <div style={styles.small}>Same</div> : null}
+                </div>
+                {cell(idx, "mine", mine.get(idx))}
+                {cell(idx, "theirs", theirs.get(idx))}
+              </React.Fragment>
+            ))}
+          </div>
+
+          {!readOnly ? (
+            <div style={{ ...styles.row, marginTop: 12 }}>
+              <button type="button" style={styles.btnSecondary} onClick={() => onResolve?.([...mine.values()])}>
+                Keep this device
+              </button>
+              <button type="button" style={styles.btnSecondary} onClick={() => onKeepRemote?.()}>
+                Keep other device
+              </button>
+              <button type="button" style={styles.btnPrimary} onClick={() => onResolve?.(merged)}>
+                Save selected hands ({merged.length})
+              </button>
+            </div>
+          ) : null}
+        </>
+      )}
+    </div>
+  );
+}
+
+function RejectedWritePanel({ entry, onResend, onDiscard }) {
+  return (
+    <div
+      style={{
+        border: "1px solid rgba(251,191,36,0.45)",
+        background: "rgba(251,191,36,0.08)",
+        borderRadius: 16,
+        padding: 12,
+        marginBottom: 14,
+      }}
+    >
+      <div style={{ fontWeight: 950, marginBottom: 6 }}>The server refused the last save of this match</div>
+      <div style={{ ...styles.small, marginBottom: 10 }}>
+        {entry.rejected} • {entry.handIds.length} unsynced hand(s) are kept on this device until you send them again or
+        discard them.
+      </div>
+      <div style={styles.row}>
+        <button type="button" style={styles.btnPrimary} onClick={() => onResend?.()}>
+          Send again
+        </button>
+        <button type="button" style={styles.btnDanger} onClick={() => onDiscard?.()}>
+          Discard and reload
+        </button>
+      </div>
+    </div>
+  );
+}
+
 function StatusBadge({ children, tone = "neutral" }) {
   const toneStyles = {
     neutral: {
@@ -4849,8 +7205,9 @@ function LiveMatchCard({ match, teamById, onOpen, hideOpenButton = false, recapM
   const tb = teamById.get(match.teamBId)?.name ?? "Team B";
   const totalA = Number(match.totalA) || 0;
   const totalB = Number(match.totalB) || 0;
-  const pctA = Math.min(100, Math.round((totalA / TARGET_SCORE) * 100));
-  const pctB = Math.min(100, Math.round((totalB / TARGET_SCORE) * 100));
+  const handsPlayed = (match.hands || []).length;
+  const pctA = endConditionProgressPct(match.endRule, totalA, handsPlayed);
+  const pctB = endConditionProgressPct(match.endRule, totalB, handsPlayed);
 
   const winnerSide =
     !match.completed || !match.winnerId
@@ -4961,7 +7318,7 @@ function LiveMatchCard({ match, teamById, onOpen, hideOpenButton = false, recapM
   );
 }
 
-function TeamCard({ team, idx, players, usedPlayerIds, playerById, onToggleLock, onRemove, onRename, onSetPlayer }) {
+function TeamCard({ team, idx, players, usedPlayerIds, playerById, onToggleLock, onRemove, onRename, onSetPlayer, readOnly = false }) {
   const selectOptions = () =>
     players.map((p) => {
       const taken = usedPlayerIds.has(p.id) && !(team.playerIds || []).includes(p.id);
@@ -4979,10 +7336,10 @@ function TeamCard({ team, idx, players, usedPlayerIds, playerById, onToggleLock,
         <div style={{ fontWeight: 950 }}>Team #{idx + 1}</div>
         <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
           <label style={{ display: "flex", gap: 8, alignItems: "center", fontWeight: 900, color: team.locked ? "#34d399" : "#94a3b8" }}>
-            <input type="checkbox" checked={!!team.locked} onChange={(e) => onToggleLock(e.target.checked)} />
+            <input type="checkbox" checked={!!team.locked} onChange={(e) => onToggleLock(e.target.checked)} disabled={readOnly} />
             Lock
           </label>
-          <button style={styles.btnGhost} onClick={onRemove}>
+          <button style={styles.btnGhost} onClick={onRemove} disabled={readOnly}>
             Remove
           </button>
         </div>
@@ -4995,6 +7352,7 @@ function TeamCard({ team, idx, players, usedPlayerIds, playerById, onToggleLock,
           value={team.name}
           onChange={(e) => onRename(e.target.value)}
           placeholder={`Team ${idx + 1}`}
+          disabled={readOnly}
         />
       </div>
 
@@ -5006,6 +7364,7 @@ function TeamCard({ team, idx, players, usedPlayerIds, playerById, onToggleLock,
               style={styles.select("100%")}
               value={team.playerIds?.[slotIdx] || ""}
               onChange={(e) => onSetPlayer(slotIdx, e.target.value)}
+              disabled={readOnly}
             >
               <option value="">— Select —</option>
               {selectOptions()}
@@ -5256,24 +7615,257 @@ function ScanPointsModal({ open, onClose, trumpSuit, onApplyPoints }) {
   );
 }
 
+function SwissRoundCard({ matches, teams, teamById, preview, onPreview, onPatchPairing, onSetBye, onCancel, onPublish }) {
+  const nextRound = nextSwissRound(matches);
+  const byes = matches.filter((m) => m.bye);
+  const teamName = (id) => teamById.get(id)?.name || "—";
+
+  const teamSelect = (value, onChange) => (
+    <select style={styles.select(200)} value={value || ""} onChange={(e) => onChange(e.target.value)}>
+      <option value="">—</option>
+      {teams.map((t) => (
+        <option key={t.id} value={t.id}>
+          {t.name}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div style={{ ...styles.card, marginBottom: 12 }}>
+      <div style={{ ...styles.row, justifyContent: "space-between" }}>
+        <div>
+          <div style={{ fontWeight: 950 }}>Swiss rounds</div>
+          <div style={styles.small}>
+            Pairs teams from the current standings, avoiding rematches. Byes go to the lowest-ranked team without one.
+          </div>
+        </div>
+        {!preview ? (
+          <button style={{ ...styles.btnSecondary, ...(teams.length < 2 ? styles.disabled : {}) }} onClick={onPreview} disabled={teams.length < 2}>
+            Pair Round {nextRound}
+          </button>
+        ) : null}
+      </div>
+
+      {byes.length ? (
+        <div style={{ marginTop: 8, ...styles.small }}>
+          Byes so far: {byes.map((m) => `R${m.swissRound} ${teamName(m.teamAId)}`).join(" • ")}
+        </div>
+      ) : null}
+
+      {preview ? (
+        <div style={{ marginTop: 12, display: "flex", flexDirection: "column", gap: 8 }}>
+          <div style={{ fontWeight: 900 }}>Round {preview.round} preview</div>
+          {preview.pairs.map((p, idx) => (
+            <div key={idx} style={styles.row}>
+              <span style={{ width: 70, fontWeight: 900 }}>Table {idx + 1}</span>
+              {teamSelect(p.teamAId, (id) => onPatchPairing(idx, "teamAId", id))}
+              <span style={styles.small}>vs</span>
+              {teamSelect(p.teamBId, (id) => onPatchPairing(idx, "teamBId", id))}
+              {p.rematch ? <StatusBadge tone="warning">Rematch</StatusBadge> : null}
+            </div>
+          ))}
+          {preview.byeTeamId !== null || teams.length % 2 ? (
+            <div style={styles.row}>
+              <span style={{ width: 70, fontWeight: 900 }}>Bye</span>
+              {teamSelect(preview.byeTeamId, onSetBye)}
+            </div>
+          ) : null}
+          <div style={{ ...styles.row, marginTop: 4 }}>
+            <button style={styles.btnPrimary} onClick={onPublish}>
+              Publish Round {preview.round}
+            </button>
+            <button style={styles.btnSecondary} onClick={onCancel}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function RoundRobinCard({ teams, teamById, tables, onSetTables, preview, onPreview, onCancel, onPublish }) {
+  const defaultTables = Math.max(1, Math.floor(teams.length / 2));
+
+  return (
+    <div style={{ ...styles.card, marginBottom: 12 }}>
+      <div style={{ ...styles.row, justifyContent: "space-between" }}>
+        <div>
+          <div style={{ fontWeight: 950 }}>Round robin</div>
+          <div style={styles.small}>Every team plays every other team once. Teams move tables between rounds.</div>
+        </div>
+        {!preview ? (
+          <div style={styles.row}>
+            <input
+              style={styles.input(120)}
+              value={tables}
+              onChange={(e) => onSetTables(e.target.value)}
+              placeholder={`Tables (${defaultTables})`}
+              inputMode="numeric"
+            />
+            <button
+              style={{ ...styles.btnSecondary, ...(teams.length < 2 ? styles.disabled : {}) }}
+              onClick={onPreview}
+              disabled={teams.length < 2}
+            >
+              Preview Schedule
+            </button>
+          </div>
+        ) : null}
+      </div>
+
+      {preview ? (
+        <div style={{ marginTop: 12 }}>
+          <ScheduleGrid games={preview.games} teamById={teamById} />
+          {preview.byes.length ? (
+            <div style={{ marginTop: 8, ...styles.small }}>
+              Sitting out:{" "}
+              {preview.byes.map((b) => `Round ${b.round} ${teamById.get(b.teamId)?.name || "—"}`).join(" • ")}
+            </div>
+          ) : null}
+          <div style={{ ...styles.row, marginTop: 10 }}>
+            <button style={styles.btnPrimary} onClick={onPublish}>
+              Create {preview.games.length} Matches
+            </button>
+            <button style={styles.btnSecondary} onClick={onCancel}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+const BRACKET_STAGES = [
+  { id: "W", label: "Winners bracket" },
+  { id: "L", label: "Losers bracket" },
+  { id: "F", label: "Grand final" },
+];
+
+function BracketView({ matches, teamById }) {
+  const bracketMatches = matches.filter((m) => m.bracket);
+  const hasLosers = bracketMatches.some((m) => m.bracket.stage === "L");
+
+  const sideLine = (m, teamId, total) => {
+    const won = m.completed && m.winnerId && m.winnerId === teamId;
+    return (
+      <div style={{ display: "flex", justifyContent: "space-between", gap: 10, fontWeight: won ? 950 : 800, color: won ? "#34d399" : teamId ? "#e5e7eb" : "#64748b" }}>
+        <span>{teamById.get(teamId)?.name || "TBD"}</span>
+        <span>{teamId && (m.hands || []).length ? total : ""}</span>
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+      {BRACKET_STAGES.map((stage) => {
+        const inStage = bracketMatches.filter((m) => m.bracket.stage === stage.id);
+        if (!inStage.length) return null;
+        const rounds = [...new Set(inStage.map((m) => m.bracket.round))].sort((a, b) => a - b);
+
+        return (
+          <div key={stage.id}>
+            {hasLosers ? <div style={{ ...styles.small, marginBottom: 6 }}>{stage.label}</div> : null}
+            <div style={{ display: "flex", gap: 12, overflowX: "auto", alignItems: "center" }}>
+              {rounds.map((round) => {
+                const inRound = inStage.filter((m) => m.bracket.round === round).sort((a, b) => a.bracket.slot - b.bracket.slot);
+                return (
+                  <div key={round} style={{ display: "flex", flexDirection: "column", gap: 10, minWidth: 200 }}>
+                    <div style={{ fontWeight: 950, fontSize: 13, color: "#cbd5e1" }}>{inRound[0].bracket.name}</div>
+                    {inRound.map((m) => (
+                      <div key={m.id} style={{ ...styles.card, padding: 10 }}>
+                        {sideLine(m, m.teamAId, m.totalA)}
+                        {sideLine(m, m.teamBId, m.totalB)}
+                        <div style={{ ...styles.small, marginTop: 4 }}>
+                          {m.tableName}
+                          {m.completed ? " • Final" : (m.hands || []).length ? " • Live" : ""}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// games: [{ matchNumber, tableNumber, teamAId, teamBId, completed? }]
+function ScheduleGrid({ games, teamById }) {
+  const tableNumbers = [...new Set(games.map((g) => g.tableNumber))].sort((a, b) => a - b);
+  const matchNumbers = [...new Set(games.map((g) => g.matchNumber))].sort((a, b) => a - b);
+  const cell = new Map(games.map((g) => [`${g.matchNumber}|${g.tableNumber}`, g]));
+  const label = (n, prefix) => (n === 999999 ? "—" : `${prefix} ${n}`);
+
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ borderCollapse: "separate", borderSpacing: 0 }}>
+        <thead>
+          <tr>
+            <th style={{ ...td, color: "#94a3b8", fontSize: 12 }} />
+            {tableNumbers.map((t) => (
+              <th key={t} style={{ ...td, color: "#94a3b8", fontSize: 12, textAlign: "left", whiteSpace: "nowrap" }}>
+                {label(t, "Table")}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {matchNumbers.map((m) => (
+            <tr key={m}>
+              <td style={{ ...tdBold, whiteSpace: "nowrap" }}>{label(m, "Match")}</td>
+              {tableNumbers.map((t) => {
+                const g = cell.get(`${m}|${t}`);
+                return (
+                  <td key={t} style={{ ...td, whiteSpace: "nowrap", color: g?.completed ? "#94a3b8" : "#e5e7eb" }}>
+                    {g ? `${teamById.get(g.teamAId)?.name || "?"} vs ${teamById.get(g.teamBId)?.name || "?"}` : ""}
+                    {g?.completed ? " ✓" : ""}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 function CollapsibleMatchCard({
   match,
   teamById,
   playerById,
+  settings,
   teams,
   onOpenTable,
   onCopyLink,
   onRemove,
   onRenameMatch,
+  onSetEndCondition,
+  onSetForfeit,
   onSetMatchTeam,
   onTableSetupPatch,
   onDraftPatch,
   onAddHand,
   onSkipHand,
+  onPenaltyHand,
   onClearHands,
   onStartEditHand,
   onCancelEdit,
   onFinishNow,
+  onSubstitute,
+  conflict = null,
+  onResolveConflict,
+  onKeepRemote,
+  rejectedWrite = null,
+  onResendWrite,
+  onDiscardWrite,
+  readOnly = false,
   onSaveEditedHandScore,
 }) {
   const [collapsed, setCollapsed] = useState(true);
@@ -5337,6 +7929,7 @@ function CollapsibleMatchCard({
           value={match.tableName}
           onChange={(e) => onRenameMatch({ tableName: e.target.value })}
           placeholder="Table name"
+          disabled={readOnly}
         />
 
         <input
@@ -5344,6 +7937,7 @@ function CollapsibleMatchCard({
           value={match.label}
           onChange={(e) => onRenameMatch({ label: e.target.value })}
           placeholder="Match label"
+          disabled={readOnly}
         />
 
         {["teamAId", "teamBId"].map((side, i) => (
@@ -5352,7 +7946,7 @@ function CollapsibleMatchCard({
               style={styles.select("100%")}
               value={match[side] || ""}
               onChange={(e) => onSetMatchTeam(side, e.target.value)}
-              disabled={completed}
+              disabled={completed || readOnly}
               title={completed ? "Locked because the match is completed" : `Team ${i === 0 ? "A" : "B"}`}
             >
               <option value="">{`Team ${i === 0 ? "A" : "B"}`}</option>
@@ -5368,11 +7962,82 @@ function CollapsibleMatchCard({
         <button style={styles.btnSecondary} onClick={onCopyLink}>
           Copy Link
         </button>
-        <button style={styles.btnDanger} onClick={onRemove}>
+        <button style={{ ...styles.btnDanger, ...(readOnly ? styles.disabled : {}) }} onClick={onRemove} disabled={readOnly}>
           Remove
         </button>
       </div>
 
+      <div style={{ marginTop: 8, display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+        <select
+          style={styles.select(240)}
+          value={match.endCondition?.type || ""}
+          onChange={(e) =>
+            onSetEndCondition(e.target.value ? { ...(match.endCondition || {}), type: e.target.value } : null)
+          }
+          disabled={readOnly}
+        >
+          <option value="">Tournament end condition</option>
+          {Object.values(END_CONDITION_TYPES).map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+        {match.endCondition ? (
+          <CommitNumberInput
+            key={match.endCondition.type}
+            style={styles.input(110)}
+            value={match.endCondition.type === "HANDS" ? match.endCondition.handCount : match.endCondition.targetScore}
+            onCommit={(n) =>
+              onSetEndCondition({
+                ...match.endCondition,
+                [match.endCondition.type === "HANDS" ? "handCount" : "targetScore"]: n,
+              })
+            }
+            placeholder={match.endCondition.type === "HANDS" ? "Hands" : "Target"}
+            disabled={readOnly}
+          />
+        ) : null}
+        <span style={styles.small}>{describeEndCondition(match.endRule)}</span>
+      </div>
+
+      <div style={{ marginTop: 8, display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+        <CommitNumberInput
+          style={styles.input(110)}
+          value={match.round}
+          onCommit={(round) => onRenameMatch({ round: normalizeRound(round) })}
+          placeholder="Round"
+          disabled={readOnly}
+        />
+        <select
+          style={styles.select(180)}
+          value={match.phase || "POOL"}
+          onChange={(e) => onRenameMatch({ phase: e.target.value })}
+          disabled={readOnly}
+        >
+          {Object.values(MATCH_PHASES).map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.label}
+            </option>
+          ))}
+        </select>
+        {match.round ? (
+          <span style={styles.small}>
+            {roundLabel(match.round, match.phase)} • {ROUND_STATUSES[getRoundStatus(settings, match.round)].label}
+          </span>
+        ) : null}
+        <select
+          style={styles.select(220)}
+          value={match.forfeitTeamId || ""}
+          onChange={(e) => onSetForfeit(e.target.value)}
+          disabled={readOnly || !match.teamAId || !match.teamBId}
+        >
+          <option value="">No forfeit</option>
+          <option value={match.teamAId || ""}>{teamAName} forfeits</option>
+          <option value={match.teamBId || ""}>{teamBName} forfeits</option>
+        </select>
+      </div>
+
       {completed ? (
         <div style={{ marginTop: 6, ...styles.small, color: "#fca5a5" }}>
           Teams are locked because the match is completed.
@@ -5385,14 +8050,24 @@ function CollapsibleMatchCard({
             match={match}
             teamById={teamById}
             playerById={playerById}
+            settings={settings}
             onTableSetupPatch={onTableSetupPatch}
             onDraftPatch={onDraftPatch}
             onAddHand={onAddHand}
             onSkipHand={onSkipHand}
+            onPenaltyHand={onPenaltyHand}
             onClearHands={onClearHands}
             onStartEditHand={onStartEditHand}
             onCancelEdit={onCancelEdit}
             onFinishNow={onFinishNow}
+            onSubstitute={onSubstitute}
+            conflict={conflict}
+            onResolveConflict={onResolveConflict}
+            onKeepRemote={onKeepRemote}
+            rejectedWrite={rejectedWrite}
+            onResendWrite={onResendWrite}
+            onDiscardWrite={onDiscardWrite}
+            readOnly={readOnly}
             onSaveEditedHandScore={onSaveEditedHandScore}
           />
         </div>
@@ -5405,14 +8080,24 @@ function TableMatchPanel({
   match,
   teamById,
   playerById,
+  settings,
   onTableSetupPatch,
   onDraftPatch,
   onAddHand,
   onSkipHand,
+  onPenaltyHand,
   onClearHands,
   onStartEditHand,
   onCancelEdit,
   onFinishNow,
+  onSubstitute,
+  conflict = null,
+  onResolveConflict,
+  onKeepRemote,
+  rejectedWrite = null,
+  onResendWrite,
+  onDiscardWrite,
+  readOnly = false,
   onSaveEditedHandScore,
   bigTotals = false,
   hideTopStatusRow = false,
@@ -5421,14 +8106,21 @@ function TableMatchPanel({
   const teamB = teamById.get(match.teamBId) || null;
   const ta = teamA?.name ?? "TBD";
   const tb = teamB?.name ?? "TBD";
-  const playersA = getTeamPlayers(teamA, playerById);
-  const playersB = getTeamPlayers(teamB, playerById);
+  const seatedIds = getSeatedPlayerIds(match, teamById);
+  const playersA = seatedIds.A.map((pid) => playerById.get(pid)).filter(Boolean);
+  const playersB = seatedIds.B.map((pid) => playerById.get(pid)).filter(Boolean);
   const allTablePlayers = [...playersA, ...playersB];
 
-  const pctA = Math.min(100, Math.round(((match.totalA || 0) / TARGET_SCORE) * 100));
-  const pctB = Math.min(100, Math.round(((match.totalB || 0) / TARGET_SCORE) * 100));
+  const endRule = resolveEndCondition(match.endRule);
+  const handsPlayed = (match.hands || []).length;
+  const pctA = endConditionProgressPct(endRule, match.totalA, handsPlayed);
+  const pctB = endConditionProgressPct(endRule, match.totalB, handsPlayed);
+  const scoreTarget = endRule.type === "HANDS" ? null : endRule.targetScore;
 
   const d = match.fastDraft || defaultFastDraft();
+  const roundStatus = getRoundStatus(settings, match.round);
+  // No new hands while a rejected write waits to be resolved.
+  const scoringOpen = !readOnly && !conflict && roundAllowsScoring(match, settings);
   const canPlay = !!match.teamAId && !!match.teamBId;
   const setupReady =
     canPlay &&
@@ -5456,9 +8148,24 @@ function TableMatchPanel({
   const [editingHandScoreA, setEditingHandScoreA] = useState("");
   const [editingHandScoreB, setEditingHandScoreB] = useState("");
 
+  const [penaltyOpen, setPenaltyOpen] = useState(false);
+  const [penaltyOffender, setPenaltyOffender] = useState("");
+  const [penaltyReason, setPenaltyReason] = useState("RENONCE");
+  const [penaltyNote, setPenaltyNote] = useState("");
+
+  const [subOutId, setSubOutId] = useState("");
+  const [subInId, setSubInId] = useState("");
+
+  const [auctionBid, setAuctionBid] = useState("");
+  const [auctionSuit, setAuctionSuit] = useState("H");
+
+  // Missing-value errors stay hidden until the scorer tries to add the hand.
+  const [showRequired, setShowRequired] = useState(false);
+
   useEffect(() => {
     setSetupCollapsed(setupReady);
     setupAutoCollapsedRef.current = Boolean(setupReady);
+    setShowRequired(false);
   }, [match.id]);
 
   useEffect(() => {
@@ -5483,7 +8190,9 @@ function TableMatchPanel({
     prevWinnerRef.current = winnerSide;
   }, [winnerSide]);
 
-  const suitLabel = d.suit === "H" ? "Hearts" : d.suit === "D" ? "Diamonds" : d.suit === "C" ? "Clubs" : "Spades";
+  const suitLabel = (CONTRACT_SUITS[d.suit] || CONTRACT_SUITS.S).label;
+  const noTrump = getContractType(d.suit) === "SA";
+  const announces = resolveDraftAnnounces(d);
   const fieldLabelStyle = { fontSize: 18, color: "#cbd5e1", fontWeight: 950, marginBottom: 6 };
   const handInput = { ...styles.input("100%"), padding: "8px 10px" };
   const handSelect = { ...styles.select("100%"), padding: "8px 10px" };
@@ -5495,6 +8204,132 @@ function TableMatchPanel({
     .filter((p) => p.name);
   const seatOrderNames = seatOrderPlayers.map((p) => p.name);
 
+  // The hand being edited keeps the dealer it was played with.
+  const editingHand = match.editingHandIdx
+    ? (match.hands || []).find((h) => h.idx === match.editingHandIdx)
+    : null;
+  const handDealerPlayerId =
+    d.auctionDealerPlayerId || editingHand?.draftSnapshot?.shufflerPlayerId || currentDealer.playerId;
+
+  const ruleProfileId = settings?.ruleProfileId;
+  const auctionCalls = Array.isArray(d.auction) ? d.auction : null;
+  const auctionCtx = getAuctionContext(match, teamById, d.auctionDealerPlayerId, ruleProfileId);
+  const auctionState = auctionCalls ? replayAuction(auctionCalls, auctionCtx) : null;
+  // While an auction is recorded, the contract fields are derived from it.
+  const contractLocked = !!auctionCalls?.length;
+  const auctionPending = contractLocked && (!!auctionState.error || !auctionState.finished || !auctionState.contract);
+  const auctionBidOptions = legalBidValues(ruleProfileId).filter(
+    (v) => !auctionState?.highest || v > auctionState.highest.bid
+  );
+  const pickedAuctionBid = auctionBidOptions.includes(Number(auctionBid)) ? Number(auctionBid) : auctionBidOptions[0];
+  const canCall = (call) =>
+    !!auctionState?.nextPlayerId &&
+    isLegalCall(auctionCalls, { ...call, playerId: auctionState.nextPlayerId }, auctionCtx);
+
+  function startAuction() {
+    onDraftPatch({ auction: [], auctionDealerPlayerId: handDealerPlayerId });
+  }
+
+  function patchAuction(calls) {
+    const res = replayAuction(calls, auctionCtx);
+    if (res.error) {
+      alert(res.error);
+      return;
+    }
+    const c = res.contract;
+    onDraftPatch({
+      auction: calls,
+      ...(c
+        ? {
+            bidder: c.bidder,
+            bid: String(c.bid),
+            suit: c.suit,
+            coincheLevel: c.coincheLevel,
+            ...(getContractType(c.suit) === "SA" ? { beloteTeam: "NONE" } : {}),
+          }
+        : { bidder: "A", bid: "", coincheLevel: "NONE" }),
+    });
+  }
+
+  function recordAuctionCall(call) {
+    patchAuction([...(auctionCalls || []), { ...call, playerId: auctionState.nextPlayerId }]);
+  }
+
+  const penaltyOffenderSide = getSideByPlayerId(match, teamById)[penaltyOffender];
+  const penaltyPreview = penaltyOffenderSide
+    ? computePenaltyScore({
+        offenderSide: penaltyOffenderSide,
+        bid: parseBidValue(d.bid) || 0,
+        penaltyRule: settings?.penaltyRule,
+      })
+    : null;
+
+  const playState = d.playLog ? replayPlayLog(d.playLog, getPlayContext(match, d, teamById)) : null;
+  const playLocked = !!d.playLog?.tricks?.length;
+  const playPending = playLocked && (playState.errors.length > 0 || !playState.complete);
+
+  const validation = validateScoredDraft(match, resolveScoredDraft(match, d, teamById, ruleProfileId), {
+    teamById,
+    playerById,
+    ruleProfile: ruleProfileId,
+  });
+  const issueFor = (field) => {
+    const issue = fieldIssue(validation, field);
+    return issue && (issue.code !== ISSUE_CODES.REQUIRED || showRequired) ? issue : null;
+  };
+
+  function submitHand() {
+    if (!validation.ok) {
+      setShowRequired(true);
+      return;
+    }
+    setShowRequired(false);
+    onAddHand();
+  }
+
+  function patchPlayLog(tricks) {
+    const nextLog = { ...d.playLog, tricks };
+    const res = replayPlayLog(nextLog, getPlayContext(match, d, teamById));
+    onDraftPatch({
+      playLog: nextLog,
+      ...(res.complete && !res.errors.length
+        ? {
+            bidderTrickPoints: String(res.bidderTrickPoints),
+            nonBidderTrickPoints: String(res.nonBidderTrickPoints),
+            trickSource: "BIDDER",
+            capot: playLogCapot(res, d),
+            skippedHand: false,
+          }
+        : {}),
+    });
+  }
+
+  function playCard(rank, suit) {
+    const tricks = d.playLog?.tricks || [];
+    const last = tricks[tricks.length - 1];
+    const card = { playerId: playState.nextPlayerId, rank, suit };
+    if (!playState.playableCodes.has(cardCode(card))) return;
+    if (!last || last.length === 4) patchPlayLog([...tricks, [card]]);
+    else patchPlayLog([...tricks.slice(0, -1), [...last, card]]);
+  }
+
+  function undoPlayedCard() {
+    const tricks = d.playLog?.tricks || [];
+    const last = tricks[tricks.length - 1] || [];
+    patchPlayLog(last.length > 1 ? [...tricks.slice(0, -1), last.slice(0, -1)] : tricks.slice(0, -1));
+  }
+
+  function formatAuctionCall(call) {
+    if (call.type === "BID") {
+      return (
+        <>
+          {call.bid} <SuitIcon suit={call.suit} />
+        </>
+      );
+    }
+    return AUCTION_CALLS[call.type]?.label || call.type;
+  }
+
   useEffect(() => {
     const autoPatch = {};
     if (playersA[0] && d.announceA1PlayerId !== playersA[0].id) autoPatch.announceA1PlayerId = playersA[0].id;
@@ -5527,45 +8362,67 @@ function TableMatchPanel({
     });
   }
 
-    function renderAnnounceBlock(side, label, teamPlayers) {
-    const keys = {
-      a1: `announce${side}1`,
-      a2: `announce${side}2`,
-      p1: `announce${side}1PlayerId`,
-      p2: `announce${side}2PlayerId`,
-    };
-
-    const player1 = teamPlayers[0] || null;
-    const player2 = teamPlayers[1] || null;
-
+  function renderAnnounceBlock(side, label, teamPlayers) {
     return (
       <div style={styles.card}>
         <div style={{ fontWeight: 950, marginBottom: 10 }}>{label}</div>
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
-          {[
-            [keys.a1, keys.p1, player1?.name || "Player 1"],
-            [keys.a2, keys.p2, player2?.name || "Player 2"],
-          ].map(([amountKey, playerKey, playerLabel]) => (
-            <div key={amountKey}>
-              <div style={styles.small}>{playerLabel}</div>
-              <input
-                style={handInput}
-                value={d[amountKey]}
-                onChange={(e) =>
-                  onDraftPatch({
-                    [amountKey]: e.target.value,
-                    [playerKey]: teamPlayers.find((p) => p.name === playerLabel)?.id || d[playerKey] || "",
-                  })
-                }
-                inputMode="numeric"
-                pattern="[0-9]*"
-                disabled={!setupReady}
-              />
-            </div>
-          ))}
+          {[1, 2].map((n) => {
+            const slot = `${side}${n}`;
+            const typesKey = `announce${slot}Types`;
+            const playerKey = `announce${slot}PlayerId`;
+            const player = teamPlayers[n - 1] || null;
+            const types = getAnnounceTypes(d, slot);
+
+            return (
+              <div key={slot}>
+                <div style={styles.small}>{player?.name || `Player ${n}`}</div>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 6, margin: "4px 0" }}>
+                  {types.map((t, i) => (
+                    <button
+                      key={`${t}_${i}`}
+                      style={{ ...styles.btnGhost, padding: "4px 8px", fontSize: 12 }}
+                      onClick={() =>
+                        onDraftPatch({
+                          [typesKey]: types.filter((_, j) => j !== i),
+                          [`announce${slot}`]: "",
+                        })
+                      }
+                      disabled={!setupReady}
+                      title="Remove announce"
+                    >
+                      {ANNOUNCE_TYPES[t]?.label || t} ({ANNOUNCE_TYPES[t]?.points || 0}) ✕
+                    </button>
+                  ))}
+                </div>
+                <select
+                  style={handSelect}
+                  value=""
+                  onChange={(e) => {
+                    if (!e.target.value) return;
+                    onDraftPatch({
+                      [typesKey]: [...types, e.target.value],
+                      [`announce${slot}`]: "",
+                      [playerKey]: player?.id || d[playerKey] || "",
+                    });
+                  }}
+                  disabled={!setupReady}
+                >
+                  <option value="">+ Add announce</option>
+                  {Object.values(ANNOUNCE_TYPES).map((t) => (
+                    <option key={t.id} value={t.id}>
+                      {t.label} ({t.points})
+                    </option>
+                  ))}
+                </select>
+                <FieldIssue issue={issueFor(`announce${slot}`)} />
+              </div>
+            );
+          })}
         </div>
         <div style={{ marginTop: 8, ...styles.small }}>
-          Total announces: <span style={{ color: "#e5e7eb", fontWeight: 900 }}>{sumAnnounces(d, side)}</span>
+          Declared: <span style={{ color: "#e5e7eb", fontWeight: 900 }}>{announces[`declared${side}`]}</span>
+          {" • "}Scored: <span style={{ color: "#e5e7eb", fontWeight: 900 }}>{announces[`announce${side}`]}</span>
         </div>
       </div>
     );
@@ -5594,15 +8451,43 @@ function TableMatchPanel({
 
   return (
     <div style={{ ...styles.card, borderRadius: 18 }}>
+      {conflict ? (
+        <MatchConflictPanel
+          match={match}
+          conflict={conflict}
+          teamById={teamById}
+          readOnly={readOnly}
+          onResolve={onResolveConflict}
+          onKeepRemote={onKeepRemote}
+        />
+      ) : null}
+      {rejectedWrite ? (
+        <RejectedWritePanel entry={rejectedWrite} onResend={onResendWrite} onDiscard={onDiscardWrite} />
+      ) : null}
       {!hideTopStatusRow && (
         <>
           <div style={{ display: "flex", justifyContent: "flex-end", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
             <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+              {match.round ? (
+                <StatusBadge tone={scoringOpen ? "neutral" : "danger"}>
+                  {roundLabel(match.round, match.phase)}
+                  {scoringOpen
+                    ? ""
+                    : readOnly
+                    ? " • Read-only"
+                    : match.archived
+                    ? " • Archived"
+                    : ` • ${ROUND_STATUSES[roundStatus].label}`}
+                </StatusBadge>
+              ) : null}
+              {match.litigeEscrow > 0 && (
+                <StatusBadge tone="warning">Litige pot: {match.litigeEscrow} pts</StatusBadge>
+              )}
               <div style={{ color: match.completed ? "#34d399" : "#94a3b8", fontWeight: 950 }}>
                 {match.completed ? `Winner: ${teamById.get(match.winnerId)?.name ?? "—"}` : "Live"}
               </div>
 
-              {!match.completed && (
+              {!match.completed && !readOnly && (
                 <button
                   style={{ ...styles.btnDanger, ...(setupReady ? {} : styles.disabled) }}
                   onClick={() => {
@@ -5658,7 +8543,7 @@ function TableMatchPanel({
                     style={handSelect}
                     value={match.tableOrderPlayerIds?.[idx] || ""}
                     onChange={(e) => setSeat(idx, e.target.value)}
-                    disabled={(match.hands || []).length > 0}
+                    disabled={readOnly || (match.hands || []).length > 0}
                   >
                     <option value="">— Select —</option>
                     {allTablePlayers.map((p) => {
@@ -5682,7 +8567,7 @@ function TableMatchPanel({
                 style={handSelect}
                 value={match.firstShufflerPlayerId || ""}
                 onChange={(e) => onTableSetupPatch({ firstShufflerPlayerId: e.target.value })}
-                disabled={(match.hands || []).length > 0 || (match.tableOrderPlayerIds || []).length !== 4}
+                disabled={readOnly || (match.hands || []).length > 0 || (match.tableOrderPlayerIds || []).length !== 4}
               >
                 <option value="">— Select —</option>
                 {(match.tableOrderPlayerIds || []).map((pid) => {
@@ -5705,13 +8590,64 @@ function TableMatchPanel({
         )}
       </div>
 
+      {canPlay && (handsPlayed > 0 || (match.substitutions || []).length > 0) ? (
+        <div style={{ ...styles.card, marginTop: 10 }}>
+          <div style={{ fontWeight: 950, marginBottom: 6 }}>Substitutes</div>
+          {(match.substitutions || []).map((sub) => (
+            <div key={`${sub.fromHand}-${sub.outPlayerId}`} style={styles.small}>
+              From hand {sub.fromHand}: {playerById.get(sub.inPlayerId)?.name || "—"} replaces{" "}
+              {playerById.get(sub.outPlayerId)?.name || "—"}
+            </div>
+          ))}
+          {onSubstitute && !match.completed && scoringOpen && !match.editingHandIdx ? (
+            <div style={{ ...styles.row, marginTop: 8 }}>
+              <select style={styles.select(200)} value={subOutId} onChange={(e) => setSubOutId(e.target.value)}>
+                <option value="">Player leaving</option>
+                {allTablePlayers.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+              <select style={styles.select(200)} value={subInId} onChange={(e) => setSubInId(e.target.value)}>
+                <option value="">Substitute</option>
+                {[...playerById.values()]
+                  .filter((p) => !allTablePlayers.some((x) => x.id === p.id))
+                  .map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.name}
+                    </option>
+                  ))}
+              </select>
+              <button
+                style={{ ...styles.btnSecondary, ...(subOutId && subInId ? {} : styles.disabled) }}
+                disabled={!subOutId || !subInId}
+                onClick={async () => {
+                  await onSubstitute(subOutId, subInId);
+                  setSubOutId("");
+                  setSubInId("");
+                }}
+              >
+                Substitute from hand {handsPlayed + 1}
+              </button>
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+
       <div style={{ marginTop: 10, ...styles.grid2 }}>
-        <ScoreCard name={ta} score={match.totalA} pct={pctA} leader={leader === "A"} winner={winnerSide === "A"} variant="A" bigTotals={bigTotals} celebrateOn={celebrateOn} seed={(match.id || "").length + (match.totalA || 0)} />
-        <ScoreCard name={tb} score={match.totalB} pct={pctB} leader={leader === "B"} winner={winnerSide === "B"} variant="B" bigTotals={bigTotals} celebrateOn={celebrateOn} seed={(match.id || "").length + (match.totalB || 0) + 7} />
+        <ScoreCard name={ta} score={match.totalA} pct={pctA} target={scoreTarget} leader={leader === "A"} winner={winnerSide === "A"} variant="A" bigTotals={bigTotals} celebrateOn={celebrateOn} seed={(match.id || "").length + (match.totalA || 0)} />
+        <ScoreCard name={tb} score={match.totalB} pct={pctB} target={scoreTarget} leader={leader === "B"} winner={winnerSide === "B"} variant="B" bigTotals={bigTotals} celebrateOn={celebrateOn} seed={(match.id || "").length + (match.totalB || 0) + 7} />
       </div>
 
       <div style={{ marginTop: 10, ...styles.small }}>
-        End immediately at <b style={{ color: "#e5e7eb" }}>{TARGET_SCORE}</b>. Add hands until one team reaches 2000+.
+        {describeEndCondition(endRule)}
+        {endRule.type === "HANDS" ? (
+          <>
+            {" "}
+            Hands played: <b style={{ color: "#e5e7eb" }}>{handsPlayed}</b> / {endRule.handCount}
+          </>
+        ) : null}
       </div>
 
       <div style={{ marginTop: 14, borderTop: "1px solid rgba(148,163,184,0.18)", paddingTop: 12 }}>
@@ -5748,20 +8684,146 @@ function TableMatchPanel({
           </div>
         </div>
 
+        {!scoringOpen ? (
+          <div style={{ ...styles.card, marginTop: 10, border: "1px solid rgba(244,63,94,0.35)", fontWeight: 900 }}>
+            {readOnly
+              ? "This tournament is finished. Scores are read-only."
+              : match.archived
+              ? "This match belongs to an archived stage. Its hands can no longer be changed."
+              : `${roundLabel(match.round, match.phase)} is ${ROUND_STATUSES[roundStatus].label.toLowerCase()}. Hands cannot be entered or changed until the organiser reopens it.`}
+          </div>
+        ) : null}
+
+        <fieldset disabled={!scoringOpen} style={{ border: "none", margin: 0, padding: 0, minWidth: 0 }}>
+        <div style={{ ...styles.card, marginTop: 10 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+            <div style={{ fontWeight: 950 }}>Auction</div>
+            {auctionCalls ? (
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                <button
+                  style={{ ...styles.btnSecondary, ...(auctionCalls.length ? {} : styles.disabled) }}
+                  onClick={() => patchAuction(auctionCalls.slice(0, -1))}
+                  disabled={!auctionCalls.length}
+                >
+                  Undo call
+                </button>
+                <button
+                  style={styles.btnGhost}
+                  onClick={() => onDraftPatch({ auction: null, auctionDealerPlayerId: "" })}
+                >
+                  Stop recording
+                </button>
+              </div>
+            ) : (
+              <button
+                style={{ ...styles.btnSecondary, ...(setupReady ? {} : styles.disabled) }}
+                onClick={startAuction}
+                disabled={!setupReady}
+              >
+                Record auction
+              </button>
+            )}
+          </div>
+
+          {auctionCalls ? (
+            <>
+              <div style={{ marginTop: 8, ...styles.small, fontSize: 14, lineHeight: 1.6 }}>
+                {auctionCalls.length
+                  ? auctionCalls.map((call, i) => (
+                      <React.Fragment key={i}>
+                        {i > 0 ? " → " : ""}
+                        <span style={{ color: "#e5e7eb", fontWeight: 800 }}>
+                          {playerById.get(call.playerId)?.name || "?"}
+                        </span>{" "}
+                        {formatAuctionCall(call)}
+                      </React.Fragment>
+                    ))
+                  : "No calls yet."}
+              </div>
+
+              {auctionState.error ? (
+                <div style={{ marginTop: 8, color: "#fb7185", fontWeight: 900 }}>
+                  Call {auctionState.errorAt + 1}: {auctionState.error}
+                </div>
+              ) : auctionState.finished ? (
+                <div style={{ marginTop: 8, fontWeight: 900, color: "#34d399" }}>
+                  {auctionState.allPassed ? (
+                    "Everyone passed. Use Skip Hand."
+                  ) : (
+                    <>
+                      Contract: {auctionState.contract.bid} <SuitIcon suit={auctionState.contract.suit} /> by{" "}
+                      {playerById.get(auctionState.contract.bidderPlayerId)?.name || (auctionState.contract.bidder === "A" ? ta : tb)}
+                      {auctionState.contract.coincheLevel !== "NONE" ? ` • ${auctionState.contract.coincheLevel}` : ""}
+                    </>
+                  )}
+                </div>
+              ) : (
+                <div style={{ marginTop: 10, display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                  <span style={{ fontWeight: 900 }}>
+                    {playerById.get(auctionState.nextPlayerId)?.name || "?"} to call:
+                  </span>
+                  <button style={styles.btnSecondary} onClick={() => recordAuctionCall({ type: "PASS" })}>
+                    Pass
+                  </button>
+                  <select
+                    style={styles.select(90)}
+                    value={pickedAuctionBid ?? ""}
+                    onChange={(e) => setAuctionBid(e.target.value)}
+                  >
+                    {auctionBidOptions.map((v) => (
+                      <option key={v} value={v}>
+                        {v}
+                      </option>
+                    ))}
+                  </select>
+                  <select style={styles.select(130)} value={auctionSuit} onChange={(e) => setAuctionSuit(e.target.value)}>
+                    {Object.values(CONTRACT_SUITS).map((cs) => (
+                      <option key={cs.id} value={cs.id}>
+                        {cs.label}
+                      </option>
+                    ))}
+                  </select>
+                  {[
+                    { type: "BID", bid: pickedAuctionBid, suit: auctionSuit },
+                    { type: "COINCHE" },
+                    { type: "SURCOINCHE" },
+                  ].map((call) => {
+                    const legal = canCall(call);
+                    return (
+                      <button
+                        key={call.type}
+                        style={{ ...styles.btnPrimary, ...(legal ? {} : styles.disabled) }}
+                        onClick={() => recordAuctionCall(call)}
+                        disabled={!legal}
+                      >
+                        {AUCTION_CALLS[call.type].label}
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+            </>
+          ) : (
+            <div style={{ marginTop: 6, ...styles.small }}>
+              Optional: record every call in seat order and the contract below fills itself in.
+            </div>
+          )}
+        </div>
+
         <div style={styles.handRow1}>
           <Field label="Bidder" labelStyle={fieldLabelStyle}>
             <select
               style={handSelect}
               value={d.bidder}
-              onChange={(e) => onDraftPatch({ bidder: e.target.value })}
-              disabled={!setupReady}
+              onChange={(e) => onDraftPatch({ bidder: e.target.value, generale: false, generalePlayerId: "" })}
+              disabled={!setupReady || contractLocked}
             >
               <option value="A">{ta}</option>
               <option value="B">{tb}</option>
             </select>
           </Field>
 
-          <Field label="Bid" labelStyle={fieldLabelStyle}>
+          <Field label="Bid" labelStyle={fieldLabelStyle} issue={issueFor("bid")}>
             <input
               style={handInput}
               value={d.bid}
@@ -5769,7 +8831,7 @@ function TableMatchPanel({
               placeholder='80, 90, 110... or "250"'
               inputMode="numeric"
               pattern="[0-9]*"
-              disabled={!setupReady}
+              disabled={!setupReady || contractLocked}
             />
           </Field>
 
@@ -5777,13 +8839,21 @@ function TableMatchPanel({
             <select
               style={handSelect}
               value={d.suit || "S"}
-              onChange={(e) => onDraftPatch({ suit: e.target.value })}
-              disabled={!setupReady}
+              onChange={(e) =>
+                onDraftPatch(
+                  getContractType(e.target.value) === "SA"
+                    ? { suit: e.target.value, beloteTeam: "NONE" }
+                    : { suit: e.target.value }
+                )
+              }
+              disabled={!setupReady || contractLocked}
             >
               <option value="H">♥ Hearts</option>
               <option value="D">♦ Diamonds</option>
               <option value="C">♣ Clubs</option>
               <option value="S">♠ Spades</option>
+              <option value="SA">Sans atout</option>
+              <option value="TA">Tout atout</option>
             </select>
           </Field>
 
@@ -5792,7 +8862,7 @@ function TableMatchPanel({
               style={handSelect}
               value={d.coincheLevel}
               onChange={(e) => onDraftPatch({ coincheLevel: e.target.value })}
-              disabled={!setupReady}
+              disabled={!setupReady || contractLocked}
             >
               <option value="NONE">None</option>
               <option value="COINCHE">Coinche (x2)</option>
@@ -5807,32 +8877,96 @@ function TableMatchPanel({
         </div>
 
         <div style={styles.handRow3}>
-          <Field label="Belote Made" labelStyle={fieldLabelStyle}>
+          <Field label="Belote Made" labelStyle={fieldLabelStyle} issue={issueFor("belote")}>
             <select
               style={handSelect}
-              value={d.beloteTeam}
-              onChange={(e) => onDraftPatch({ beloteTeam: e.target.value })}
-              disabled={!setupReady}
+              value={
+                noTrump || d.beloteTeam === "NONE"
+                  ? "NONE"
+                  : d.belotePlayerId
+                  ? `${d.beloteTeam}:${d.belotePlayerId}`
+                  : d.beloteTeam
+              }
+              onChange={(e) => {
+                const [team, playerId] = e.target.value.split(":");
+                onDraftPatch({ beloteTeam: team, belotePlayerId: playerId || "" });
+              }}
+              disabled={!setupReady || noTrump}
             >
               <option value="NONE">None</option>
-              <option value="A">{ta}</option>
-              <option value="B">{tb}</option>
+              {[
+                ["A", ta, playersA],
+                ["B", tb, playersB],
+              ].map(([side, teamName, teamPlayers]) =>
+                teamPlayers.length ? (
+                  teamPlayers.map((p) => (
+                    <option key={p.id} value={`${side}:${p.id}`}>
+                      {p.name} ({teamName})
+                    </option>
+                  ))
+                ) : (
+                  <option key={side} value={side}>
+                    {teamName}
+                  </option>
+                )
+              )}
+            </select>
+          </Field>
+
+          {announces.tied && (
+            <Field label="Equal Announces" labelStyle={fieldLabelStyle}>
+              <select
+                style={handSelect}
+                value={d.announceTieWinner || "NONE"}
+                onChange={(e) => onDraftPatch({ announceTieWinner: e.target.value })}
+                disabled={!setupReady}
+              >
+                <option value="NONE">Nobody scores</option>
+                <option value="A">{ta} scores</option>
+                <option value="B">{tb} scores</option>
+              </select>
+            </Field>
+          )}
+
+          <Field label="Générale" labelStyle={fieldLabelStyle} issue={issueFor("generale")}>
+            <select
+              style={handSelect}
+              value={d.generale ? d.generalePlayerId : ""}
+              onChange={(e) =>
+                onDraftPatch({ generale: !!e.target.value, generalePlayerId: e.target.value, capot: false })
+              }
+              disabled={!setupReady}
+            >
+              <option value="">No</option>
+              {(d.bidder === "A" ? playersA : playersB).map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.name} alone
+                </option>
+              ))}
             </select>
           </Field>
 
-          <Field label="Capot Made" labelStyle={fieldLabelStyle}>
+          <Field
+            label={d.generale ? "Générale Made" : "Capot Made"}
+            labelStyle={fieldLabelStyle}
+            issue={issueFor("capot")}
+          >
             <select
               style={handSelect}
               value={d.capot ? "YES" : "NO"}
               onChange={(e) => onDraftPatch({ capot: e.target.value === "YES" })}
-              disabled={!setupReady}
+              disabled={!setupReady || playLocked}
             >
               <option value="NO">No</option>
               <option value="YES">Yes</option>
             </select>
           </Field>
 
-          <Field label="Bidder trick points (0–162)" labelStyle={fieldLabelStyle}>
+          <Field
+            label="Bidder trick points (0–162)"
+            labelStyle={fieldLabelStyle}
+            issue={issueFor("bidderTrickPoints")}
+          >
             <input
               style={handInput}
               value={d.bidderTrickPoints}
@@ -5858,11 +8992,15 @@ function TableMatchPanel({
               placeholder="ex: 81"
               inputMode="numeric"
               pattern="[0-9]*"
-              disabled={!setupReady || d.trickSource === "NON"}
+              disabled={!setupReady || d.trickSource === "NON" || playLocked}
             />
           </Field>
 
-          <Field label="Non-bidder trick points (0–162)" labelStyle={fieldLabelStyle}>
+          <Field
+            label="Non-bidder trick points (0–162)"
+            labelStyle={fieldLabelStyle}
+            issue={issueFor("nonBidderTrickPoints")}
+          >
             <input
               style={handInput}
               value={d.nonBidderTrickPoints}
@@ -5888,18 +9026,135 @@ function TableMatchPanel({
               placeholder="ex: 81"
               inputMode="numeric"
               pattern="[0-9]*"
-              disabled={!setupReady || d.trickSource === "BIDDER"}
+              disabled={!setupReady || d.trickSource === "BIDDER" || playLocked}
             />
           </Field>
         </div>
 
+        <div style={{ ...styles.card, marginTop: 10 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+            <div style={{ fontWeight: 950 }}>Play by play</div>
+            {d.playLog ? (
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                <button
+                  style={{ ...styles.btnSecondary, ...(playLocked ? {} : styles.disabled) }}
+                  onClick={undoPlayedCard}
+                  disabled={!playLocked}
+                >
+                  Undo card
+                </button>
+                <button style={styles.btnGhost} onClick={() => onDraftPatch({ playLog: null })}>
+                  Stop recording
+                </button>
+              </div>
+            ) : (
+              <button
+                style={{ ...styles.btnSecondary, ...(setupReady ? {} : styles.disabled) }}
+                onClick={() =>
+                  onDraftPatch({ playLog: { firstLeaderPlayerId: auctionSeats(seatOrderIds, handDealerPlayerId)[0] || "", tricks: [] } })
+                }
+                disabled={!setupReady}
+              >
+                Record tricks
+              </button>
+            )}
+          </div>
+
+          {playState ? (
+            <>
+              {playState.tricks.map((t, i) => (
+                <div key={i} style={{ marginTop: 6, ...styles.small, fontSize: 14, lineHeight: 1.5 }}>
+                  <b style={{ color: "#e5e7eb" }}>Trick {i + 1}:</b>{" "}
+                  {t.cards.map((c, j) => (
+                    <React.Fragment key={cardCode(c)}>
+                      {j > 0 ? ", " : ""}
+                      {playerById.get(c.playerId)?.name || "?"} {c.rank}
+                      <SuitIcon suit={c.suit} />
+                    </React.Fragment>
+                  ))}
+                  {t.winnerPlayerId ? (
+                    <span style={{ color: "#facc15" }}>
+                      {" "}
+                      → {playerById.get(t.winnerPlayerId)?.name || "?"} ({t.points} pts)
+                    </span>
+                  ) : null}
+                </div>
+              ))}
+
+              {playState.errors.map((err, i) => (
+                <div key={i} style={{ marginTop: 6, color: "#fb7185", fontWeight: 900 }}>
+                  Trick {err.trickIdx + 1}: {playerById.get(err.playerId)?.name || "?"} {err.message}
+                </div>
+              ))}
+
+              {playState.complete ? (
+                <div style={{ marginTop: 8, fontWeight: 900, color: "#34d399" }}>
+                  {d.bidder === "A" ? ta : tb}: {playState.bidderTrickPoints} pts • Defence: {playState.nonBidderTrickPoints} pts
+                  {playLogCapot(playState, d) ? (d.generale ? " • Générale" : " • Capot") : ""}
+                </div>
+              ) : (
+                <>
+                  <div style={{ marginTop: 10, fontWeight: 900 }}>
+                    {playerById.get(playState.nextPlayerId)?.name || "?"} to play
+                  </div>
+                  <div style={{ marginTop: 6, display: "flex", flexDirection: "column", gap: 6 }}>
+                    {PLAY_SUITS.map((suit) => (
+                      <div key={suit} style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+                        <SuitIcon suit={suit} />
+                        {PLAY_RANKS.map((rank) => {
+                          const used = playState.playedCodes.has(`${rank}${suit}`);
+                          const playable = playState.playableCodes.has(`${rank}${suit}`);
+                          return (
+                            <button
+                              key={rank}
+                              style={{
+                                ...styles.btnGhost,
+                                padding: "6px 10px",
+                                minWidth: 44,
+                                ...(playable ? {} : styles.disabled),
+                                ...(!used && !playable ? { textDecoration: "line-through" } : {}),
+                              }}
+                              onClick={() => playCard(rank, suit)}
+                              disabled={!playable}
+                              title={!used && !playable ? "Not a legal card for this player here" : undefined}
+                            >
+                              {rank}
+                            </button>
+                          );
+                        })}
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </>
+          ) : (
+            <div style={{ marginTop: 6, ...styles.small }}>
+              Optional: tap the four cards of each trick and the trick points and capot are worked out for you.
+            </div>
+          )}
+        </div>
+
         <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 12, alignItems: "center" }}>
-          <button style={{ ...styles.btnPrimary, ...(setupReady ? {} : styles.disabled) }} onClick={onAddHand} disabled={!setupReady}>
+          <button
+            style={{ ...styles.btnPrimary, ...(setupReady && !auctionPending && !playPending ? {} : styles.disabled) }}
+            onClick={submitHand}
+            disabled={!setupReady || auctionPending || playPending}
+            title={
+              auctionPending ? "Finish the auction first" : playPending ? "Finish recording the tricks first" : undefined
+            }
+          >
             {match.editingHandIdx ? `Save Changes (Hand ${match.editingHandIdx})` : "Add Hand"}
           </button>
 
           {match.editingHandIdx && <button style={styles.btnSecondary} onClick={onCancelEdit}>Cancel Edit</button>}
 
+          {showRequired && !validation.ok ? (
+            <span style={{ color: "#fb7185", fontWeight: 900 }}>
+              {validation.errors.length === 1 ? "1 field needs fixing" : `${validation.errors.length} fields need fixing`}
+            </span>
+          ) : null}
+
           <button style={{ ...styles.btnSecondary, ...(setupReady ? {} : styles.disabled) }} onClick={() => setScanOpen(true)} disabled={!setupReady}>
             Calculate points with picture
           </button>
@@ -5912,6 +9167,14 @@ function TableMatchPanel({
             Skip Hand - No Points
           </button>
 
+          <button
+            style={{ ...styles.btnDanger, ...(setupReady && !match.editingHandIdx ? {} : styles.disabled) }}
+            onClick={() => setPenaltyOpen((v) => !v)}
+            disabled={!setupReady || !!match.editingHandIdx}
+          >
+            Penalty Hand
+          </button>
+
 <span
   style={{
     marginLeft: "auto",
@@ -5928,6 +9191,71 @@ function TableMatchPanel({
 </span>
 
         </div>
+
+        {penaltyOpen && setupReady && !match.editingHandIdx ? (
+          <div style={{ ...styles.card, marginTop: 10, border: "1px solid rgba(244,63,94,0.35)" }}>
+            <div style={{ fontWeight: 950, marginBottom: 10 }}>Penalty Hand</div>
+            <div style={styles.handRow3}>
+              <Field label="Offending player" labelStyle={fieldLabelStyle}>
+                <select style={handSelect} value={penaltyOffender} onChange={(e) => setPenaltyOffender(e.target.value)}>
+                  <option value="">Select…</option>
+                  {[
+                    [ta, playersA],
+                    [tb, playersB],
+                  ].map(([teamName, teamPlayers]) =>
+                    teamPlayers.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.name} ({teamName})
+                      </option>
+                    ))
+                  )}
+                </select>
+              </Field>
+              <Field label="Reason" labelStyle={fieldLabelStyle}>
+                <select style={handSelect} value={penaltyReason} onChange={(e) => setPenaltyReason(e.target.value)}>
+                  {Object.values(PENALTY_REASONS).map((r) => (
+                    <option key={r.id} value={r.id}>
+                      {r.label}
+                    </option>
+                  ))}
+                </select>
+              </Field>
+              <Field label="Note" labelStyle={fieldLabelStyle}>
+                <input
+                  style={handInput}
+                  value={penaltyNote}
+                  onChange={(e) => setPenaltyNote(e.target.value)}
+                  placeholder="Optional"
+                />
+              </Field>
+            </div>
+            <div style={{ marginTop: 10, display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+              <button
+                style={{ ...styles.btnDanger, ...(penaltyOffender ? {} : styles.disabled) }}
+                onClick={async () => {
+                  if (!penaltyOffender) return;
+                  await onPenaltyHand?.({ offenderPlayerId: penaltyOffender, reason: penaltyReason, note: penaltyNote });
+                  setPenaltyOpen(false);
+                  setPenaltyOffender("");
+                  setPenaltyNote("");
+                }}
+                disabled={!penaltyOffender}
+              >
+                Record Penalty
+              </button>
+              <button style={styles.btnSecondary} onClick={() => setPenaltyOpen(false)}>
+                Cancel
+              </button>
+              {penaltyPreview ? (
+                <span style={styles.small}>
+                  {penaltyPreview.scoreA > 0 ? ta : tb} receives{" "}
+                  <b style={{ color: "#e5e7eb" }}>{Math.max(penaltyPreview.scoreA, penaltyPreview.scoreB)}</b> pts
+                </span>
+              ) : null}
+            </div>
+          </div>
+        ) : null}
+        </fieldset>
       </div>
 
       <div style={{ marginTop: 14 }}>
@@ -5939,20 +9267,24 @@ function TableMatchPanel({
             {[...(match.hands || [])].sort((a, b) => b.idx - a.idx).map((h) => {
               const ds = h.draftSnapshot || {};
               const announceParts = [
-                [ds.announceA1PlayerName || playerById.get(ds.announceA1PlayerId)?.name || ta, ds.announceA1],
-                [ds.announceA2PlayerName || playerById.get(ds.announceA2PlayerId)?.name || ta, ds.announceA2],
-                [ds.announceB1PlayerName || playerById.get(ds.announceB1PlayerId)?.name || tb, ds.announceB1],
-                [ds.announceB2PlayerName || playerById.get(ds.announceB2PlayerId)?.name || tb, ds.announceB2],
+                ["A1", ta],
+                ["A2", ta],
+                ["B1", tb],
+                ["B2", tb],
               ]
-                .filter(([, pts]) => (Number(pts) || 0) > 0)
-                .map(([name, pts]) => `${name}: ${pts}`);
+                .map(([slot, teamName]) => [
+                  ds[`announce${slot}PlayerName`] || playerById.get(ds[`announce${slot}PlayerId`])?.name || teamName,
+                  getAnnounceTypes(ds, slot),
+                ])
+                .filter(([, types]) => types.length > 0)
+                .map(([name, types]) => `${name}: ${formatAnnounceTypes(types)}`);
 
               return (
                 <div
                   key={h.idx}
                   style={{
-                    border: "1px solid rgba(148,163,184,0.16)",
-                    background: bg,
+                    border: ds.penalty ? "1px solid rgba(244,63,94,0.45)" : "1px solid rgba(148,163,184,0.16)",
+                    background: ds.penalty ? "rgba(244,63,94,0.08)" : bg,
                     borderRadius: 16,
                     padding: 12,
                     display: "flex",
@@ -5991,6 +9323,15 @@ function TableMatchPanel({
                             Score Edited
                           </span>
                         ) : null}
+
+                        {ds.penalty ? <StatusBadge tone="danger">Penalty</StatusBadge> : null}
+                        {ds.playLog?.tricks?.length ? <StatusBadge tone="info">Played out</StatusBadge> : null}
+                        {ds.litige ? <StatusBadge tone="warning">Litige • {ds.litigeEscrow} pts held</StatusBadge> : null}
+                        {h.escrowPayoutA > 0 || h.escrowPayoutB > 0 ? (
+                          <StatusBadge tone="success">
+                            +{h.escrowPayoutA || h.escrowPayoutB} litige pts to {h.escrowPayoutA > 0 ? ta : tb}
+                          </StatusBadge>
+                        ) : null}
                       </div>
 
                       <div
@@ -6003,10 +9344,20 @@ function TableMatchPanel({
 >
   {ds.skippedHand ? (
     <>Skipped hand • No points awarded</>
+  ) : ds.penalty ? (
+    <>
+      {PENALTY_REASONS[ds.penaltyReason]?.label || "Penalty"} by{" "}
+      <span style={{ color: "#e5e7eb" }}>
+        {ds.offenderName || playerById.get(ds.offenderPlayerId)?.name || "?"} ({ds.offenderSide === "A" ? ta : tb})
+      </span>
+      {ds.penaltyNote ? ` • ${ds.penaltyNote}` : ""}
+    </>
   ) : (
     <>
-      Bid {ds.bid} <SuitIcon suit={ds.suit || "S"} /> • Bidder {ds.bidder === "A" ? ta : tb} • {ds.coincheLevel}
-      {ds.capot ? " • Capot Made" : ""} • Bidder tricks {ds.bidderTrickPoints} • Non-bidder tricks{" "}
+      {ds.generale ? `Générale by ${ds.generalePlayerName || "?"}` : `Bid ${ds.bid}`} <SuitIcon suit={ds.suit || "S"} /> • Bidder{" "}
+      {ds.bidder === "A" ? ta : tb} • {ds.coincheLevel}
+      {ds.capot ? " • Capot Made" : ""}
+      {ds.generale ? (ds.generaleMade ? " • Générale Made" : " • Générale Failed") : ""} • Bidder tricks {ds.bidderTrickPoints} • Non-bidder tricks{" "}
       {ds.nonBidderTrickPoints !== "" && ds.nonBidderTrickPoints !== undefined
         ? ds.nonBidderTrickPoints
         : clamp(162 - (Number(ds.bidderTrickPoints) || 0), 0, 162)}
@@ -6024,7 +9375,10 @@ function TableMatchPanel({
       color: "#cbd5e1",
     }}
   >
-    Belote Made: <span style={{ color: "#e5e7eb" }}>{ds.beloteTeam === "A" ? ta : tb}</span>
+    Belote Made:{" "}
+    <span style={{ color: "#e5e7eb" }}>
+      {ds.belotePlayerName ? `${ds.belotePlayerName} (${ds.beloteTeam === "A" ? ta : tb})` : ds.beloteTeam === "A" ? ta : tb}
+    </span>
   </div>
 ) : null}
 
@@ -6039,6 +9393,35 @@ function TableMatchPanel({
     }}
   >
     Announces entered: <span style={{ color: "#e5e7eb" }}>{announceParts.join(" • ")}</span>
+    {ds.announceScoringSide ? (
+      <>
+        {" "}
+        → scored by{" "}
+        <span style={{ color: "#e5e7eb" }}>
+          {ds.announceScoringSide === "A" ? ta : ds.announceScoringSide === "B" ? tb : "nobody"}
+        </span>
+      </>
+    ) : null}
+  </div>
+) : null}
+
+{Array.isArray(ds.auction) && ds.auction.length ? (
+  <div
+    style={{
+      marginTop: 6,
+      ...styles.small,
+      fontSize: 14,
+      lineHeight: 1.45,
+      color: "#cbd5e1",
+    }}
+  >
+    Auction:{" "}
+    {ds.auction.map((call, i) => (
+      <React.Fragment key={i}>
+        {i > 0 ? " → " : ""}
+        <span style={{ color: "#e5e7eb" }}>{playerById.get(call.playerId)?.name || "?"}</span> {formatAuctionCall(call)}
+      </React.Fragment>
+    ))}
   </div>
 ) : null}
 
@@ -6178,9 +9561,11 @@ function TableMatchPanel({
                               Edit Score
                             </button>
 
-                            <button style={styles.btnSecondary} onClick={() => onStartEditHand(h.idx)}>
-                              Edit Hand
-                            </button>
+                            {!ds.penalty && (
+                              <button style={styles.btnSecondary} onClick={() => onStartEditHand(h.idx)}>
+                                Edit Hand
+                              </button>
+                            )}
                           </>
                         )}
                       </>
@@ -6263,11 +9648,21 @@ class TableErrorBoundary extends React.Component {
   }
 }
 
-function Field({ label, labelStyle, children }) {
+function Field({ label, labelStyle, children, issue }) {
   return (
     <div>
       <div style={labelStyle}>{label}</div>
       {children}
+      <FieldIssue issue={issue} />
+    </div>
+  );
+}
+
+function FieldIssue({ issue }) {
+  if (!issue) return null;
+  return (
+    <div style={{ marginTop: 4, fontSize: 13, fontWeight: 800, color: issue.level === "error" ? "#fb7185" : "#fbbf24" }}>
+      {issue.message}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,205 @@
+// src/outbox.js
+// Durable queue of match writes from the table view. Every write is stored in
+// localStorage before it is sent, and entries are replayed oldest first, so a
+// scorer can keep entering hands offline and nothing is lost on a reload.
+//
+// entry: { id, tournamentId, matchId, matchRow, handRows, handIds, attempts, nextAttemptAt, lastError, conflict, rejected }
+//   handIds:  hand row ids changed since the match was last saved (for the badge)
+//   conflict: set when the server rejected the write as stale; the entry then
+//             waits for the scorer to resolve it (see save_match_bundle)
+//   rejected: set when the server refused the write for another reason (a
+//             policy, a constraint ...); the entry waits until it is resent or
+//             discarded
+
+const OUTBOX_KEY = "coinche_outbox_v1";
+export const OUTBOX_CHANGED_EVENT = "coinche_outbox_changed";
+// SQLSTATE raised by save_match_bundle when matchRow.version is stale.
+export const CONFLICT_CODE = "PT409";
+
+const MAX_RETRY_DELAY_MS = 60000;
+
+let pushEntry = null;
+let refreshAuth = null;
+let flushing = false;
+let retryTimer = null;
+
+export function readOutbox() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(OUTBOX_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeOutbox(entries, detail = {}) {
+  try {
+    window.localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+  } catch (err) {
+    console.error("Failed to persist the outbox:", err);
+  }
+  window.dispatchEvent(new CustomEvent(OUTBOX_CHANGED_EVENT, { detail: { pending: entries.length, ...detail } }));
+}
+
+// 2s, 4s, 8s ... capped at a minute.
+export const retryDelayMs = (attempts) => Math.min(MAX_RETRY_DELAY_MS, 2000 * 2 ** Math.max(0, attempts - 1));
+
+// Rows that are new, edited or gone between two lists of rows with an `id`.
+export function changedRowIds(prevRows, nextRows) {
+  const prevById = new Map((prevRows || []).map((r) => [r.id, JSON.stringify(r)]));
+  const nextIds = new Set((nextRows || []).map((r) => r.id));
+  return [
+    ...(nextRows || []).filter((r) => prevById.get(r.id) !== JSON.stringify(r)).map((r) => r.id),
+    ...[...prevById.keys()].filter((id) => !nextIds.has(id)),
+  ];
+}
+
+// Each entry carries the whole match, so a newer write for the same match
+// replaces the pending one in place, keeping its unsynced hands and backoff.
+// A conflict or rejection is cleared: the new write is what the scorer chose to
+// keep, and it is sent again.
+export function enqueueMatchBundle({ tournamentId, matchId, matchRow, handRows, handIds = [] }) {
+  const entries = readOutbox();
+  const idx = entries.findIndex((e) => e.matchId === matchId && e.tournamentId === tournamentId);
+  const previous = idx >= 0 ? entries[idx] : null;
+  const entry = {
+    id: `outbox_${Date.now().toString(16)}_${Math.random().toString(16).slice(2)}`,
+    tournamentId,
+    matchId,
+    matchRow,
+    handRows,
+    handIds: [...new Set([...(previous?.handIds || []), ...handIds])],
+    attempts: previous?.attempts || 0,
+    nextAttemptAt: previous?.nextAttemptAt || 0,
+    lastError: previous?.lastError || null,
+  };
+  writeOutbox(idx >= 0 ? entries.map((e, i) => (i === idx ? entry : e)) : [...entries, entry]);
+}
+
+export function discardMatchBundle(tournamentId, matchId) {
+  writeOutbox(readOutbox().filter((e) => !(e.matchId === matchId && e.tournamentId === tournamentId)));
+}
+
+export function resendMatchBundle(tournamentId, matchId) {
+  writeOutbox(
+    readOutbox().map((e) =>
+      e.matchId === matchId && e.tournamentId === tournamentId ? { ...e, rejected: null, attempts: 0, nextAttemptAt: 0 } : e
+    )
+  );
+  void flushOutbox({ force: true });
+}
+
+export const unsyncedHandCount = (entries, matchId) =>
+  (entries || []).filter((e) => !matchId || e.matchId === matchId).reduce((acc, e) => acc + e.handIds.length, 0);
+
+// Latest pending entry per match of a tournament.
+export function pendingMatchBundles(tournamentId) {
+  return new Map(readOutbox().filter((e) => e.tournamentId === tournamentId).map((e) => [e.matchId, e]));
+}
+
+// PostgREST codes for an expired, invalid or incomplete JWT.
+const AUTH_CODES = new Set(["PGRST301", "PGRST302", "PGRST303"]);
+const isAuthError = (err) => AUTH_CODES.has(err?.code);
+
+// Network failures carry no code. Postgres classes 08 (connection), 40
+// (serialization, deadlock) and 53 (resources) and a statement timeout are
+// about the moment, not the write. Anything else (RLS, constraint ...) would
+// fail the same way again.
+const isRetryable = (err) => {
+  const code = String(err?.code || "");
+  return !code || isAuthError(err) || ["08", "40", "53"].includes(code.slice(0, 2)) || code === "57014";
+};
+
+function scheduleRetry(delay) {
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => void flushOutbox(), delay);
+}
+
+// Sends entries oldest first and stops at the first one that fails, so writes
+// always land in the order they were made. `force` ignores the backoff, e.g.
+// when the browser reports the connection is back. Entries in conflict or
+// rejected are skipped; there is only ever one entry per match, so nothing
+// overtakes them.
+export async function flushOutbox({ force = false } = {}) {
+  if (!pushEntry || flushing) return;
+  flushing = true;
+  let authRefreshed = false;
+  try {
+    for (;;) {
+      const entry = readOutbox().find((e) => !e.conflict && !e.rejected);
+      if (!entry) return;
+      if (!force && entry.nextAttemptAt > Date.now()) {
+        scheduleRetry(entry.nextAttemptAt - Date.now());
+        return;
+      }
+
+      try {
+        const version = await pushEntry(entry);
+        // A newer write for this match may have replaced the entry meanwhile;
+        // it was built on the version just replaced, so move it onto the new one.
+        writeOutbox(
+          readOutbox()
+            .filter((e) => e.id !== entry.id)
+            .map((e) =>
+              e.matchId === entry.matchId && Number.isInteger(version) && e.matchRow.version === entry.matchRow.version
+                ? { ...e, matchRow: { ...e.matchRow, version } }
+                : e
+            ),
+          { synced: entry, version }
+        );
+      } catch (err) {
+        const message = err?.message || "Unknown error";
+        if (err?.code === CONFLICT_CODE) {
+          writeOutbox(
+            readOutbox().map((e) => (e.id === entry.id ? { ...e, conflict: message } : e)),
+            { conflict: entry, error: message }
+          );
+          continue;
+        }
+        // An expired session is refreshed once per flush and the entry sent again.
+        if (isAuthError(err) && refreshAuth && !authRefreshed) {
+          authRefreshed = true;
+          try {
+            await refreshAuth();
+            continue;
+          } catch (authErr) {
+            console.error("Failed to refresh the session:", authErr);
+          }
+        }
+        if (!isRetryable(err)) {
+          writeOutbox(
+            readOutbox().map((e) => (e.id === entry.id ? { ...e, rejected: message, lastError: message } : e)),
+            { rejected: entry, error: message }
+          );
+          continue;
+        }
+        const attempts = entry.attempts + 1;
+        const nextAttemptAt = Date.now() + retryDelayMs(attempts);
+        writeOutbox(
+          readOutbox().map((e) => (e.id === entry.id ? { ...e, attempts, nextAttemptAt, lastError: message } : e)),
+          { error: message }
+        );
+        scheduleRetry(nextAttemptAt - Date.now());
+        return;
+      }
+    }
+  } finally {
+    flushing = false;
+  }
+}
+
+// push(entry) writes one entry to the server, resolves to the match's new
+// version and throws on failure. onAuthError() refreshes the session.
+export function startOutbox(push, { onAuthError = null } = {}) {
+  pushEntry = push;
+  refreshAuth = onAuthError;
+  const onOnline = () => void flushOutbox({ force: true });
+  window.addEventListener("online", onOnline);
+  void flushOutbox({ force: true });
+  return () => {
+    window.removeEventListener("online", onOnline);
+    clearTimeout(retryTimer);
+    pushEntry = null;
+    refreshAuth = null;
+  };
+}
@@ -0,0 +1,139 @@
+// src/scoring/auction.js
+// Bidding auction rules. An auction is the ordered list of calls; whose turn it
+// is and the final contract are always replayed from that list.
+import { CONTRACT_SUITS, getRuleProfile } from "./coinche.js";
+
+export const AUCTION_CALLS = {
+  PASS: { id: "PASS", label: "Pass" },
+  BID: { id: "BID", label: "Bid" },
+  COINCHE: { id: "COINCHE", label: "Coinche" },
+  SURCOINCHE: { id: "SURCOINCHE", label: "Surcoinche" },
+};
+
+export const BID_STEP = 10;
+export const MAX_POINT_BID = 160;
+export const CAPOT_BID = 250;
+
+export function legalBidValues(ruleProfile) {
+  const { minBid } = getRuleProfile(ruleProfile).minimumContract;
+  const out = [];
+  for (let v = minBid; v <= MAX_POINT_BID; v += BID_STEP) out.push(v);
+  out.push(CAPOT_BID);
+  return out;
+}
+
+// Bidding starts with the seat after the dealer in tableOrderPlayerIds, which
+// is also the direction the deal rotates.
+export function auctionSeats(tableOrderPlayerIds, dealerPlayerId) {
+  const order = tableOrderPlayerIds || [];
+  const dealerIdx = order.indexOf(dealerPlayerId);
+  if (order.length !== 4 || dealerIdx < 0) return [];
+  return [1, 2, 3, 4].map((n) => order[(dealerIdx + n) % 4]);
+}
+
+function emptyState() {
+  return {
+    turn: 0,
+    highest: null,
+    coincheLevel: "NONE",
+    passesInRow: 0,
+    finished: false,
+  };
+}
+
+// Returns an error message, or null when the call is legal.
+function checkCall(state, call, { seats, sideByPlayerId, bidValues }) {
+  if (state.finished) return "The auction is already over.";
+  if (call.playerId !== seats[state.turn % seats.length]) return "It is not this player's turn.";
+
+  const side = sideByPlayerId[call.playerId];
+  const highest = state.highest;
+
+  if (call.type === "PASS") return null;
+
+  if (call.type === "BID") {
+    if (state.coincheLevel !== "NONE") return "No more bids once the contract is coinched.";
+    if (!bidValues.includes(Number(call.bid))) return `${call.bid} is not a legal bid.`;
+    if (highest && Number(call.bid) <= highest.bid) return `Bid must be higher than ${highest.bid}.`;
+    if (!CONTRACT_SUITS[call.suit]) return "Pick a suit for the bid.";
+    return null;
+  }
+
+  if (call.type === "COINCHE") {
+    if (!highest) return "There is no bid to coinche.";
+    if (state.coincheLevel !== "NONE") return "The contract is already coinched.";
+    if (highest.side === side) return "You cannot coinche your own team's bid.";
+    return null;
+  }
+
+  if (call.type === "SURCOINCHE") {
+    if (state.coincheLevel !== "COINCHE") return "Only a coinched contract can be surcoinched.";
+    if (highest.side !== side) return "Only the bidding team can surcoinche.";
+    return null;
+  }
+
+  return "Unknown call.";
+}
+
+function applyCall(state, call, side) {
+  const next = { ...state, turn: state.turn + 1 };
+
+  if (call.type === "PASS") {
+    next.passesInRow += 1;
+    // Three passes after a bid close the auction; four passes throw the hand in.
+    if ((state.highest && next.passesInRow >= 3) || next.passesInRow >= 4) next.finished = true;
+    return next;
+  }
+
+  next.passesInRow = 0;
+  if (call.type === "BID") {
+    next.highest = { bid: Number(call.bid), suit: call.suit, side, playerId: call.playerId };
+  } else if (call.type === "COINCHE") {
+    next.coincheLevel = "COINCHE";
+  } else if (call.type === "SURCOINCHE") {
+    next.coincheLevel = "SURCOINCHE";
+    next.finished = true;
+  }
+  return next;
+}
+
+// Replays calls in order and stops at the first illegal one.
+// ctx: { seats, sideByPlayerId, ruleProfile }
+export function replayAuction(calls, ctx) {
+  const bidValues = legalBidValues(ctx.ruleProfile);
+  let state = emptyState();
+
+  for (let i = 0; i < (calls || []).length; i++) {
+    const call = calls[i];
+    const error = checkCall(state, call, { ...ctx, bidValues });
+    if (error) return { ...summarize(state, ctx), error, errorAt: i };
+    state = applyCall(state, call, ctx.sideByPlayerId[call.playerId]);
+  }
+
+  return { ...summarize(state, ctx), error: null, errorAt: null };
+}
+
+function summarize(state, { seats }) {
+  const h = state.highest;
+  return {
+    finished: state.finished,
+    allPassed: state.finished && !h,
+    nextPlayerId: state.finished ? "" : seats[state.turn % seats.length] || "",
+    highest: h,
+    coincheLevel: state.coincheLevel,
+    contract: h
+      ? {
+          bidder: h.side,
+          bidderPlayerId: h.playerId,
+          bid: h.bid,
+          suit: h.suit,
+          coincheLevel: state.coincheLevel,
+        }
+      : null,
+  };
+}
+
+// Whether a call would be accepted right now, without recording it.
+export function isLegalCall(calls, call, ctx) {
+  return !replayAuction([...(calls || []), call], ctx).error;
+}
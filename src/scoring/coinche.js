@@ -1,161 +1,533 @@
 // src/scoring/coinche.js
+// Shared scoring engine: used by the app (hand entry + stats) and by the scan API.
 export const TARGET_SCORE = 2000;
 
 export function clamp(n, a, b) {
   return Math.max(a, Math.min(b, n));
 }
 
-// Rounds like your current code:
-// 125 -> 120 (ending in 5 rounds down), 126 -> 130
-export function roundTrickPoints(x) {
+/* =========================
+   Rule profiles
+========================= */
+
+// rounding:
+//   HOUSE   -> 125 -> 120 (ending in 5 rounds down), 126 -> 130
+//   NEAREST -> 125 -> 130 (ending in 5 rounds up)
+//   NONE    -> points are scored exactly as made
+// failurePoints: what the winning side takes for the tricks when the bidder
+//   goes down or a coinche is settled (160 "rounded", 162 "points faits").
+// beloteOnCapot:
+//   CAPOT_TEAM -> the capot team collects every belote on the table
+//   DECLARER   -> belote always stays with the team that declared it
+// minimumContract: smallest legal bid, and the trick points the bidder must make
+//   (floor) or make with their own belote (floorWithBelote).
+// contractMultipliers: how much the bid is worth per contract type when scored.
+// generalePoints: contract value of a générale (one player takes every trick).
+export const RULE_PROFILES = {
+  CLUB: {
+    id: "CLUB",
+    label: "Club house rules",
+    rounding: "HOUSE",
+    failurePoints: 160,
+    beloteOnCapot: "CAPOT_TEAM",
+    minimumContract: { minBid: 80, floor: 81, floorWithBelote: 71 },
+    contractMultipliers: { SUIT: 1, SA: 2, TA: 2 },
+    generalePoints: 500,
+  },
+  FFB: {
+    id: "FFB",
+    label: "FFB official",
+    rounding: "NEAREST",
+    failurePoints: 160,
+    beloteOnCapot: "DECLARER",
+    minimumContract: { minBid: 80, floor: 82, floorWithBelote: 72 },
+    contractMultipliers: { SUIT: 1, SA: 1, TA: 1 },
+    generalePoints: 500,
+  },
+  POINTS_FAITS: {
+    id: "POINTS_FAITS",
+    label: "Points faits",
+    rounding: "NONE",
+    failurePoints: 162,
+    beloteOnCapot: "DECLARER",
+    minimumContract: { minBid: 80, floor: 82, floorWithBelote: 72 },
+    contractMultipliers: { SUIT: 1, SA: 1, TA: 1 },
+    generalePoints: 500,
+  },
+};
+
+export const DEFAULT_RULE_PROFILE_ID = "CLUB";
+
+export function getRuleProfile(profileOrId) {
+  if (profileOrId && typeof profileOrId === "object") return profileOrId;
+  return RULE_PROFILES[profileOrId] || RULE_PROFILES[DEFAULT_RULE_PROFILE_ID];
+}
+
+/* =========================
+   Contracts
+========================= */
+
+// SA (sans atout) has no trump at all; TA (tout atout) makes every suit trump.
+export const CONTRACT_SUITS = {
+  H: { id: "H", label: "Hearts", type: "SUIT" },
+  D: { id: "D", label: "Diamonds", type: "SUIT" },
+  C: { id: "C", label: "Clubs", type: "SUIT" },
+  S: { id: "S", label: "Spades", type: "SUIT" },
+  SA: { id: "SA", label: "Sans atout", type: "SA" },
+  TA: { id: "TA", label: "Tout atout", type: "TA" },
+};
+
+export function getContractType(suit) {
+  return CONTRACT_SUITS[suit]?.type || "SUIT";
+}
+
+/* =========================
+   Trick points
+========================= */
+
+export function roundTrickPoints(x, rounding = "HOUSE") {
   if (x == null) return 0;
-  const n = Math.max(0, Math.min(162, Number(x) || 0));
+  const n = clamp(Number(x) || 0, 0, 162);
+  if (rounding === "NONE") return n;
+  if (rounding === "NEAREST") return Math.round(n / 10) * 10;
   return Math.floor((n + 4) / 10) * 10;
 }
 
-/**
- * Matches your current "Fast Mode" scoring logic in App.jsx.
- */
-export function computeFastCoincheHandScore({
-  bidder,          // "A"|"B"
-  bid,             // number
-  suit,            // "S"|"H"|"D"|"C" (not used for math)
-  coincheLevel,    // "NONE"|"COINCHE"|"SURCOINCHE"
-  capot,           // boolean
-  bidderTrickPoints, // 0..162 raw
-  announceA,       // non-belote announces total A
-  announceB,       // non-belote announces total B
-  beloteTeam,      // "NONE"|"A"|"B"
-}) {
-  const BIDDER_IS_A = bidder === "A";
-  const bidVal = Number(bid) || 0;
+export function roundTrickPointsPair(rawBidderPoints, rounding = "HOUSE") {
+  const bidderRaw = clamp(Number(rawBidderPoints) || 0, 0, 162);
+  const oppRaw = 162 - bidderRaw;
+  const bidderRounded = roundTrickPoints(bidderRaw, rounding);
 
-  const belotePts = beloteTeam === "NONE" ? 0 : 20;
-  const beloteA = beloteTeam === "A" ? 20 : 0;
-  const beloteB = beloteTeam === "B" ? 20 : 0;
+  // Rounding both sides up would hand out more than the deck (125/37 -> 130/40),
+  // so the defence takes what is left of the 160.
+  if (rounding === "NEAREST") return { bidderRounded, oppRounded: 160 - bidderRounded };
 
-  const rawBidder = clamp(Number(bidderTrickPoints) || 0, 0, 162);
-  const rawOpp = 162 - rawBidder;
+  return {
+    bidderRounded,
+    oppRounded: roundTrickPoints(oppRaw, rounding),
+  };
+}
+
+// Card values used by the scan API to count a pile.
+// SA and TA tables are scaled so a full deck still totals 162 with the dix de der.
+export const CARD_POINTS = {
+  TRUMP: { J: 20, 9: 14, A: 11, "10": 10, K: 4, Q: 3, 8: 0, 7: 0 },
+  PLAIN: { A: 11, "10": 10, K: 4, Q: 3, J: 2, 9: 0, 8: 0, 7: 0 },
+  SA: { A: 19, "10": 10, K: 4, Q: 3, J: 2, 9: 0, 8: 0, 7: 0 },
+  TA: { J: 14, 9: 9, A: 6, "10": 5, K: 3, Q: 1, 8: 0, 7: 0 },
+};
+
+export function getCardPointsTable(cardSuit, trumpSuit) {
+  const contractType = getContractType(trumpSuit);
+  if (contractType !== "SUIT") return CARD_POINTS[contractType];
+  return cardSuit === trumpSuit ? CARD_POINTS.TRUMP : CARD_POINTS.PLAIN;
+}
+
+export function computeCardPoints(cards, trumpSuit, lastTrick) {
+  let total = 0;
+
+  for (const c of cards || []) {
+    total += getCardPointsTable(c.suit, trumpSuit)[c.rank] ?? 0;
+  }
+
+  if (lastTrick) total += 10;
+  return total;
+}
+
+/* =========================
+   Announces
+========================= */
 
-  const tricksBidder = roundTrickPoints(rawBidder);
-  const tricksOpp = roundTrickPoints(rawOpp);
+// rank orders announces of equal value: a carré beats a cent.
+export const ANNOUNCE_TYPES = {
+  TIERCE: { id: "TIERCE", label: "Tierce", points: 20, rank: 1 },
+  CINQUANTE: { id: "CINQUANTE", label: "Cinquante", points: 50, rank: 2 },
+  CENT: { id: "CENT", label: "Cent", points: 100, rank: 3 },
+  CARRE: { id: "CARRE", label: "Carré", points: 100, rank: 4 },
+  CARRE_9: { id: "CARRE_9", label: "Carré of nines", points: 150, rank: 5 },
+  CARRE_J: { id: "CARRE_J", label: "Carré of jacks", points: 200, rank: 6 },
+};
 
+export function isCarreAnnounce(type) {
+  return type === "CARRE" || type === "CARRE_9" || type === "CARRE_J";
+}
+
+export function sumAnnounceTypes(types) {
+  return (types || []).reduce((sum, t) => sum + (ANNOUNCE_TYPES[t]?.points || 0), 0);
+}
+
+function highestAnnounceRank(types) {
+  return (types || []).reduce((best, t) => Math.max(best, ANNOUNCE_TYPES[t]?.rank || 0), 0);
+}
+
+// Older hands only stored point totals; split them back into announce types.
+export function announceTypesFromPoints(points) {
+  let left = Math.max(0, Number(points) || 0);
+  const types = [];
+  for (const t of ["CARRE_J", "CARRE_9", "CENT", "CINQUANTE", "TIERCE"]) {
+    while (left >= ANNOUNCE_TYPES[t].points) {
+      types.push(t);
+      left -= ANNOUNCE_TYPES[t].points;
+    }
+  }
+  return types;
+}
+
+// Only the team holding the highest announce scores its announces.
+// A tie on the highest announce is settled at the table (sequence height,
+// trump), so the caller passes tieWinner: "A" | "B" | "NONE".
+export function resolveAnnounces({ typesA, typesB, tieWinner = "NONE" }) {
+  const rankA = highestAnnounceRank(typesA);
+  const rankB = highestAnnounceRank(typesB);
+  const tied = rankA > 0 && rankA === rankB;
+
+  let scoringSide = "NONE";
+  if (rankA > rankB) scoringSide = "A";
+  else if (rankB > rankA) scoringSide = "B";
+  else if (tied && (tieWinner === "A" || tieWinner === "B")) scoringSide = tieWinner;
+
+  return {
+    declaredA: sumAnnounceTypes(typesA),
+    declaredB: sumAnnounceTypes(typesB),
+    announceA: scoringSide === "A" ? sumAnnounceTypes(typesA) : 0,
+    announceB: scoringSide === "B" ? sumAnnounceTypes(typesB) : 0,
+    scoringSide,
+    tied,
+  };
+}
+
+/* =========================
+   Hand scoring
+========================= */
+
+export function computeContractRequirement(
+  { bid, bidder, announceA, announceB, beloteTeam },
+  ruleProfile
+) {
+  const { minimumContract } = getRuleProfile(ruleProfile);
+  const bidVal = Number(bid) || 0;
   const aAnn = Number(announceA) || 0;
   const bAnn = Number(announceB) || 0;
-  const bidderAnn = BIDDER_IS_A ? aAnn : bAnn;
 
-  // Rules from your doc:
-  // - Minimum 81
-  // - If bidder has belote, minimum becomes 71
-  // - If bid is 80, they must still make 81
   const bidderHasBelote =
-    (BIDDER_IS_A && beloteTeam === "A") || (!BIDDER_IS_A && beloteTeam === "B");
-  const baseMin = bidderHasBelote ? 71 : 81;
-  const special80 = bidVal === 80 ? 81 : 0;
+    (bidder === "A" && beloteTeam === "A") || (bidder === "B" && beloteTeam === "B");
+
+  const bidderAnnounces = bidder === "A" ? aAnn : bAnn;
+  const beloteReduction = bidderHasBelote ? 20 : 0;
+
+  // Announces can reduce the contract, but never below the profile floor.
+  // Belote is the only announce that can lower the floor itself.
+  const floor = bidderHasBelote ? minimumContract.floorWithBelote : minimumContract.floor;
+  const reduction = bidderAnnounces + beloteReduction;
+
+  return Math.max(floor, bidVal - reduction);
+}
 
-  // announces help reduce requirement, but not below baseMin
-  const announceHelp = bidderAnn + (bidderHasBelote ? 20 : 0);
-  const required = Math.max(baseMin, special80, bidVal - announceHelp);
+export function computeFastCoincheScore({
+  bidder,
+  bid,
+  suit,
+  coincheLevel,
+  capot,
+  generale = false,
+  generaleMade = false,
+  bidderTrickPoints,
+  announceA,
+  announceB,
+  beloteTeam,
+  ruleProfile,
+  litigeMode = false,
+}) {
+  const profile = getRuleProfile(ruleProfile);
+  const contractType = getContractType(suit);
+  const bidderIsA = bidder === "A";
+  const bidVal = Number(bid) || 0;
+  // The requirement is always the bid itself; only the scored value is multiplied.
+  const bidScore = bidVal * (profile.contractMultipliers?.[contractType] ?? 1);
 
-  const bidderSucceeded = capot ? true : rawBidder >= required;
+  const aAnn = Number(announceA) || 0;
+  const bAnn = Number(announceB) || 0;
 
+  // No trump, no belote.
+  if (contractType === "SA") beloteTeam = "NONE";
+  const beloteA = beloteTeam === "A" ? 20 : 0;
+  const beloteB = beloteTeam === "B" ? 20 : 0;
+
+  const rawBidder = clamp(Number(bidderTrickPoints) || 0, 0, 162);
+  const { bidderRounded, oppRounded } = roundTrickPointsPair(rawBidder, profile.rounding);
+
+  const required = computeContractRequirement(
+    { bid: bidVal, bidder, announceA: aAnn, announceB: bAnn, beloteTeam },
+    profile
+  );
+
+  const bidderSucceeded = rawBidder >= required;
+  const isCoinche = coincheLevel === "COINCHE" || coincheLevel === "SURCOINCHE";
   const mult =
     coincheLevel === "SURCOINCHE" ? 4 : coincheLevel === "COINCHE" ? 2 : 1;
-  const isCoinche = coincheLevel !== "NONE";
 
   let scoreA = 0;
   let scoreB = 0;
 
+  // Générale: the bid is the whole contract, win or lose. Every announce goes
+  // to the side that takes it; belote stays with whoever declared it.
+  if (generale) {
+    const pot = mult * (profile.generalePoints || 0) + aAnn + bAnn;
+    const bidderWins = Boolean(generaleMade);
+    const winnerIsA = bidderWins === bidderIsA;
+    scoreA = (winnerIsA ? pot : 0) + beloteA;
+    scoreB = (winnerIsA ? 0 : pot) + beloteB;
+    return { scoreA, scoreB, bidderSucceeded: bidderWins };
+  }
+
   if (capot) {
-    // Capot: winner gets 250 + all announces (incl belote) + bid, loser 0
-    const winnerGets = 250 + aAnn + bAnn + belotePts + bidVal;
-    if (BIDDER_IS_A) {
-      scoreA = winnerGets;
-      scoreB = 0;
+    const capotBelote =
+      profile.beloteOnCapot === "CAPOT_TEAM"
+        ? { A: bidderIsA ? beloteA + beloteB : 0, B: bidderIsA ? 0 : beloteA + beloteB }
+        : { A: beloteA, B: beloteB };
+    const winnerTotal = 250 + bidScore + aAnn + bAnn;
+    if (bidderIsA) {
+      scoreA = winnerTotal + capotBelote.A;
+      scoreB = capotBelote.B;
     } else {
-      scoreB = winnerGets;
-      scoreA = 0;
+      scoreB = winnerTotal + capotBelote.B;
+      scoreA = capotBelote.A;
     }
     return { scoreA, scoreB, bidderSucceeded: true };
   }
 
   if (isCoinche) {
-    // Coinche/Surcoinche: winner gets 160 + (mult*bid) + all announces
-    // loser 0; belote stays with declaring team (unless capot)
-    const winnerNonBelote = 160 + mult * bidVal + (aAnn + bAnn);
+    const winnerTotal = profile.failurePoints + aAnn + bAnn + mult * bidScore;
 
     if (bidderSucceeded) {
-      if (BIDDER_IS_A) {
-        scoreA = winnerNonBelote + beloteA;
+      if (bidderIsA) {
+        scoreA = winnerTotal + beloteA;
         scoreB = beloteB;
       } else {
-        scoreB = winnerNonBelote + beloteB;
+        scoreB = winnerTotal + beloteB;
         scoreA = beloteA;
       }
     } else {
-      if (BIDDER_IS_A) {
-        scoreB = winnerNonBelote + beloteB;
+      if (bidderIsA) {
         scoreA = beloteA;
+        scoreB = winnerTotal + beloteB;
       } else {
-        scoreA = winnerNonBelote + beloteA;
         scoreB = beloteB;
+        scoreA = winnerTotal + beloteA;
       }
     }
+
     return { scoreA, scoreB, bidderSucceeded };
   }
 
-  // Normal scoring
+  // Litige: an 81/81 split on a contract asking for about half the deck, with
+  // belote and announces level too (a belote at 81 is 101 against 81). The
+  // defence scores its half now; the bidder's half waits in escrow.
+  const bidderExtras = bidderIsA ? aAnn + beloteA : bAnn + beloteB;
+  const defenceExtras = bidderIsA ? bAnn + beloteB : aAnn + beloteA;
+  if (litigeMode && rawBidder === 81 && bidderExtras === defenceExtras && required <= 82) {
+    const escrow = bidderRounded + bidScore + (bidderIsA ? aAnn : bAnn);
+    if (bidderIsA) {
+      scoreA = beloteA;
+      scoreB = oppRounded + bAnn + beloteB;
+    } else {
+      scoreB = beloteB;
+      scoreA = oppRounded + aAnn + beloteA;
+    }
+    return { scoreA, scoreB, bidderSucceeded: false, litige: true, escrow };
+  }
+
   if (bidderSucceeded) {
-    // bidder: rounded tricks + their announces + bid (+ belote)
-    // opp: rounded tricks + their announces (+ belote)
-    if (BIDDER_IS_A) {
-      scoreA = tricksBidder + aAnn + beloteA + bidVal;
-      scoreB = tricksOpp + bAnn + beloteB;
+    if (bidderIsA) {
+      scoreA = bidderRounded + aAnn + bidScore + beloteA;
+      scoreB = oppRounded + bAnn + beloteB;
     } else {
-      scoreB = tricksBidder + bAnn + beloteB + bidVal;
-      scoreA = tricksOpp + aAnn + beloteA;
+      scoreB = bidderRounded + bAnn + bidScore + beloteB;
+      scoreA = oppRounded + aAnn + beloteA;
     }
   } else {
-    // fail: bidder gets 0 but keeps belote; opponents get 160 + bid + announces (non-belote)
-    const oppGets = 160 + bidVal + (aAnn + bAnn);
-    if (BIDDER_IS_A) {
+    const stolenAnnounces = aAnn + bAnn;
+    if (bidderIsA) {
       scoreA = beloteA;
-      scoreB = oppGets + beloteB;
+      scoreB = profile.failurePoints + bidScore + stolenAnnounces + beloteB;
     } else {
       scoreB = beloteB;
-      scoreA = oppGets + beloteA;
+      scoreA = profile.failurePoints + bidScore + stolenAnnounces + beloteA;
     }
   }
 
   return { scoreA, scoreB, bidderSucceeded };
 }
 
-export function computeGameTotalsFromHands(hands) {
+export function computeGameTotalsFromHands(hands, { ruleProfile, targetScore = TARGET_SCORE } = {}) {
   let totalA = 0;
   let totalB = 0;
   let ended = false;
   let winnerSide = null;
 
   for (const h of hands) {
-    const res = computeFastCoincheHandScore({
+    const res = computeFastCoincheScore({
       bidder: h.bidder,
       bid: Number(h.bid) || 0,
       suit: h.suit,
       coincheLevel: h.coincheLevel,
-      capot: h.capot === "YES",
+      capot: h.capot === true || h.capot === "YES",
+      generale: Boolean(h.generale),
+      generaleMade: Boolean(h.generaleMade),
       bidderTrickPoints: Number(h.bidderTrickPoints) || 0,
       announceA: Number(h.announceA) || 0,
       announceB: Number(h.announceB) || 0,
       beloteTeam: h.beloteTeam,
+      ruleProfile: h.ruleProfile || ruleProfile,
     });
     totalA += res.scoreA;
     totalB += res.scoreB;
 
-    if (!ended && (totalA >= TARGET_SCORE || totalB >= TARGET_SCORE)) {
+    if (!ended && (totalA >= targetScore || totalB >= targetScore)) {
       ended = true;
-      winnerSide = totalA >= TARGET_SCORE ? "A" : "B";
+      winnerSide = totalA >= targetScore ? "A" : "B";
     }
   }
 
   return { totalA, totalB, ended, winnerSide };
 }
+
+/* =========================
+   Penalties
+========================= */
+
+export const PENALTY_REASONS = {
+  RENONCE: { id: "RENONCE", label: "Revoke (renonce)" },
+  MISDEAL: { id: "MISDEAL", label: "Misdeal" },
+  ILLEGAL_PLAY: { id: "ILLEGAL_PLAY", label: "Illegal play" },
+  OTHER: { id: "OTHER", label: "Other" },
+};
+
+export const defaultPenaltyRule = () => ({ points: 160, addBid: true });
+
+// The innocent team takes the whole penalty; the offenders score nothing.
+export function computePenaltyScore({ offenderSide, bid, penaltyRule }) {
+  const rule = { ...defaultPenaltyRule(), ...(penaltyRule || {}) };
+  const points = rule.points == null || rule.points === "" ? defaultPenaltyRule().points : Number(rule.points) || 0;
+  const award = Math.max(0, points) + (rule.addBid ? Number(bid) || 0 : 0);
+  return offenderSide === "A" ? { scoreA: 0, scoreB: award } : { scoreA: award, scoreB: 0 };
+}
+
+/* =========================
+   Litige escrow
+========================= */
+
+// Side that took a hand, or null when nobody did (skipped hand or litige).
+export function handWinnerSide(hand) {
+  const ds = hand?.draftSnapshot || {};
+  if (ds.skippedHand || ds.litige) return null;
+  if (ds.penalty) return ds.offenderSide === "A" ? "B" : "A";
+  if (ds.bidder === "A" || ds.bidder === "B") {
+    if (hand.bidderSucceeded) return ds.bidder;
+    return ds.bidder === "A" ? "B" : "A";
+  }
+  const a = Number(hand?.scoreA) || 0;
+  const b = Number(hand?.scoreB) || 0;
+  return a === b ? null : a > b ? "A" : "B";
+}
+
+// Replays litige escrow in hand order. Each litige hand adds its escrow to the
+// pot; the next hand somebody wins collects all of it. Whatever is still in
+// the pot after the last hand is returned as pending.
+export function applyLitigeEscrow(hands) {
+  let pot = 0;
+  const out = (hands || []).map((h) => {
+    const ds = h.draftSnapshot || {};
+    let escrowPayoutA = 0;
+    let escrowPayoutB = 0;
+
+    if (ds.litige) {
+      pot += Number(ds.litigeEscrow) || 0;
+    } else if (pot > 0) {
+      const side = handWinnerSide(h);
+      if (side === "A") escrowPayoutA = pot;
+      if (side === "B") escrowPayoutB = pot;
+      if (side) pot = 0;
+    }
+
+    return { ...h, escrowPayoutA, escrowPayoutB };
+  });
+
+  return { hands: out, pending: pot };
+}
+
+/* =========================
+   End conditions
+========================= */
+
+// TARGET              -> match ends on the hand where a team reaches targetScore
+// TARGET_FINISH_ROUND -> once a team reaches targetScore, play on until every
+//                        seat has dealt the same number of times
+// HANDS               -> match ends after handCount hands, highest total wins
+export const END_CONDITION_TYPES = {
+  TARGET: { id: "TARGET", label: "First to target" },
+  TARGET_FINISH_ROUND: { id: "TARGET_FINISH_ROUND", label: "First to target + finish the round" },
+  HANDS: { id: "HANDS", label: "Fixed number of hands" },
+};
+
+export const DEALS_PER_ROUND = 4;
+
+export const defaultEndCondition = () => ({
+  type: "TARGET",
+  targetScore: TARGET_SCORE,
+  handCount: 12,
+});
+
+// Later layers win; null/undefined fields fall through to the previous layer.
+export function resolveEndCondition(...layers) {
+  const out = defaultEndCondition();
+  for (const layer of layers) {
+    if (!layer || typeof layer !== "object") continue;
+    if (END_CONDITION_TYPES[layer.type]) out.type = layer.type;
+    if (Number(layer.targetScore) > 0) out.targetScore = Math.round(Number(layer.targetScore));
+    if (Number(layer.handCount) > 0) out.handCount = Math.round(Number(layer.handCount));
+  }
+  return out;
+}
+
+export function evaluateEndCondition(hands, condition) {
+  const rule = resolveEndCondition(condition);
+  let totalA = 0;
+  let totalB = 0;
+  let reachedAtHand = null;
+
+  (hands || []).forEach((h, i) => {
+    totalA += (Number(h.scoreA) || 0) + (Number(h.escrowPayoutA) || 0);
+    totalB += (Number(h.scoreB) || 0) + (Number(h.escrowPayoutB) || 0);
+    if (reachedAtHand === null && (totalA >= rule.targetScore || totalB >= rule.targetScore)) {
+      reachedAtHand = i + 1;
+    }
+  });
+
+  const handsPlayed = (hands || []).length;
+  let completed = false;
+
+  if (rule.type === "HANDS") {
+    completed = handsPlayed >= rule.handCount;
+  } else if (rule.type === "TARGET_FINISH_ROUND") {
+    // A tie at the end of the round keeps the match going for another round.
+    completed =
+      reachedAtHand !== null &&
+      handsPlayed % DEALS_PER_ROUND === 0 &&
+      totalA !== totalB;
+  } else {
+    completed = reachedAtHand !== null;
+  }
+
+  return { rule, totalA, totalB, handsPlayed, reachedAtHand, completed };
+}
+
+// Progress toward the end condition for one side, 0..100.
+export function endConditionProgressPct(rule, teamTotal, handsPlayed) {
+  const r = resolveEndCondition(rule);
+  const raw =
+    r.type === "HANDS"
+      ? (Number(handsPlayed) || 0) / Math.max(r.handCount, 1)
+      : (Number(teamTotal) || 0) / Math.max(r.targetScore, 1);
+  return Math.min(100, Math.round(raw * 100));
+}
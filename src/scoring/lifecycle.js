@@ -0,0 +1,55 @@
+// src/scoring/lifecycle.js
+// Tournament lifecycle, stored in tournaments.status:
+// draft -> registration -> running -> finished -> archived.
+// Finished and archived tournaments are read-only; archived ones only drop out
+// of the organiser's default list and stay browsable on the public view.
+
+export const TOURNAMENT_STATUSES = {
+  DRAFT: { id: "draft", label: "Draft" },
+  REGISTRATION: { id: "registration", label: "Registration open" },
+  RUNNING: { id: "running", label: "Running" },
+  FINISHED: { id: "finished", label: "Finished" },
+  ARCHIVED: { id: "archived", label: "Archived" },
+};
+
+const BY_ID = Object.fromEntries(Object.values(TOURNAMENT_STATUSES).map((s) => [s.id, s]));
+
+// Allowed moves from each status, with the label of the action that makes them.
+const TRANSITIONS = {
+  draft: [
+    { to: "registration", label: "Open registration" },
+    { to: "running", label: "Start tournament" },
+  ],
+  registration: [
+    { to: "running", label: "Start tournament" },
+    { to: "draft", label: "Back to draft" },
+  ],
+  running: [{ to: "finished", label: "Finish tournament" }],
+  finished: [
+    { to: "archived", label: "Archive" },
+    { to: "running", label: "Reopen" },
+  ],
+  archived: [{ to: "finished", label: "Unarchive" }],
+};
+
+// Tournaments created before the lifecycle existed are stored as "active".
+export function normalizeTournamentStatus(status) {
+  if (status === "active") return "running";
+  return BY_ID[status] ? status : "draft";
+}
+
+export const tournamentStatusLabel = (status) => BY_ID[normalizeTournamentStatus(status)].label;
+
+export const statusTransitions = (status) => TRANSITIONS[normalizeTournamentStatus(status)];
+
+export const canTransition = (from, to) => statusTransitions(from).some((t) => t.to === to);
+
+export function isTournamentReadOnly(status) {
+  const s = normalizeTournamentStatus(status);
+  return s === "finished" || s === "archived";
+}
+
+export const acceptsRegistrations = (status) => normalizeTournamentStatus(status) === "registration";
+
+// Drafts are not shown to the public.
+export const isPubliclyListed = (status) => normalizeTournamentStatus(status) !== "draft";
@@ -0,0 +1,369 @@
+// src/scoring/pairing.js
+// Round pairing for multi-round events. Pure functions over team ids and the
+// existing matches; the app turns the result into match rows.
+
+/* =========================
+   Helpers
+========================= */
+
+export const pairKey = (a, b) => [a, b].sort().join("|");
+
+// Every pairing already played (or scheduled), byes excluded.
+export function playedPairs(matches) {
+  const out = new Set();
+  for (const m of matches || []) {
+    if (m.bye || !m.teamAId || !m.teamBId) continue;
+    out.add(pairKey(m.teamAId, m.teamBId));
+  }
+  return out;
+}
+
+export function byeCounts(matches) {
+  const out = new Map();
+  for (const m of matches || []) {
+    if (!m.bye || !m.teamAId) continue;
+    out.set(m.teamAId, (out.get(m.teamAId) || 0) + 1);
+  }
+  return out;
+}
+
+/* =========================
+   Swiss system
+========================= */
+
+// Swiss rounds continue the tournament's round numbering.
+export function nextSwissRound(matches) {
+  return (matches || []).reduce((max, m) => Math.max(max, Number(m.round) || Number(m.swissRound) || 0), 0) + 1;
+}
+
+// The bye goes to the lowest-ranked team with the fewest byes so far.
+function pickBye(rankedIds, byes) {
+  if (rankedIds.length % 2 === 0) return null;
+  let best = null;
+  for (let i = rankedIds.length - 1; i >= 0; i--) {
+    const id = rankedIds[i];
+    if (best === null || (byes.get(id) || 0) < (byes.get(best) || 0)) best = id;
+  }
+  return best;
+}
+
+// Depth-first pairing in standings order: the top unpaired team meets the
+// highest-ranked opponent it has not played yet, backtracking on dead ends.
+// Gives up after `budget` steps so a hopeless field does not hang the UI.
+function pairWithoutRematches(ids, played, budget = 20000) {
+  let steps = 0;
+
+  const walk = (rest) => {
+    if (!rest.length) return [];
+    if (++steps > budget) return null;
+    const [top, ...others] = rest;
+    for (let i = 0; i < others.length; i++) {
+      if (played.has(pairKey(top, others[i]))) continue;
+      const tail = walk(others.filter((_, j) => j !== i));
+      if (tail) return [[top, others[i]], ...tail];
+    }
+    return null;
+  };
+
+  return walk(ids);
+}
+
+// Fallback: plain top-down pairing, preferring fresh opponents where it can.
+function pairGreedy(ids, played) {
+  const rest = [...ids];
+  const out = [];
+  while (rest.length > 1) {
+    const top = rest.shift();
+    let idx = rest.findIndex((id) => !played.has(pairKey(top, id)));
+    if (idx < 0) idx = 0;
+    out.push([top, rest.splice(idx, 1)[0]]);
+  }
+  return out;
+}
+
+// rankedIds: team ids in standings order (best first).
+// Returns { round, pairs: [{ teamAId, teamBId, rematch }], byeTeamId }.
+export function buildSwissPairings({ rankedIds, matches }) {
+  const played = playedPairs(matches);
+  const byeTeamId = pickBye(rankedIds, byeCounts(matches));
+  const ids = rankedIds.filter((id) => id !== byeTeamId);
+
+  const pairs = pairWithoutRematches(ids, played) || pairGreedy(ids, played);
+
+  return {
+    round: nextSwissRound(matches),
+    byeTeamId,
+    pairs: pairs.map(([teamAId, teamBId]) => ({
+      teamAId,
+      teamBId,
+      rematch: played.has(pairKey(teamAId, teamBId)),
+    })),
+  };
+}
+
+/* =========================
+   Round robin
+========================= */
+
+// Circle method: the first team stays put and everyone else rotates one seat per
+// round. An odd field gets a null "team" and whoever meets it sits out.
+export function roundRobinRounds(teamIds) {
+  const ids = [...teamIds];
+  if (ids.length % 2) ids.push(null);
+  const n = ids.length;
+  const rounds = [];
+
+  for (let r = 0; r < n - 1; r++) {
+    const games = [];
+    let byeTeamId = null;
+    for (let i = 0; i < n / 2; i++) {
+      let a = ids[i];
+      let b = ids[n - 1 - i];
+      // Alternate sides for the fixed team so it is not always team A.
+      if (i === 0 && r % 2) [a, b] = [b, a];
+      if (a === null || b === null) byeTeamId = a ?? b;
+      else games.push({ teamAId: a, teamBId: b });
+    }
+    rounds.push({ round: r + 1, games, byeTeamId });
+    ids.splice(1, 0, ids.pop());
+  }
+
+  return rounds;
+}
+
+// Spreads every round over the physical tables. A round with more games than
+// tables takes several match slots; table numbers rotate by round so teams move
+// around the room. matchOffset shifts numbering past already existing matches.
+export function buildRoundRobinSchedule(teamIds, tableCount, matchOffset = 0) {
+  const tables = Math.max(1, Math.floor(Number(tableCount) || 1));
+  const games = [];
+  const byes = [];
+  let matchNumber = matchOffset;
+
+  for (const { round, games: roundGames, byeTeamId } of roundRobinRounds(teamIds)) {
+    if (byeTeamId) byes.push({ round, teamId: byeTeamId });
+    for (let i = 0; i < roundGames.length; i++) {
+      const slotIdx = i % tables;
+      if (slotIdx === 0) matchNumber += 1;
+      const tableNumber = ((slotIdx + round - 1) % Math.min(tables, roundGames.length)) + 1;
+      games.push({ ...roundGames[i], round, matchNumber, tableNumber });
+    }
+  }
+
+  return { games, byes, matchCount: matchNumber - matchOffset };
+}
+
+/* =========================
+   Knockout brackets
+========================= */
+
+export const BRACKET_TYPES = {
+  SINGLE: { id: "SINGLE", label: "Single elimination" },
+  DOUBLE: { id: "DOUBLE", label: "Double elimination" },
+};
+
+// Standard seeding so the top seeds can only meet late: 1-8, 4-5, 2-7, 3-6...
+export function bracketSeedOrder(size) {
+  let seeds = [1];
+  while (seeds.length < size) {
+    const n = seeds.length * 2 + 1;
+    seeds = seeds.flatMap((s) => [s, n - s]);
+  }
+  return seeds;
+}
+
+function roundName(stage, round, size, double) {
+  if (stage === "F") return "Grand Final";
+  if (stage === "L") return `Losers Round ${round}`;
+  const left = size / 2 ** (round - 1);
+  if (left === 2) return double ? "Winners Final" : "Final";
+  if (left === 4) return "Semifinal";
+  if (left === 8) return "Quarterfinal";
+  return `Round of ${left}`;
+}
+
+// Builds the bracket as a graph of nodes whose two sides are either a seed or
+// the winner/loser of another node. Nodes left with a missing seed are byes and
+// are folded away, so only playable matches come out.
+// Returns [{ key, stage, round, slot, name, depth, sides: { A, B } }] in play
+// order, where a side is { seed } or { key, take: "winner" | "loser" }.
+export function buildBracketPlan(teamCount, type = "SINGLE") {
+  if (teamCount < 2) return [];
+  let size = 2;
+  while (size < teamCount) size *= 2;
+  const rounds = Math.log2(size);
+  const double = type === "DOUBLE" && size >= 4;
+
+  const nodes = new Map();
+  const add = (stage, round, slot, A, B) => nodes.set(`${stage}${round}-${slot}`, { stage, round, slot, A, B });
+  const ref = (stage, round, slot, take) => ({ key: `${stage}${round}-${slot}`, take });
+
+  const seeds = bracketSeedOrder(size);
+  for (let i = 0; i < size / 2; i++) add("W", 1, i, { seed: seeds[2 * i] }, { seed: seeds[2 * i + 1] });
+  for (let r = 2; r <= rounds; r++) {
+    for (let i = 0; i < size / 2 ** r; i++) {
+      add("W", r, i, ref("W", r - 1, 2 * i, "winner"), ref("W", r - 1, 2 * i + 1, "winner"));
+    }
+  }
+
+  if (double) {
+    for (let i = 0; i < size / 4; i++) add("L", 1, i, ref("W", 1, 2 * i, "loser"), ref("W", 1, 2 * i + 1, "loser"));
+    for (let j = 1; j < rounds; j++) {
+      // Even rounds take the losers dropping from the winners side, in reverse
+      // order so early opponents do not meet again straight away.
+      const count = size / 2 ** (j + 1);
+      for (let i = 0; i < count; i++) {
+        add("L", 2 * j, i, ref("L", 2 * j - 1, i, "winner"), ref("W", j + 1, count - 1 - i, "loser"));
+      }
+      if (j < rounds - 1) {
+        for (let i = 0; i < count / 2; i++) {
+          add("L", 2 * j + 1, i, ref("L", 2 * j, 2 * i, "winner"), ref("L", 2 * j, 2 * i + 1, "winner"));
+        }
+      }
+    }
+    add("F", 1, 0, ref("W", rounds, 0, "winner"), ref("L", 2 * (rounds - 1), 0, "winner"));
+  }
+
+  const BYE = { bye: true };
+  const memo = new Map();
+
+  // What a node hands on: its own winner/loser refs if it is played, or the
+  // single team passing through if it is a bye.
+  const settle = (key) => {
+    if (memo.has(key)) return memo.get(key);
+    const node = nodes.get(key);
+    const a = resolve(node.A);
+    const b = resolve(node.B);
+    let out;
+    if (a.bye && b.bye) out = { played: false, winner: BYE, loser: BYE, depth: 0 };
+    else if (a.bye || b.bye) out = { played: false, winner: a.bye ? b : a, loser: BYE, depth: Math.max(a.depth, b.depth) };
+    else {
+      out = {
+        played: true,
+        A: a,
+        B: b,
+        depth: Math.max(a.depth, b.depth) + 1,
+      };
+      out.winner = { key, take: "winner", depth: out.depth };
+      out.loser = { key, take: "loser", depth: out.depth };
+    }
+    memo.set(key, out);
+    return out;
+  };
+
+  const resolve = (src) => {
+    if (src.seed) return src.seed > teamCount ? BYE : { seed: src.seed, depth: 0 };
+    return settle(src.key)[src.take];
+  };
+
+  const stageOrder = { W: 0, L: 1, F: 2 };
+  const strip = ({ seed, key, take }) => (seed ? { seed } : { key, take });
+
+  return [...nodes.entries()]
+    .map(([key, node]) => ({ key, node, s: settle(key) }))
+    .filter(({ s }) => s.played)
+    .map(({ key, node, s }) => ({
+      key,
+      stage: node.stage,
+      round: node.round,
+      slot: node.slot,
+      name: roundName(node.stage, node.round, size, double),
+      depth: s.depth,
+      sides: { A: strip(s.A), B: strip(s.B) },
+    }))
+    .sort((x, y) => x.depth - y.depth || stageOrder[x.stage] - stageOrder[y.stage] || x.round - y.round || x.slot - y.slot);
+}
+
+const bracketSideTeam = (match, side) => (side === "A" ? match.teamAId : match.teamBId);
+
+// Fills bracket matches that have not started yet from the results they depend
+// on. Returns only the matches whose teams changed.
+export function advanceBracket(matches) {
+  const byId = new Map((matches || []).map((m) => [m.id, m]));
+  const fromSource = (src) => {
+    if (!src) return null;
+    if (src.teamId) return src.teamId;
+    const feeder = byId.get(src.matchId);
+    if (!feeder?.completed || !feeder.winnerId) return null;
+    if (src.take === "winner") return feeder.winnerId;
+    return feeder.winnerId === feeder.teamAId ? feeder.teamBId : feeder.teamAId;
+  };
+
+  const changed = [];
+  for (const m of matches || []) {
+    if (!m.bracket || (m.hands || []).length) continue;
+    const patch = {};
+    ["A", "B"].forEach((side) => {
+      const teamId = fromSource(m.bracket.sources?.[side]);
+      if (teamId && teamId !== bracketSideTeam(m, side)) patch[side === "A" ? "teamAId" : "teamBId"] = teamId;
+    });
+    if (Object.keys(patch).length) changed.push({ ...m, ...patch });
+  }
+  return changed;
+}
+
+/* =========================
+   Mêlée (individual) rounds
+========================= */
+
+function shuffled(arr) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// Every pair of players that already faced each other across a table.
+export function opponentPairs(matches, teamById) {
+  const out = new Set();
+  for (const m of matches || []) {
+    if (m.bye || !m.teamAId || !m.teamBId) continue;
+    const a = teamById.get(m.teamAId)?.playerIds || [];
+    const b = teamById.get(m.teamBId)?.playerIds || [];
+    a.forEach((x) => b.forEach((y) => out.add(pairKey(x, y))));
+  }
+  return out;
+}
+
+// Draws partners and tables for one round. Extra players (beyond a multiple of
+// four) sit out, preferring those who have sat out least. Each attempt is a
+// random draw scored by repeated partners (heavy) and repeated opponents
+// (light); the best of `attempts` wins.
+// Returns { tables: [[[p1, p2], [p3, p4]], ...], sitOut, repeatPartners, repeatOpponents }.
+export function drawMeleeRound({ playerIds, partnerHistory, opponentHistory, sitOutCounts, attempts = 200 }) {
+  const sitOutCount = playerIds.length % 4;
+  const bySitOuts = shuffled(playerIds).sort((a, b) => (sitOutCounts?.get(a) || 0) - (sitOutCounts?.get(b) || 0));
+  const sitOut = bySitOuts.slice(0, sitOutCount);
+  const playing = playerIds.filter((id) => !sitOut.includes(id));
+
+  let best = null;
+  for (let k = 0; k < attempts; k++) {
+    const order = shuffled(playing);
+    const tables = [];
+    let repeatPartners = 0;
+    let repeatOpponents = 0;
+
+    for (let i = 0; i + 3 < order.length; i += 4) {
+      const teamA = [order[i], order[i + 1]];
+      const teamB = [order[i + 2], order[i + 3]];
+      [teamA, teamB].forEach(([x, y]) => {
+        if (partnerHistory.has(pairKey(x, y))) repeatPartners += 1;
+      });
+      teamA.forEach((x) => teamB.forEach((y) => opponentHistory.has(pairKey(x, y)) && (repeatOpponents += 1)));
+      tables.push([teamA, teamB]);
+    }
+
+    const score = repeatPartners * 100 + repeatOpponents;
+    if (!best || score < best.score) best = { tables, repeatPartners, repeatOpponents, score };
+    if (score === 0) break;
+  }
+
+  return {
+    tables: best?.tables || [],
+    sitOut,
+    repeatPartners: best?.repeatPartners || 0,
+    repeatOpponents: best?.repeatOpponents || 0,
+  };
+}
@@ -0,0 +1,190 @@
+// src/scoring/play.js
+// Trick-by-trick card play. A play log is { firstLeaderPlayerId, tricks } where
+// each trick is the list of { playerId, rank, suit } in the order played.
+// Hands are never entered, so each card is checked against what the player can
+// still hold: the cards not yet played, minus those an earlier play showed they
+// do not have (no hearts after a discard on a heart lead, no higher trump after
+// an undertrump ...).
+import { computeCardPoints, getContractType } from "./coinche.js";
+
+export const PLAY_SUITS = ["H", "D", "C", "S"];
+export const PLAY_RANKS = ["7", "8", "9", "10", "J", "Q", "K", "A"];
+export const TRICKS_PER_HAND = 8;
+
+// Low to high.
+const TRUMP_ORDER = ["7", "8", "Q", "K", "10", "A", "9", "J"];
+const PLAIN_ORDER = ["7", "8", "9", "J", "Q", "K", "10", "A"];
+
+export const cardCode = (c) => `${c.rank}${c.suit}`;
+
+function isTrump(card, trumpSuit) {
+  const type = getContractType(trumpSuit);
+  if (type === "TA") return true;
+  if (type === "SA") return false;
+  return card.suit === trumpSuit;
+}
+
+function strength(card, trumpSuit) {
+  return (isTrump(card, trumpSuit) ? TRUMP_ORDER : PLAIN_ORDER).indexOf(card.rank);
+}
+
+// Whether card a beats card b, b being the card currently taking the trick.
+function beats(a, b, trumpSuit) {
+  const aTrump = getContractType(trumpSuit) === "SUIT" && isTrump(a, trumpSuit);
+  const bTrump = getContractType(trumpSuit) === "SUIT" && isTrump(b, trumpSuit);
+  if (aTrump !== bTrump) return aTrump;
+  if (a.suit !== b.suit) return false;
+  return strength(a, trumpSuit) > strength(b, trumpSuit);
+}
+
+export function trickWinnerIndex(cards, trumpSuit) {
+  let best = 0;
+  for (let i = 1; i < cards.length; i++) {
+    if (beats(cards[i], cards[best], trumpSuit)) best = i;
+  }
+  return best;
+}
+
+// Cards a player may play from `hand` given the cards already on the trick.
+export function legalCards(hand, trick, trumpSuit, sideByPlayerId, playerId) {
+  if (!trick.length) return hand;
+
+  const type = getContractType(trumpSuit);
+  const led = trick[0].suit;
+  const best = trick[trickWinnerIndex(trick, trumpSuit)];
+  const follow = hand.filter((c) => c.suit === led);
+
+  // Trump led (every lead in tout atout): follow and go higher if possible.
+  if (type === "TA" || (type === "SUIT" && led === trumpSuit)) {
+    if (!follow.length) return hand;
+    const higher = follow.filter((c) => beats(c, best, trumpSuit));
+    return higher.length ? higher : follow;
+  }
+
+  if (follow.length) return follow;
+  if (type === "SA") return hand;
+
+  // Out of the led suit: no obligation while the partner holds the trick.
+  const partnerWinning = sideByPlayerId[best.playerId] === sideByPlayerId[playerId];
+  if (partnerWinning) return hand;
+
+  const trumps = hand.filter((c) => c.suit === trumpSuit);
+  if (!trumps.length) return hand;
+  if (!isTrump(best, trumpSuit)) return trumps;
+
+  // An opponent already cut: overtrump if possible, otherwise discard freely.
+  const higher = trumps.filter((c) => beats(c, best, trumpSuit));
+  return higher.length ? higher : hand;
+}
+
+const FULL_DECK = PLAY_SUITS.flatMap((suit) => PLAY_RANKS.map((rank) => ({ rank, suit })));
+
+// Whether holding `other` would have made `card` an illegal play on `trick`.
+function forbids(other, card, trick, { trumpSuit, sideByPlayerId }) {
+  const allowed = legalCards([card, other], trick, trumpSuit, sideByPlayerId, card.playerId);
+  return !allowed.some((x) => cardCode(x) === cardCode(card));
+}
+
+// known: { played: Set of codes, counts: cards played per player, excluded: codes per player }
+function playProblem(card, trick, known, ctx) {
+  const code = cardCode(card);
+  if (known.played.has(code)) return `${code} was already played`;
+  const excluded = known.excluded[card.playerId] || new Set();
+  if (excluded.has(code)) return `cannot hold ${code}: an earlier trick showed they did not have it`;
+
+  // Legal only if the rest of their hand can be made of cards that do not
+  // force another play.
+  const left = TRICKS_PER_HAND - (known.counts[card.playerId] || 0);
+  const free = FULL_DECK.filter((x) => {
+    const xCode = cardCode(x);
+    return xCode !== code && !known.played.has(xCode) && !excluded.has(xCode) && !forbids(x, card, trick, ctx);
+  });
+  if (free.length < left - 1) return `cannot play ${code}: they must follow suit, trump or overtrump`;
+  return null;
+}
+
+function recordPlay(card, trick, known, ctx) {
+  const excluded = known.excluded[card.playerId] || new Set();
+  for (const x of FULL_DECK) {
+    if (forbids(x, card, trick, ctx)) excluded.add(cardCode(x));
+  }
+  known.excluded[card.playerId] = excluded;
+  known.played.add(cardCode(card));
+  known.counts[card.playerId] = (known.counts[card.playerId] || 0) + 1;
+}
+
+// ctx: { seats, sideByPlayerId, trumpSuit, bidder }
+// seats is the play rotation (same order as the auction).
+export function replayPlayLog(log, ctx) {
+  const { seats, sideByPlayerId, trumpSuit, bidder } = ctx;
+  const tricksIn = log?.tricks || [];
+  const errors = [];
+  const known = { played: new Set(), counts: {}, excluded: {} };
+  const tricks = [];
+  const points = { A: 0, B: 0 };
+  const tricksWon = { A: 0, B: 0 };
+  const tricksWonByPlayer = {};
+
+  let leader = log?.firstLeaderPlayerId || seats[0] || "";
+
+  tricksIn.forEach((cards, t) => {
+    const leadIdx = seats.indexOf(leader);
+    cards.forEach((c, i) => {
+      const expected = seats[(leadIdx + i) % seats.length];
+      if (c.playerId !== expected) {
+        errors.push({ trickIdx: t, playerId: c.playerId, message: "played out of turn" });
+      }
+      const problem = playProblem(c, cards.slice(0, i), known, ctx);
+      if (problem) errors.push({ trickIdx: t, playerId: c.playerId, message: problem });
+      recordPlay(c, cards.slice(0, i), known, ctx);
+    });
+
+    if (cards.length < seats.length) {
+      tricks.push({ cards, winnerPlayerId: "", points: 0 });
+      return;
+    }
+
+    const winner = cards[trickWinnerIndex(cards, trumpSuit)];
+    const side = sideByPlayerId[winner.playerId];
+    const isLast = t === TRICKS_PER_HAND - 1;
+    const pts = computeCardPoints(cards, trumpSuit, isLast);
+    if (side) {
+      points[side] += pts;
+      tricksWon[side] += 1;
+    }
+    tricksWonByPlayer[winner.playerId] = (tricksWonByPlayer[winner.playerId] || 0) + 1;
+    tricks.push({ cards, winnerPlayerId: winner.playerId, points: pts });
+    leader = winner.playerId;
+  });
+
+  const lastTrick = tricksIn[tricksIn.length - 1] || [];
+  const complete = tricksIn.length === TRICKS_PER_HAND && lastTrick.length === seats.length;
+  const trickOpen = tricksIn.length && lastTrick.length < seats.length;
+  const nextPlayerId = complete
+    ? ""
+    : trickOpen
+    ? seats[(seats.indexOf(leader) + lastTrick.length) % seats.length]
+    : leader;
+  const openTrick = trickOpen ? lastTrick : [];
+  const playableCodes = new Set(
+    nextPlayerId
+      ? FULL_DECK.filter((x) => !playProblem({ ...x, playerId: nextPlayerId }, openTrick, known, ctx)).map(cardCode)
+      : []
+  );
+
+  const defence = bidder === "A" ? "B" : "A";
+  return {
+    tricks,
+    errors,
+    complete,
+    nextPlayerId,
+    playedCodes: known.played,
+    playableCodes,
+    points,
+    tricksWon,
+    tricksWonByPlayer,
+    bidderTrickPoints: points[bidder] || 0,
+    nonBidderTrickPoints: points[defence] || 0,
+    capot: complete && tricksWon[bidder] === TRICKS_PER_HAND,
+  };
+}
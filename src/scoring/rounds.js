@@ -0,0 +1,65 @@
+// src/scoring/rounds.js
+// Rounds and phases. Every match carries `round` (1, 2, ... or null when it was
+// never placed in one) and `phase`. The open/locked/closed state of each round is
+// tournament-wide and lives in settings.roundStatus, keyed by round number.
+
+export const MATCH_PHASES = {
+  POOL: { id: "POOL", label: "Pool" },
+  PLAYOFF: { id: "PLAYOFF", label: "Playoff" },
+  QUARTER: { id: "QUARTER", label: "Quarterfinal" },
+  SEMI: { id: "SEMI", label: "Semifinal" },
+  FINAL: { id: "FINAL", label: "Final" },
+};
+
+export const DEFAULT_PHASE = "POOL";
+
+// OPEN   -> tables can score
+// LOCKED -> scoring paused (e.g. while the admin checks results)
+// CLOSED -> round is over; results are final
+export const ROUND_STATUSES = {
+  OPEN: { id: "OPEN", label: "Open" },
+  LOCKED: { id: "LOCKED", label: "Locked" },
+  CLOSED: { id: "CLOSED", label: "Closed" },
+};
+
+export const normalizePhase = (phase) => (MATCH_PHASES[phase] ? phase : DEFAULT_PHASE);
+
+export function normalizeRound(round) {
+  const n = Number(round);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+export function getRoundStatus(settings, round) {
+  const r = normalizeRound(round);
+  if (r === null) return "OPEN";
+  const status = settings?.roundStatus?.[r];
+  return ROUND_STATUSES[status] ? status : "OPEN";
+}
+
+// Archived matches belong to a finished stage and stay read-only.
+export const roundAllowsScoring = (match, settings) =>
+  !match?.archived && getRoundStatus(settings, match?.round) === "OPEN";
+
+// Distinct round numbers in play order.
+export function listRounds(matches) {
+  return [...new Set((matches || []).map((m) => normalizeRound(m.round)).filter((r) => r !== null))].sort(
+    (a, b) => a - b
+  );
+}
+
+export const lastRound = (matches) => listRounds(matches).pop() || 0;
+
+// Bracket round names map onto the phases the standings and public view group by.
+export function phaseForBracketRound(name) {
+  if (name === "Final" || name === "Grand Final") return "FINAL";
+  if (name === "Semifinal") return "SEMI";
+  if (name === "Quarterfinal") return "QUARTER";
+  return "PLAYOFF";
+}
+
+export function roundLabel(round, phase) {
+  const r = normalizeRound(round);
+  const p = MATCH_PHASES[phase] ? MATCH_PHASES[phase].label : "";
+  if (r === null) return p ? `${p} • No round` : "No round";
+  return p && phase !== DEFAULT_PHASE ? `Round ${r} • ${p}` : `Round ${r}`;
+}
@@ -0,0 +1,172 @@
+// src/scoring/standings.js
+// Standings points and tiebreakers. Entrants are teams or, in mêlée, single
+// players; a result lists the entrant ids on each side so both cases share the
+// same ranking code.
+
+export const DEFAULT_STANDING_POINTS = {
+  win: 2,
+  // Winner of a match finished early, before its end condition was reached.
+  forcedWin: 1,
+  draw: 0,
+  loss: 0,
+  // Charged to the side that forfeited; the other side gets a normal win.
+  forfeit: 0,
+};
+
+export const TIEBREAKERS = {
+  WINS: { id: "WINS", label: "Wins" },
+  HEAD_TO_HEAD: { id: "HEAD_TO_HEAD", label: "Head-to-head" },
+  BUCHHOLZ: { id: "BUCHHOLZ", label: "Buchholz" },
+  POINT_DIFF: { id: "POINT_DIFF", label: "Point difference" },
+  POINTS_FOR: { id: "POINTS_FOR", label: "Points for" },
+  FEWEST_HANDS: { id: "FEWEST_HANDS", label: "Fewest hands played" },
+};
+
+export const DEFAULT_TIEBREAKERS = ["WINS", "POINT_DIFF", "POINTS_FOR"];
+
+export function normalizeStandingPoints(points) {
+  const out = { ...DEFAULT_STANDING_POINTS };
+  Object.keys(out).forEach((k) => {
+    const v = points?.[k];
+    if (v === null || v === undefined || v === "") return;
+    if (Number.isFinite(Number(v))) out[k] = Number(v);
+  });
+  return out;
+}
+
+export function normalizeTiebreakers(list) {
+  if (!Array.isArray(list)) return [...DEFAULT_TIEBREAKERS];
+  return [...new Set(list.filter((id) => TIEBREAKERS[id]))];
+}
+
+// result: { A: [ids], B: [ids], scoreA, scoreB, hands, played, outcome, forced, forfeit, bye }
+//   outcome: "A" | "B" | "DRAW" | null (not finished)
+//   forfeit: the side that forfeited, or null
+//   bye:     side A sat out and is credited a win; B is empty
+function sidePoints(result, points) {
+  if (result.bye) return { A: points.win, B: 0 };
+  const { outcome, forfeit, forced } = result;
+  if (outcome === "DRAW") return { A: points.draw, B: points.draw };
+  if (outcome !== "A" && outcome !== "B") return { A: 0, B: 0 };
+  const loser = outcome === "A" ? "B" : "A";
+  return {
+    [outcome]: forfeit || !forced ? points.win : points.forcedWin,
+    [loser]: forfeit === loser ? points.forfeit : points.loss,
+  };
+}
+
+function emptyRow(entrant) {
+  return {
+    id: entrant.id,
+    name: entrant.name,
+    matchesPlayed: 0,
+    wins: 0,
+    losses: 0,
+    draws: 0,
+    forfeits: 0,
+    standingPoints: 0,
+    pointsFor: 0,
+    pointsAgainst: 0,
+    handsPlayed: 0,
+    opponents: [],
+    tiebreak: null,
+  };
+}
+
+// Higher is better for every tiebreaker value.
+const TIEBREAK_VALUES = {
+  WINS: (row) => row.wins,
+  POINT_DIFF: (row) => row.pointsFor - row.pointsAgainst,
+  POINTS_FOR: (row) => row.pointsFor,
+  FEWEST_HANDS: (row) => -row.handsPlayed,
+  BUCHHOLZ: (row, ctx) => row.opponents.reduce((acc, id) => acc + (ctx.byId.get(id)?.standingPoints || 0), 0),
+  // Standing points earned only in results between entrants of the tied group.
+  HEAD_TO_HEAD: (row, ctx, group) => {
+    const inGroup = new Set(group.map((r) => r.id));
+    return ctx.scored.reduce((acc, { result, pts }) => {
+      const side = result.A.includes(row.id) ? "A" : result.B.includes(row.id) ? "B" : null;
+      if (!side) return acc;
+      const other = side === "A" ? result.B : result.A;
+      return other.some((id) => inGroup.has(id)) ? acc + pts[side] : acc;
+    }, 0);
+  },
+};
+
+// Orders a group of rows tied on standing points, applying the chain in order.
+// Each row records the tiebreaker that last separated it from its group.
+function breakTies(group, chain, ctx) {
+  if (group.length < 2) return group;
+  if (!chain.length) {
+    group.forEach((r) => (r.tiebreak = r.tiebreak || "Still tied"));
+    return [...group].sort((x, y) => x.name.localeCompare(y.name));
+  }
+
+  const [tb, ...rest] = chain;
+  const value = new Map(group.map((r) => [r.id, TIEBREAK_VALUES[tb](r, ctx, group)]));
+  const buckets = new Map();
+  group.forEach((r) => {
+    const v = value.get(r.id);
+    if (!buckets.has(v)) buckets.set(v, []);
+    buckets.get(v).push(r);
+  });
+
+  if (buckets.size > 1) group.forEach((r) => (r.tiebreak = TIEBREAKERS[tb].label));
+
+  return [...buckets.keys()].sort((a, b) => b - a).flatMap((v) => breakTies(buckets.get(v), rest, ctx));
+}
+
+// entrants: [{ id, name }]; results: see sidePoints.
+// Returns ranked rows; `tiebreak` names what split a row from those on equal points.
+export function computeStandings({ entrants, results, points, tiebreakers }) {
+  const pts = normalizeStandingPoints(points);
+  const byId = new Map(entrants.map((e) => [e.id, emptyRow(e)]));
+  const scored = [];
+
+  for (const result of results) {
+    const sp = sidePoints(result, pts);
+    scored.push({ result, pts: sp });
+
+    if (result.bye) {
+      result.A.forEach((id) => {
+        const r = byId.get(id);
+        if (!r) return;
+        r.wins += 1;
+        r.standingPoints += sp.A;
+      });
+      continue;
+    }
+
+    ["A", "B"].forEach((side) => {
+      const other = side === "A" ? "B" : "A";
+      const pointsFor = side === "A" ? result.scoreA : result.scoreB;
+      const pointsAgainst = side === "A" ? result.scoreB : result.scoreA;
+
+      result[side].forEach((id) => {
+        const r = byId.get(id);
+        if (!r) return;
+        r.pointsFor += pointsFor;
+        r.pointsAgainst += pointsAgainst;
+        r.standingPoints += sp[side];
+        if (result.played) {
+          r.matchesPlayed += 1;
+          r.handsPlayed += result.hands;
+          r.opponents.push(...result[other]);
+        }
+        if (result.outcome === side) r.wins += 1;
+        else if (result.outcome === other) r.losses += 1;
+        else if (result.outcome === "DRAW") r.draws += 1;
+        if (result.forfeit === side) r.forfeits += 1;
+      });
+    });
+  }
+
+  const ctx = { byId, scored };
+  const chain = normalizeTiebreakers(tiebreakers);
+  const byPoints = new Map();
+  byId.forEach((r) => {
+    if (!byPoints.has(r.standingPoints)) byPoints.set(r.standingPoints, []);
+    byPoints.get(r.standingPoints).push(r);
+  });
+
+  return [...byPoints.keys()].sort((a, b) => b - a).flatMap((p) => breakTies(byPoints.get(p), chain, ctx));
+}
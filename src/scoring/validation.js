@@ -0,0 +1,148 @@
+// src/scoring/validation.js
+// Checks a hand draft before it is scored. Each issue names the draft field it
+// belongs to so the entry form can show it next to that field. Errors block the
+// save; warnings are only shown.
+import { legalBidValues } from "./auction.js";
+import { getContractType, getRuleProfile } from "./coinche.js";
+
+export const ANNOUNCE_SLOTS = ["A1", "A2", "B1", "B2"];
+
+// REQUIRED issues are only worth showing once the scorer tries to save.
+export const ISSUE_CODES = {
+  REQUIRED: "REQUIRED",
+  INVALID: "INVALID",
+  MISMATCH: "MISMATCH",
+};
+
+const isBlank = (v) => v === "" || v === null || v === undefined || String(v).trim() === "";
+
+// Strict integer parse: "85abc" is not a number here.
+function parseWhole(v) {
+  const s = String(v).trim();
+  return /^-?\d+$/.test(s) ? Number(s) : null;
+}
+
+function parseBid(v) {
+  if (String(v).trim().toLowerCase() === "capot") return 250;
+  return parseWhole(v);
+}
+
+function playedKingQueen(play, playerId, suits) {
+  const codes = play.tricks
+    .flatMap((t) => t.cards)
+    .filter((c) => c.playerId === playerId)
+    .map((c) => `${c.rank}${c.suit}`);
+  return suits.some((s) => codes.includes(`K${s}`) && codes.includes(`Q${s}`));
+}
+
+// d: the draft with any recorded auction / play log already applied.
+// ctx: { setupReady, sideByPlayerId, ruleProfile, play, playerName, teamName }
+export function validateHandDraft(d, ctx = {}) {
+  const errors = [];
+  const warnings = [];
+  const sideOf = ctx.sideByPlayerId || {};
+  const nameOf = (pid) => ctx.playerName?.(pid) || "This player";
+  const err = (field, code, message) => errors.push({ field, code, message, level: "error" });
+  const warn = (field, code, message) => warnings.push({ field, code, message, level: "warning" });
+
+  if (!ctx.setupReady) {
+    err("setup", ISSUE_CODES.REQUIRED, "Pick both teams, the table order and the first shuffler first.");
+  }
+
+  const teamLabel = (side) => ctx.teamName?.(side) || (side === "A" ? "team A" : "team B");
+
+  // Contract
+  if (d.generale) {
+    if (!d.generalePlayerId) {
+      err("generale", ISSUE_CODES.REQUIRED, "Pick the player declaring the générale.");
+    } else if (sideOf[d.generalePlayerId] !== d.bidder) {
+      err("generale", ISSUE_CODES.MISMATCH, `${nameOf(d.generalePlayerId)} is not on the bidding team.`);
+    }
+  } else if (isBlank(d.bid)) {
+    err("bid", ISSUE_CODES.REQUIRED, "Enter the bid.");
+  } else {
+    const bid = parseBid(d.bid);
+    const { minBid } = getRuleProfile(ctx.ruleProfile).minimumContract;
+    if (bid === null) {
+      err("bid", ISSUE_CODES.INVALID, 'Bid must be a number or "capot".');
+    } else if (!legalBidValues(ctx.ruleProfile).includes(bid)) {
+      err("bid", ISSUE_CODES.INVALID, `Bid must be a multiple of 10 from ${minBid} to 160, or 250 for capot.`);
+    }
+  }
+
+  // Trick points
+  const bidderBlank = isBlank(d.bidderTrickPoints);
+  const nonBlank = isBlank(d.nonBidderTrickPoints);
+  const bidderTP = bidderBlank ? null : parseWhole(d.bidderTrickPoints);
+  const nonTP = nonBlank ? null : parseWhole(d.nonBidderTrickPoints);
+
+  [
+    ["bidderTrickPoints", bidderBlank, bidderTP],
+    ["nonBidderTrickPoints", nonBlank, nonTP],
+  ].forEach(([field, blank, value]) => {
+    if (blank) return;
+    if (value === null) err(field, ISSUE_CODES.INVALID, "Trick points must be a whole number.");
+    else if (value < 0 || value > 162) err(field, ISSUE_CODES.INVALID, "Trick points must be between 0 and 162.");
+  });
+
+  if (bidderBlank && nonBlank && !d.generale) {
+    err("bidderTrickPoints", ISSUE_CODES.REQUIRED, "Enter the trick points of either team.");
+  }
+
+  if (bidderTP !== null && nonTP !== null && bidderTP + nonTP !== 162) {
+    err(
+      "nonBidderTrickPoints",
+      ISSUE_CODES.MISMATCH,
+      `Bidder and non-bidder trick points must add up to 162 (now ${bidderTP + nonTP}).`
+    );
+  }
+
+  if (d.capot && !d.generale && bidderTP !== null && bidderTP !== 162) {
+    warn("capot", ISSUE_CODES.MISMATCH, `Capot is marked but the bidder only has ${bidderTP} trick points.`);
+  }
+
+  // Announces
+  ANNOUNCE_SLOTS.forEach((slot) => {
+    const types = d[`announce${slot}Types`];
+    const hasAnnounce = (Array.isArray(types) && types.length) || Number(d[`announce${slot}`]) > 0;
+    if (!hasAnnounce) return;
+
+    const pid = d[`announce${slot}PlayerId`];
+    const side = slot[0];
+    if (!pid) {
+      warn(`announce${slot}`, ISSUE_CODES.REQUIRED, "Pick who declared this announce.");
+    } else if (sideOf[pid] !== side) {
+      err(`announce${slot}`, ISSUE_CODES.MISMATCH, `${nameOf(pid)} does not sit on ${teamLabel(side)}.`);
+    }
+  });
+
+  // Belote
+  const beloteTeam = d.beloteTeam || "NONE";
+  if (beloteTeam !== "NONE") {
+    const type = getContractType(d.suit);
+    if (type === "SA") {
+      err("belote", ISSUE_CODES.INVALID, "There is no belote in sans atout.");
+    } else if (d.belotePlayerId && sideOf[d.belotePlayerId] !== beloteTeam) {
+      err("belote", ISSUE_CODES.MISMATCH, `${nameOf(d.belotePlayerId)} does not sit on ${teamLabel(beloteTeam)}.`);
+    } else if (d.belotePlayerId && ctx.play?.complete) {
+      const suits = type === "TA" ? ["H", "D", "C", "S"] : [d.suit];
+      if (!playedKingQueen(ctx.play, d.belotePlayerId, suits)) {
+        err(
+          "belote",
+          ISSUE_CODES.MISMATCH,
+          `${nameOf(d.belotePlayerId)} did not play the king and queen of trump.`
+        );
+      }
+    }
+  }
+
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+// The issue to show next to a field: its first error, else its first warning.
+export function fieldIssue(validation, field) {
+  if (!validation) return null;
+  return (
+    validation.errors.find((i) => i.field === field) || validation.warnings.find((i) => i.field === field) || null
+  );
+}
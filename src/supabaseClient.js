@@ -11,4 +11,21 @@ if (!supabaseKey) {
   throw new Error("Missing VITE_SUPABASE_PUBLISHABLE_DEFAULT_KEY");
 }
 
-export const supabase = createClient(supabaseUrl, supabaseKey);
\ No newline at end of file
+// Table links send their match code with every request; the row-level security
+// policies in supabase/migrations only let that code write its own match and hands.
+let matchCode = "";
+
+export function setMatchCode(code) {
+  matchCode = String(code || "").trim().toUpperCase();
+}
+
+const fetchWithMatchCode = (input, init = {}) => {
+  if (!matchCode) return fetch(input, init);
+  const headers = new Headers(init.headers);
+  headers.set("x-match-code", matchCode);
+  return fetch(input, { ...init, headers });
+};
+
+export const supabase = createClient(supabaseUrl, supabaseKey, {
+  global: { fetch: fetchWithMatchCode },
+});
@@ -0,0 +1,105 @@
+-- Tables read and written by src/App.jsx: tournaments, tournament_state (one row
+-- of players, teams and settings per tournament), matches, hands and
+-- registrations. Column names follow matchToRow / handToRow and
+-- saveTournamentStateToSupabase.
+
+create extension if not exists pgcrypto;
+
+create table public.tournaments (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  slug text,
+  -- See src/scoring/lifecycle.js.
+  status text not null default 'draft'
+    check (status in ('draft', 'registration', 'running', 'finished', 'archived')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index tournaments_status_idx on public.tournaments (status);
+
+create table public.tournament_state (
+  tournament_id uuid primary key references public.tournaments (id) on delete cascade,
+  app_name text not null default 'Coinche Scorekeeper',
+  players jsonb not null default '[]'::jsonb,
+  teams jsonb not null default '[]'::jsonb,
+  pair_history jsonb not null default '[]'::jsonb,
+  avoid_same_teams boolean not null default true,
+  settings jsonb not null default '{}'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+create table public.matches (
+  id text primary key,
+  tournament_id uuid references public.tournaments (id) on delete cascade,
+  code text not null,
+  table_name text,
+  label text,
+  team_a_id text,
+  team_b_id text,
+  team_a_name text,
+  team_b_name text,
+  team_a_players jsonb not null default '[]'::jsonb,
+  team_b_players jsonb not null default '[]'::jsonb,
+  total_a integer not null default 0,
+  total_b integer not null default 0,
+  winner_id text,
+  completed boolean not null default false,
+  forced_complete boolean not null default false,
+  editing_hand_idx integer,
+  last_updated_at timestamptz not null default now(),
+  table_order_player_ids jsonb not null default '[]'::jsonb,
+  first_shuffler_player_id text not null default '',
+  fast_draft jsonb not null default '{}'::jsonb,
+  end_condition jsonb,
+  swiss_round integer,
+  bye boolean not null default false,
+  bracket jsonb,
+  round integer,
+  phase text not null default 'POOL',
+  forfeit_team_id text,
+  archived boolean not null default false,
+  substitutions jsonb not null default '[]'::jsonb,
+  app_name text
+);
+
+create index matches_tournament_id_idx on public.matches (tournament_id);
+create index matches_code_idx on public.matches (code);
+create unique index matches_tournament_code_key on public.matches (tournament_id, code);
+
+create table public.hands (
+  -- `${match_id}_${hand_idx}`
+  id text primary key,
+  tournament_id uuid references public.tournaments (id) on delete cascade,
+  match_id text not null references public.matches (id) on delete cascade,
+  hand_idx integer not null,
+  created_at_ts bigint,
+  edited_at timestamptz,
+  score_a integer not null default 0,
+  score_b integer not null default 0,
+  bidder_succeeded boolean not null default false,
+  draft_snapshot jsonb not null default '{}'::jsonb
+);
+
+create index hands_tournament_id_idx on public.hands (tournament_id);
+create unique index hands_match_id_hand_idx_key on public.hands (match_id, hand_idx);
+
+create table public.registrations (
+  id text primary key,
+  tournament_id uuid not null references public.tournaments (id) on delete cascade,
+  name text not null,
+  preferred_partner text,
+  -- Set once the organiser checks the registration in as a player.
+  player_id text,
+  created_at timestamptz not null default now()
+);
+
+create index registrations_tournament_id_idx on public.registrations (tournament_id);
+
+-- The app subscribes to changes on every table.
+alter publication supabase_realtime add table
+  public.tournaments,
+  public.tournament_state,
+  public.matches,
+  public.hands,
+  public.registrations;
@@ -0,0 +1,118 @@
+-- Row-level security. Access model:
+--   organizer: a signed-in user listed in public.organizers; full access.
+--   scorer:    anyone holding a table link; the client sends the match code in
+--              the x-match-code header and may only write that match and its hands.
+--   viewer:    anonymous; read-only, plus self-registration while a tournament
+--              is open for registration.
+--
+-- Match codes are hidden from reads in 20261019120300_private_match_codes.sql;
+-- only organizers see them and hand the table links out.
+--
+-- Add an organizer after they have signed up once:
+--   insert into public.organizers (user_id)
+--   select id from auth.users where email = 'organizer@example.com';
+
+create table if not exists public.organizers (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create or replace function public.is_organizer()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.organizers where user_id = auth.uid());
+$$;
+
+create or replace function public.request_match_code()
+returns text
+language sql
+stable
+as $$
+  select upper(coalesce(nullif(current_setting('request.headers', true), '')::json ->> 'x-match-code', ''));
+$$;
+
+-- True when the request carries the code of match `mid` in tournament `tid`.
+create or replace function public.scores_match(mid text, tid uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.request_match_code() <> ''
+    and exists (
+      select 1 from public.matches m
+      where m.id = mid and m.tournament_id = tid and upper(m.code) = public.request_match_code()
+    );
+$$;
+
+alter table public.organizers enable row level security;
+alter table public.tournaments enable row level security;
+alter table public.tournament_state enable row level security;
+alter table public.matches enable row level security;
+alter table public.hands enable row level security;
+alter table public.registrations enable row level security;
+
+drop policy if exists "organizers read own row" on public.organizers;
+create policy "organizers read own row" on public.organizers
+  for select to authenticated using (user_id = auth.uid());
+
+-- Everything is readable by everyone; the public view needs no sign-in.
+drop policy if exists "public read" on public.tournaments;
+create policy "public read" on public.tournaments for select using (true);
+drop policy if exists "public read" on public.tournament_state;
+create policy "public read" on public.tournament_state for select using (true);
+drop policy if exists "public read" on public.matches;
+create policy "public read" on public.matches for select using (true);
+drop policy if exists "public read" on public.hands;
+create policy "public read" on public.hands for select using (true);
+
+drop policy if exists "organizer write" on public.tournaments;
+create policy "organizer write" on public.tournaments
+  for all to authenticated using (public.is_organizer()) with check (public.is_organizer());
+drop policy if exists "organizer write" on public.tournament_state;
+create policy "organizer write" on public.tournament_state
+  for all to authenticated using (public.is_organizer()) with check (public.is_organizer());
+drop policy if exists "organizer write" on public.matches;
+create policy "organizer write" on public.matches
+  for all to authenticated using (public.is_organizer()) with check (public.is_organizer());
+drop policy if exists "organizer write" on public.hands;
+create policy "organizer write" on public.hands
+  for all to authenticated using (public.is_organizer()) with check (public.is_organizer());
+drop policy if exists "organizer all" on public.registrations;
+create policy "organizer all" on public.registrations
+  for all to authenticated using (public.is_organizer()) with check (public.is_organizer());
+
+-- Scorers update their own match row only, and cannot move it to another code.
+drop policy if exists "scorer update own match" on public.matches;
+create policy "scorer update own match" on public.matches
+  for update using (public.scores_match(id, tournament_id))
+  with check (upper(code) = public.request_match_code());
+
+-- The app saves matches with an upsert, which Postgres checks as an insert too;
+-- scores_match() only passes for a row that already exists with that code.
+drop policy if exists "scorer upsert own match" on public.matches;
+create policy "scorer upsert own match" on public.matches
+  for insert with check (public.scores_match(id, tournament_id) and upper(code) = public.request_match_code());
+
+drop policy if exists "scorer insert own hands" on public.hands;
+create policy "scorer insert own hands" on public.hands
+  for insert with check (public.scores_match(match_id, tournament_id));
+drop policy if exists "scorer update own hands" on public.hands;
+create policy "scorer update own hands" on public.hands
+  for update using (public.scores_match(match_id, tournament_id))
+  with check (public.scores_match(match_id, tournament_id));
+drop policy if exists "scorer delete own hands" on public.hands;
+create policy "scorer delete own hands" on public.hands
+  for delete using (public.scores_match(match_id, tournament_id));
+
+drop policy if exists "self registration" on public.registrations;
+create policy "self registration" on public.registrations
+  for insert with check (
+    player_id is null
+    and exists (select 1 from public.tournaments t where t.id = tournament_id and t.status = 'registration')
+  );
@@ -0,0 +1,62 @@
+-- Match codes are what lets a table link write its match (see scores_match), so
+-- they are no longer readable from the table. Organizers get them through
+-- match_codes(), and a table link finds its match through match_by_code().
+
+revoke select on public.matches from anon, authenticated;
+grant select (
+  id, tournament_id, table_name, label,
+  team_a_id, team_b_id, team_a_name, team_b_name, team_a_players, team_b_players,
+  total_a, total_b, winner_id, completed, forced_complete, editing_hand_idx, last_updated_at,
+  table_order_player_ids, first_shuffler_player_id, fast_draft, end_condition,
+  swiss_round, bye, bracket, round, phase, forfeit_team_id, archived, substitutions,
+  app_name, version
+) on public.matches to anon, authenticated;
+
+-- Every match id and code of a tournament, for organizers only.
+create or replace function public.match_codes(tid uuid)
+returns table (id text, code text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select m.id, m.code from public.matches m
+  where m.tournament_id = tid and public.is_organizer();
+$$;
+
+-- The match a table link points to; `tid` wins when the same code is used in
+-- more than one tournament.
+create or replace function public.match_by_code(match_code text, tid uuid default null)
+returns table (id text, tournament_id uuid)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select m.id, m.tournament_id from public.matches m
+  where upper(m.code) = upper(trim(match_code))
+  order by (m.tournament_id = tid) desc nulls last, m.last_updated_at desc
+  limit 1;
+$$;
+
+grant execute on function public.match_codes(uuid) to anon, authenticated;
+grant execute on function public.match_by_code(text, uuid) to anon, authenticated;
+
+-- A device that never learned a match's code saves it without one; keep the
+-- code the match already has.
+create or replace function public.keep_match_code()
+returns trigger
+language plpgsql
+as $$
+begin
+  if coalesce(new.code, '') = '' then
+    new.code := old.code;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists keep_match_code on public.matches;
+create trigger keep_match_code
+  before update on public.matches
+  for each row execute function public.keep_match_code();
@@ -0,0 +1,21 @@
+-- Locked and closed rounds (settings.roundStatus, see src/scoring/rounds.js) and
+-- archived matches take no more scores from table links. Organizers are not
+-- affected: their policies do not go through scores_match.
+
+create or replace function public.scores_match(mid text, tid uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.request_match_code() <> ''
+    and exists (
+      select 1
+      from public.matches m
+      left join public.tournament_state s on s.tournament_id = m.tournament_id
+      where m.id = mid and m.tournament_id = tid and upper(m.code) = public.request_match_code()
+        and not m.archived
+        and coalesce(s.settings -> 'roundStatus' ->> m.round::text, 'OPEN') not in ('LOCKED', 'CLOSED')
+    );
+$$;
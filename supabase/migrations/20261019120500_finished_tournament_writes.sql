@@ -0,0 +1,23 @@
+-- Finished and archived tournaments are read-only for table links too (see
+-- src/scoring/lifecycle.js). scores_match backs every scorer policy on matches
+-- and hands, so this one check covers them all.
+
+create or replace function public.scores_match(mid text, tid uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.request_match_code() <> ''
+    and exists (
+      select 1
+      from public.matches m
+      join public.tournaments t on t.id = m.tournament_id
+      left join public.tournament_state s on s.tournament_id = m.tournament_id
+      where m.id = mid and m.tournament_id = tid and upper(m.code) = public.request_match_code()
+        and t.status not in ('finished', 'archived')
+        and not m.archived
+        and coalesce(s.settings -> 'roundStatus' ->> m.round::text, 'OPEN') not in ('LOCKED', 'CLOSED')
+    );
+$$;
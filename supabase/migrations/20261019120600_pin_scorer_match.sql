@@ -0,0 +1,7 @@
+-- A scorer's update must leave the match where it is: scores_match() looks the
+-- row up as it was before the update, so a new tournament_id fails the check.
+
+drop policy if exists "scorer update own match" on public.matches;
+create policy "scorer update own match" on public.matches
+  for update using (public.scores_match(id, tournament_id))
+  with check (public.scores_match(id, tournament_id) and upper(code) = public.request_match_code());
@@ -0,0 +1,83 @@
+-- Every save sends all of a match's hands, but only the ones that changed are
+-- written, so realtime subscribers get one event per changed hand instead of
+-- one per hand.
+
+-- match_row / hand_rows: as built by matchToRow / handToRow.
+-- Returns the new version.
+create or replace function public.save_match_bundle(match_row jsonb, hand_rows jsonb, expected_version integer)
+returns integer
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  mid text := match_row ->> 'id';
+  current_version integer;
+  next_version integer;
+begin
+  select m.version into current_version from public.matches m where m.id = mid for update;
+
+  if coalesce(current_version, 0) <> coalesce(expected_version, 0) then
+    raise exception 'Match % was changed on another device', mid
+      using errcode = 'PT409', detail = coalesce(current_version, 0)::text;
+  end if;
+
+  next_version := coalesce(current_version, 0) + 1;
+
+  insert into public.matches
+  select * from jsonb_populate_record(null::public.matches, match_row || jsonb_build_object('version', next_version))
+  on conflict (id) do update set
+    tournament_id = excluded.tournament_id,
+    code = excluded.code,
+    table_name = excluded.table_name,
+    label = excluded.label,
+    team_a_id = excluded.team_a_id,
+    team_b_id = excluded.team_b_id,
+    team_a_name = excluded.team_a_name,
+    team_b_name = excluded.team_b_name,
+    team_a_players = excluded.team_a_players,
+    team_b_players = excluded.team_b_players,
+    total_a = excluded.total_a,
+    total_b = excluded.total_b,
+    winner_id = excluded.winner_id,
+    completed = excluded.completed,
+    forced_complete = excluded.forced_complete,
+    editing_hand_idx = excluded.editing_hand_idx,
+    last_updated_at = excluded.last_updated_at,
+    table_order_player_ids = excluded.table_order_player_ids,
+    first_shuffler_player_id = excluded.first_shuffler_player_id,
+    fast_draft = excluded.fast_draft,
+    end_condition = excluded.end_condition,
+    swiss_round = excluded.swiss_round,
+    bye = excluded.bye,
+    bracket = excluded.bracket,
+    round = excluded.round,
+    phase = excluded.phase,
+    forfeit_team_id = excluded.forfeit_team_id,
+    archived = excluded.archived,
+    substitutions = excluded.substitutions,
+    app_name = excluded.app_name,
+    version = excluded.version;
+
+  delete from public.hands h
+  where h.match_id = mid
+    and h.id <> all (array(select r ->> 'id' from jsonb_array_elements(coalesce(hand_rows, '[]'::jsonb)) r));
+
+  insert into public.hands
+  select * from jsonb_populate_recordset(null::public.hands, coalesce(hand_rows, '[]'::jsonb))
+  on conflict (id) do update set
+    tournament_id = excluded.tournament_id,
+    hand_idx = excluded.hand_idx,
+    created_at_ts = excluded.created_at_ts,
+    edited_at = excluded.edited_at,
+    score_a = excluded.score_a,
+    score_b = excluded.score_b,
+    bidder_succeeded = excluded.bidder_succeeded,
+    draft_snapshot = excluded.draft_snapshot
+  where (hands.*) is distinct from (excluded.*);
+
+  return next_version;
+end;
+$$;
+
+grant execute on function public.save_match_bundle(jsonb, jsonb, integer) to anon, authenticated;
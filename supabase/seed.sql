@@ -0,0 +1,70 @@
+-- Demo tournament: eight players in four teams, one match in progress and one
+-- waiting to start. Table links: #/table/DEMO and #/table/DEM2.
+
+insert into public.tournaments (id, name, slug, status)
+values ('00000000-0000-4000-8000-000000000001', 'Demo Cup', 'demo-cup', 'running');
+
+insert into public.tournament_state (tournament_id, app_name, players, teams, pair_history, avoid_same_teams, settings)
+values (
+  '00000000-0000-4000-8000-000000000001',
+  'Demo Cup',
+  '[
+    {"id": "player_demo_1", "name": "Alice"},
+    {"id": "player_demo_2", "name": "Bastien"},
+    {"id": "player_demo_3", "name": "Chloé"},
+    {"id": "player_demo_4", "name": "David"},
+    {"id": "player_demo_5", "name": "Emma"},
+    {"id": "player_demo_6", "name": "François"},
+    {"id": "player_demo_7", "name": "Gabrielle"},
+    {"id": "player_demo_8", "name": "Hugo"}
+  ]'::jsonb,
+  '[
+    {"id": "team_demo_1", "name": "Alice / Bastien", "playerIds": ["player_demo_1", "player_demo_2"], "locked": false},
+    {"id": "team_demo_2", "name": "Chloé / David", "playerIds": ["player_demo_3", "player_demo_4"], "locked": false},
+    {"id": "team_demo_3", "name": "Emma / François", "playerIds": ["player_demo_5", "player_demo_6"], "locked": false},
+    {"id": "team_demo_4", "name": "Gabrielle / Hugo", "playerIds": ["player_demo_7", "player_demo_8"], "locked": false}
+  ]'::jsonb,
+  '["player_demo_1|player_demo_2", "player_demo_3|player_demo_4", "player_demo_5|player_demo_6", "player_demo_7|player_demo_8"]'::jsonb,
+  true,
+  '{}'::jsonb
+);
+
+insert into public.matches (
+  id, tournament_id, code, table_name, label, team_a_id, team_b_id, team_a_name, team_b_name,
+  team_a_players, team_b_players, total_a, total_b, table_order_player_ids, first_shuffler_player_id,
+  round, phase, app_name
+)
+values
+  (
+    'match_demo_1', '00000000-0000-4000-8000-000000000001', 'DEMO', 'Table 1', 'Match 1',
+    'team_demo_1', 'team_demo_2', 'Alice / Bastien', 'Chloé / David',
+    '[{"id": "player_demo_1", "name": "Alice"}, {"id": "player_demo_2", "name": "Bastien"}]'::jsonb,
+    '[{"id": "player_demo_3", "name": "Chloé"}, {"id": "player_demo_4", "name": "David"}]'::jsonb,
+    290, 750,
+    '["player_demo_1", "player_demo_3", "player_demo_2", "player_demo_4"]'::jsonb, 'player_demo_1',
+    1, 'POOL', 'Demo Cup'
+  ),
+  (
+    'match_demo_2', '00000000-0000-4000-8000-000000000001', 'DEM2', 'Table 2', 'Match 2',
+    'team_demo_3', 'team_demo_4', 'Emma / François', 'Gabrielle / Hugo',
+    '[{"id": "player_demo_5", "name": "Emma"}, {"id": "player_demo_6", "name": "François"}]'::jsonb,
+    '[{"id": "player_demo_7", "name": "Gabrielle"}, {"id": "player_demo_8", "name": "Hugo"}]'::jsonb,
+    0, 0,
+    '[]'::jsonb, '',
+    1, 'POOL', 'Demo Cup'
+  );
+
+-- Scores as computed by computeFastCoincheScore with the CLUB rule profile.
+insert into public.hands (id, tournament_id, match_id, hand_idx, created_at_ts, score_a, score_b, bidder_succeeded, draft_snapshot)
+values
+  ('match_demo_1_1', '00000000-0000-4000-8000-000000000001', 'match_demo_1', 1, 1760000000000, 180, 60, true,
+    '{"bidder": "A", "bid": "80", "suit": "H", "bidderTrickPoints": "102", "nonBidderTrickPoints": "60", "bidderPlayerId": "player_demo_1"}'::jsonb),
+  ('match_demo_1_2', '00000000-0000-4000-8000-000000000001', 'match_demo_1', 2, 1760000300000, 70, 210, true,
+    '{"bidder": "B", "bid": "100", "suit": "S", "bidderTrickPoints": "91", "nonBidderTrickPoints": "71", "beloteTeam": "B", "belotePlayerId": "player_demo_3", "bidderPlayerId": "player_demo_3"}'::jsonb),
+  ('match_demo_1_3', '00000000-0000-4000-8000-000000000001', 'match_demo_1', 3, 1760000600000, 0, 250, false,
+    '{"bidder": "A", "bid": "90", "suit": "D", "bidderTrickPoints": "71", "nonBidderTrickPoints": "91", "bidderPlayerId": "player_demo_2"}'::jsonb),
+  ('match_demo_1_4', '00000000-0000-4000-8000-000000000001', 'match_demo_1', 4, 1760000900000, 40, 230, true,
+    '{"bidder": "B", "bid": "110", "suit": "C", "bidderTrickPoints": "120", "nonBidderTrickPoints": "42", "bidderPlayerId": "player_demo_4"}'::jsonb);
+
+insert into public.registrations (id, tournament_id, name, preferred_partner)
+values ('reg_demo_1', '00000000-0000-4000-8000-000000000001', 'Inès', 'Jules');